@@ -4,104 +4,556 @@ const inquirer = require('inquirer');
 const chalk = require('chalk');
 const fs = require('fs');
 const path = require('path');
-const templates = require('../lib/templates');
 
-async function main() {
-  const args = process.argv.slice(2);
-  const projectName = args[0] || 'my-backend';
+const pkg = require('../package.json');
+const { parseArgs, toCamelCase } = require('../lib/cli/args');
+const { questions, FLAGS, BOOLEAN_FLAGS, getDefaults, answersFromFlags } = require('../lib/cli/questions');
+const { loadConfigFile, loadPreset, savePreset } = require('../lib/cli/presets');
+const { generate } = require('../lib/commands/generate');
+const { add } = require('../lib/commands/add');
+const { upgrade } = require('../lib/commands/upgrade');
+const { buildPlan, formatTree, formatSize } = require('../lib/plan');
+const { createProject } = require('../lib');
+const { resolvePluginSpec, loadPlugins, pluginPrompts, defaultPluginOptions } = require('../lib/plugins');
+const { resolveTemplateSpec, fetchTemplate } = require('../lib/template');
+const { renderContext } = require('../lib/templates');
+const { CnappError, CliError } = require('../lib/errors');
+const { SQL_DATABASES, resolveOrm, describeDatabase } = require('../lib/templates/orm');
+const { FRAMEWORK_LABELS } = require('../lib/templates/framework');
+const { packageManagerCommands } = require('../lib/templates/package-manager');
+const { INITIAL_COMMIT_MESSAGE, detectPackageManager, initGitRepository, commitAll, installDependencies, formatFiles } = require('../lib/setup');
+const { projectNameErrors, suggestProjectName, resolveProjectTarget } = require('../lib/project-name');
+const { isNonEmptyDirectory } = require('../lib/output');
+const { markFormatted } = require('../lib/manifest');
 
-  console.log(chalk.cyan.bold('\n🔥 create-node-advance-app\n'));
+const STRING_FLAGS = ['config', 'preset', 'save-preset', 'template'];
+// Repeatable: --plugin ./tracing --plugin @acme/cnapp-audit
+const ARRAY_FLAGS = ['plugin'];
+// What happens after the files are written; not part of the project answers
+const SETUP_FLAGS = ['git', 'skip-install', 'offline'];
+const KNOWN_FLAGS = ['yes', 'help', 'version', 'dry-run', 'json', 'force', ...STRING_FLAGS, ...ARRAY_FLAGS, ...SETUP_FLAGS, ...FLAGS.flatMap(f => [f.flag, ...(f.aliases || [])])];
 
-  // Get configuration
-  const config = await inquirer.prompt([
-    {
-      type: 'list',
-      name: 'language',
-      message: 'Select language:',
-      choices: ['TypeScript', 'JavaScript'],
-      default: 'TypeScript'
-    },
-    {
-      type: 'list',
-      name: 'database',
-      message: 'Select database:',
-      choices: [
-        { name: 'MongoDB (Mongoose)', value: 'mongodb' },
-        { name: 'PostgreSQL (Sequelize)', value: 'postgresql' },
-        { name: 'MySQL (Sequelize)', value: 'mysql' },
-        { name: 'None', value: 'none' }
-      ],
-      default: 'mongodb'
-    },
-    {
-      type: 'confirm',
-      name: 'auth',
-      message: 'Setup JWT authentication?',
-      default: true
-    },
-    {
-      type: 'list',
-      name: 'validation',
-      message: 'Select validation library:',
-      choices: [
-        { name: 'Zod (recommended for TypeScript)', value: 'zod' },
-        { name: 'Joi', value: 'joi' },
-        { name: 'None', value: 'none' }
-      ],
-      default: 'zod'
-    },
-    {
-      type: 'list',
-      name: 'logger',
-      message: 'Select logger:',
-      choices: ['Winston', 'Pino', 'None'],
-      default: 'Winston'
-    },
-    {
-      type: 'confirm',
-      name: 'errorHandling',
-      message: 'Include AppError and response utilities?',
-      default: true
-    },
-    {
-      type: 'confirm',
-      name: 'docker',
-      message: 'Include Docker support?',
-      default: true
+// Subcommands run inside an existing project: name -> accepted flags + handler
+const COMMANDS = {
+  generate: { flags: ['fields', 'force'], run: generate },
+  add: { flags: ['yes', 'orm'], run: add },
+  upgrade: { flags: ['yes', 'offline'], run: upgrade }
+};
+COMMANDS.g = COMMANDS.generate;
+
+function printHelp() {
+  console.log(`
+Usage: create-node-advance-app [project-name | @scope/name | .] [options]
+       create-node-advance-app generate resource <name> [--fields <spec>] [--force]
+       create-node-advance-app add <feature> [value] [--orm <name>] [--yes]
+       create-node-advance-app upgrade [--yes] [--offline]
+
+Options:
+  --language <ts|js>                          Language (default: ts)
+  --module <cjs|esm>                          Module system of the generated code (default: cjs)
+  --framework <express|fastify|koa>           Web framework (default: express)
+  --db <mongodb|postgresql|mysql|sqlite|none> Database (default: mongodb)
+  --orm <sequelize|prisma|drizzle|typeorm>    ORM for SQL databases (default: sequelize)
+  --auth, --no-auth                           Setup JWT authentication (default: yes)
+  --validation <zod|joi|none>                 Validation library (default: zod)
+  --docs, --no-docs                           OpenAPI spec + Swagger UI at /docs (default: yes)
+  --logger <winston|pino|none>                Logger (default: winston)
+  --error-handling, --no-error-handling       Include AppError and response utilities (default: yes)
+  --docker, --no-docker                       Include Docker support (default: yes)
+  --test <jest|vitest|none>                   Test framework (default: jest)
+  --lint, --no-lint                           ESLint + Prettier with lint/format/typecheck scripts (default: yes)
+  --git-hooks, --no-git-hooks                 Pre-commit hook running lint-staged via husky (default: yes, needs --lint)
+  --pm <npm|pnpm|yarn|bun>                    Package manager (default: the one running this CLI)
+  --plugin <path|package>                     Apply a plugin (repeatable); its questions are asked after these
+  --template <path|git-url|package>           Render a starter template over (or instead of) the built-in files
+  --git, --no-git                             Initialize a git repository with an initial commit (default: yes)
+  --skip-install                              Don't install dependencies
+  --offline                                   Don't install dependencies or download templates, use cached
+                                              ones (e.g. on air-gapped machines)
+  --force                                     Generate into a non-empty directory: merge package.json, .env and
+                                              ignore files, overwrite other existing files
+  -y, --yes                                   Use defaults for anything not passed as a flag, skip confirmation
+  --dry-run                                   Print the files that would be generated without writing anything
+  --json                                      With --dry-run, print the plan as JSON
+  --config <file>                             Load answers from a JSON or YAML file
+  --preset <name>                             Load answers from a preset saved in ~/.cnapprc
+  --save-preset <name>                        Save the final answers as a preset in ~/.cnapprc
+  -h, --help                                  Show this help
+  -v, --version                               Show version
+
+Precedence: config file < preset < flags < prompts.
+
+Examples:
+  create-node-advance-app my-api --language ts --db postgresql --no-docker --yes
+  create-node-advance-app my-api --db sqlite --orm drizzle --yes
+  create-node-advance-app my-api --framework fastify --logger pino --yes
+  create-node-advance-app my-api --pm pnpm --no-git --offline --yes
+  create-node-advance-app @team/orders-api --yes          # package "@team/orders-api" in ./orders-api
+  create-node-advance-app . --force                       # into the current directory, merging what's there
+  create-node-advance-app my-api --config team.yml --yes
+  create-node-advance-app my-api --preset internal-api
+  create-node-advance-app my-api --plugin ./plugins/tracing.js --plugin @acme/cnapp-audit
+  create-node-advance-app my-api --template github:acme/node-starter#v2
+  create-node-advance-app my-api --yes --dry-run --json > plan.json
+  cnapp generate resource product --fields name:string:unique,price:number,inStock:boolean:optional
+  cnapp add logger pino
+  cnapp upgrade
+
+Field types: string, text, number, integer, boolean, date. Modifiers: unique, optional.
+
+Features for "add": docker, auth, docs, error-handling, logger <winston|pino>,
+validation <zod|joi>, db <mongodb|postgresql|mysql|sqlite> [--orm <name>], test <jest|vitest>, lint, git-hooks.
+Changes to existing files are shown as a diff and need confirmation (--yes applies them all).
+
+"upgrade" generates the project again with this version (from the answers in .cnapp.json),
+updates the files you haven't edited and merges the new version into those you have.
+Files changed on both sides are reported with the new version's diff and left as they are.
+`);
+}
+
+function parseCliArgs(argv) {
+  const { _: positionals, flags, raw } = parseArgs(argv, {
+    boolean: ['yes', 'help', 'version', 'force', 'dry-run', 'json', ...SETUP_FLAGS, ...BOOLEAN_FLAGS],
+    array: ARRAY_FLAGS,
+    alias: { y: 'yes', h: 'help', v: 'version' }
+  });
+
+  const command = COMMANDS[positionals[0]];
+  const knownFlags = command ? ['help', ...command.flags] : KNOWN_FLAGS;
+
+  const unknown = Object.keys(flags).filter(
+    flag => !knownFlags.some(known => toCamelCase(known) === flag)
+  );
+  if (unknown.length) {
+    throw new CliError(`Unknown option(s): ${unknown.map(flag => raw[flag]).join(', ')}\nRun with --help to see available options.`);
+  }
+
+  if (command) {
+    return { command, positionals: positionals.slice(1), flags, raw };
+  }
+
+  if (positionals.length > 1) {
+    throw new CliError(`Unexpected argument(s): ${positionals.slice(1).join(' ')}\nPass a single project name, e.g. create-node-advance-app my-api --yes`);
+  }
+
+  if (flags.json && !flags.dryRun) {
+    throw new CliError('--json can only be used together with --dry-run');
+  }
+  // A dry run writes nothing, ~/.cnapprc included
+  if (flags.savePreset !== undefined && flags.dryRun) {
+    throw new CliError('--save-preset cannot be used with --dry-run, which writes nothing. Run without --dry-run to save the preset.');
+  }
+
+  STRING_FLAGS.forEach(flag => {
+    const value = flags[toCamelCase(flag)];
+    if (value !== undefined && typeof value !== 'string') {
+      throw new CliError(`${raw[toCamelCase(flag)]} requires a value`);
     }
-  ]);
+  });
 
-  config.projectName = projectName;
-  config.projectPath = path.join(process.cwd(), projectName);
+  const answers = answersFromFlags(flags, raw);
+  if (flags.plugin) {
+    if (!flags.plugin.every(spec => typeof spec === 'string')) {
+      throw new CliError(`${raw.plugin} requires a path or package name`);
+    }
+    // Local paths are kept absolute, so a saved preset works from any directory
+    answers.plugins = flags.plugin.map(spec => resolvePluginSpec(spec));
+  }
+  if (flags.template) {
+    answers.template = resolveTemplateSpec(flags.template);
+  }
 
-  // Check if directory exists
-  if (fs.existsSync(config.projectPath)) {
-    console.log(chalk.red(`\n❌ Directory "${projectName}" already exists!\n`));
-    process.exit(1);
+  return { positionals, flags, raw, answers };
+}
+
+// --orm only picks the ORM of a SQL database: rejected rather than ignored with any other one
+function checkOrmFlag({ answers, raw }, database) {
+  if (answers.orm === undefined || database === undefined || SQL_DATABASES.includes(database)) return;
+  throw new CliError(`${raw.orm} only applies to a SQL database (${SQL_DATABASES.join(', ')}), not "${database}"`);
+}
+
+// Answers known before prompting. Precedence: config file < preset < CLI flags.
+// Plugins add up across the three; answers to their prompts follow the same precedence.
+function loadInitialAnswers({ flags, answers }) {
+  const sources = [
+    flags.config ? loadConfigFile(flags.config) : {},
+    flags.preset ? loadPreset(flags.preset) : {},
+    answers
+  ];
+  const prefilled = Object.assign({}, ...sources);
+  const plugins = [...new Set(sources.flatMap(source => source.plugins || []))];
+
+  if (plugins.length) {
+    prefilled.plugins = plugins;
+    prefilled.pluginOptions = sources.reduce((options, source) => {
+      Object.entries(source.pluginOptions || {}).forEach(([name, given]) => {
+        options[name] = { ...options[name], ...given };
+      });
+      return options;
+    }, {});
+  }
+  return prefilled;
+}
+
+// Each plugin's questions, after the core ones; answers already given are not asked again.
+// With --yes the prompts' defaults are used.
+async function askPluginOptions(plugins, config, given = {}, nonInteractive) {
+  const context = renderContext(config);
+  if (nonInteractive) return defaultPluginOptions(plugins, given, context);
+
+  const options = {};
+  for (const plugin of plugins) {
+    const prompts = pluginPrompts(plugin, context);
+    options[plugin.name] = prompts.length
+      ? await inquirer.prompt(prompts, { ...given[plugin.name] })
+      : { ...given[plugin.name] };
+  }
+  return options;
+}
+
+async function offerToSavePreset(config, { flags }, nonInteractive) {
+  let name = flags.savePreset;
+
+  if (!name && !nonInteractive && !flags.preset) {
+    const { save } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'save',
+        message: 'Save these answers as a preset for next time?',
+        default: false
+      }
+    ]);
+
+    if (save) {
+      ({ name } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'name',
+          message: 'Preset name:',
+          validate: value => /^[\w.-]+$/.test(value) || 'Use letters, numbers, dots, dashes or underscores'
+        }
+      ]));
+    }
+  }
+
+  if (!name) return;
+
+  // Skipped questions (the ORM without a SQL database) are left out
+  const answers = Object.fromEntries(questions
+    .filter(q => config[q.name] !== undefined)
+    .map(q => [q.name, config[q.name]]));
+  if (config.plugins && config.plugins.length) {
+    answers.plugins = config.plugins;
+    answers.pluginOptions = config.pluginOptions;
   }
+  if (config.template) {
+    answers.template = config.template;
+  }
+  // The project is already generated: a preset that can't be written isn't worth failing the run
+  let rcPath;
+  try {
+    rcPath = savePreset(name, answers);
+  } catch (error) {
+    if (!(error instanceof CliError)) throw error;
+    console.log(chalk.yellow(`\n⚠️  ${error.message}\n`));
+    return;
+  }
+  console.log(chalk.green(`\n💾 Saved preset "${name}" to ${rcPath}`));
+  console.log(chalk.gray(`   Reuse it with: create-node-advance-app <project-name> --preset ${name}\n`));
+}
 
-  // Display configuration summary
+// Target directory as typed by the user: './orders-api' or '.'
+function displayPath(projectPath) {
+  const relative = path.relative(process.cwd(), projectPath);
+  return relative ? `./${relative}` : '.';
+}
+
+function printSummary(projectName, config, plugins = [], template = null) {
   console.log(chalk.yellow('\n📋 Configuration Summary:'));
   console.log(chalk.gray('─'.repeat(50)));
   console.log(`${chalk.bold('Project:')} ${projectName}`);
-  console.log(`${chalk.bold('Language:')} ${config.language}`);
-  console.log(`${chalk.bold('Database:')} ${config.database === 'mongodb' ? 'MongoDB (Mongoose)' : config.database === 'postgresql' ? 'PostgreSQL (Sequelize)' : config.database === 'mysql' ? 'MySQL (Sequelize)' : 'None'}`);
+  if (path.basename(config.projectPath) !== projectName) {
+    console.log(`${chalk.bold('Directory:')} ${displayPath(config.projectPath)}`);
+  }
+  console.log(`${chalk.bold('Language:')} ${config.language}${config.moduleSystem === 'esm' ? ' (ES modules)' : ''}`);
+  console.log(`${chalk.bold('Framework:')} ${FRAMEWORK_LABELS[config.framework]}`);
+  console.log(`${chalk.bold('Database:')} ${describeDatabase(config) || 'None'}`);
   console.log(`${chalk.bold('Auth:')} ${config.auth ? 'JWT ✓' : 'No'}`);
   console.log(`${chalk.bold('Validation:')} ${config.validation === 'none' ? 'None' : config.validation.charAt(0).toUpperCase() + config.validation.slice(1)}`);
+  console.log(`${chalk.bold('API Docs:')} ${config.docs ? 'Swagger UI at /docs ✓' : '✗'}`);
   console.log(`${chalk.bold('Logger:')} ${config.logger}`);
   console.log(`${chalk.bold('Error Utils:')} ${config.errorHandling ? '✓' : '✗'}`);
   console.log(`${chalk.bold('Docker:')} ${config.docker ? '✓' : '✗'}`);
+  console.log(`${chalk.bold('Tests:')} ${config.testing === 'jest' ? 'Jest' : config.testing === 'vitest' ? 'Vitest' : 'None'}`);
+  console.log(`${chalk.bold('Lint & Format:')} ${config.lint ? `ESLint + Prettier${config.gitHooks ? ', pre-commit hook' : ''} ✓` : '✗'}`);
+  console.log(`${chalk.bold('Package Manager:')} ${config.packageManager}`);
+  if (plugins.length) {
+    console.log(`${chalk.bold('Plugins:')} ${plugins.map(plugin => plugin.name).join(', ')}`);
+  }
+  if (template) {
+    console.log(`${chalk.bold('Template:')} ${template.name} (${template.mode === 'replace' ? 'replaces the built-in files' : 'over the built-in files'})`);
+  }
   console.log(chalk.gray('─'.repeat(50)));
+}
+
+// --dry-run: show every file that would be written, plus the dependencies
+function printPlan(config, asJson, force, plugins, template) {
+  const plan = buildPlan(config);
+
+  if (asJson) {
+    console.log(JSON.stringify(plan, null, 2));
+    return;
+  }
+
+  printSummary(config.projectName, config, plugins, template);
+  console.log(chalk.yellow('\n🗂  File plan (dry run, nothing written):\n'));
+  console.log(formatTree(plan));
+  console.log(chalk.gray(`\n${plan.files.length} files, ${formatSize(plan.totalSize)}`));
 
-  const { confirm } = await inquirer.prompt([
+  // A template in "replace" mode may have no package.json
+  [['Dependencies', plan.dependencies], ['Dev dependencies', plan.devDependencies]].filter(([, deps]) => deps).forEach(([title, deps]) => {
+    console.log(chalk.yellow(`\n📦 ${title}:`));
+    Object.entries(deps).forEach(([name, version]) => console.log(`  ${name} ${chalk.gray(version)}`));
+  });
+
+  if (isNonEmptyDirectory(config.projectPath)) {
+    const existing = plan.files.map(file => file.path).filter(file => fs.existsSync(path.join(config.projectPath, file)));
+    const listed = existing.length > 10 ? [...existing.slice(0, 10), `and ${existing.length - 10} more`] : existing;
+    console.log(force
+      ? chalk.yellow(`\n⚠️  ${displayPath(config.projectPath)} is not empty. ${existing.length} existing file(s) would be merged or overwritten${existing.length ? `: ${listed.join(', ')}` : ''}.`)
+      : chalk.red(`\n⚠️  ${displayPath(config.projectPath)} is not empty, a real run needs --force to merge into it.`));
+  }
+  console.log('');
+}
+
+// Project name and directory from the first argument ('.' = current directory).
+// An invalid name is asked again with a suggested fix, or rejected with --yes.
+async function resolveProject(input, nonInteractive) {
+  const target = resolveProjectTarget(input, process.cwd());
+  if (!target.errors.length) return target;
+
+  const problems = `"${input}" is not a valid package name: it ${target.errors.join(', ')}`;
+  if (nonInteractive) {
+    throw new CliError(`${problems}.\nTry "${suggestProjectName(input)}" instead.`);
+  }
+
+  console.log(chalk.yellow(`⚠️  ${problems}.\n`));
+  const { name } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'name',
+      message: 'Project name:',
+      default: suggestProjectName(input),
+      validate: value => {
+        const errors = projectNameErrors(value);
+        return !errors.length || `The name ${errors.join(', ')}`;
+      }
+    }
+  ]);
+  return resolveProjectTarget(name, process.cwd());
+}
+
+// A non-empty target directory is only used with --force or after confirming.
+// Returns whether to merge into it.
+async function confirmNonEmptyDirectory(projectPath, { force, nonInteractive, dryRun }) {
+  if (!isNonEmptyDirectory(projectPath) || force || dryRun) return force;
+
+  const where = displayPath(projectPath);
+  if (nonInteractive) {
+    throw new CliError(`Directory ${where} is not empty. Pass --force to merge the project into it.`);
+  }
+
+  const { merge } = await inquirer.prompt([
     {
       type: 'confirm',
-      name: 'confirm',
-      message: 'Proceed with this configuration?',
-      default: true
+      name: 'merge',
+      message: `Directory ${where} is not empty. Merge the project into it? (package.json, .env and ignore files are merged, other existing files are overwritten)`,
+      default: false
     }
   ]);
 
+  if (!merge) {
+    console.log(chalk.yellow('\n❌ Project generation cancelled.\n'));
+    process.exit(0);
+  }
+  return true;
+}
+
+// git init, dependency install, then the initial commit (so it includes the lockfile).
+// Problems are only warnings: the project is written either way. Returns whether dependencies were installed.
+async function setUpProject({ projectPath, packageManager, lint }, flags, files) {
+  const repo = flags.git === false ? null : initGitRepository(projectPath);
+  let installed = false;
+
+  if (flags.skipInstall || flags.offline) {
+    console.log(chalk.gray(`\nSkipped installing dependencies (--${flags.offline ? 'offline' : 'skip-install'}).`));
+  } else {
+    console.log(chalk.yellow(`\n📥 Installing dependencies with ${packageManager}...\n`));
+    const result = await installDependencies(projectPath, packageManager);
+    installed = result.ok;
+    if (!result.ok) {
+      console.log(chalk.yellow(`\n⚠️  Could not install dependencies: ${result.reason}`));
+    }
+  }
+
+  // Templates aren't Prettier-formatted; do it before the initial commit so `format:check` starts clean
+  if (installed && lint) {
+    const format = formatFiles(projectPath, files.map(file => file.path));
+    if (format.ok) {
+      // The manifest records the files as committed, so `cnapp upgrade` finds them in git
+      markFormatted(projectPath, files.map(file => file.path));
+    } else {
+      console.log(chalk.yellow(`\n⚠️  Could not format the project with Prettier (${format.reason}). Run ${packageManagerCommands(packageManager).run('format')} by hand.`));
+    }
+  }
+
+  if (repo && repo.ok) {
+    const commit = commitAll(projectPath, INITIAL_COMMIT_MESSAGE);
+    console.log(commit.ok
+      ? chalk.green('\n🗂  Initialized a git repository with an initial commit')
+      : chalk.yellow(`\n⚠️  Initialized a git repository, but the initial commit failed (${commit.reason}). Commit by hand once git is set up.`));
+  } else if (repo) {
+    console.log(chalk.gray(`\nSkipped git init: ${repo.reason}.`));
+  }
+
+  return installed;
+}
+
+// Ctrl+C while files are written aborts the generation, which removes the partial output
+async function generateProject(config, force, offline) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  process.once('SIGINT', abort);
+
+  try {
+    return await createProject(config, { output: { type: 'disk', force }, signal: controller.signal, offline });
+  } finally {
+    process.removeListener('SIGINT', abort);
+  }
+}
+
+function exitWithError(error) {
+  if (!(error instanceof CnappError)) throw error;
+  console.log(chalk.red(`\n❌ ${error.message}\n`));
+  process.exit(1);
+}
+
+async function main() {
+  let cli;
+  try {
+    cli = parseCliArgs(process.argv.slice(2));
+  } catch (error) {
+    exitWithError(error);
+  }
+
+  if (cli.flags.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  if (cli.flags.version) {
+    console.log(pkg.version);
+    process.exit(0);
+  }
+
+  if (cli.command) {
+    try {
+      await cli.command.run(cli.positionals, cli.flags);
+    } catch (error) {
+      exitWithError(error);
+    }
+    return;
+  }
+
+  const nonInteractive = Boolean(cli.flags.yes);
+  const dryRun = Boolean(cli.flags.dryRun);
+
+  let prefilled;
+  let plugins;
+  let template = null;
+  try {
+    prefilled = loadInitialAnswers(cli);
+    // Fetched first: the template's answers come before config files, presets and flags
+    if (prefilled.template) {
+      template = await fetchTemplate(prefilled.template, { offline: Boolean(cli.flags.offline) });
+      prefilled = { ...template.answers, ...prefilled };
+    }
+    plugins = loadPlugins(prefilled.plugins);
+    checkOrmFlag(cli, prefilled.database);
+  } catch (error) {
+    exitWithError(error);
+  }
+
+  if (!cli.flags.json) {
+    console.log(chalk.cyan.bold('\n🔥 create-node-advance-app\n'));
+    if (template && template.warning) {
+      console.log(chalk.yellow(`⚠️  ${template.warning}.\n`));
+    } else if (template && template.source === 'cache') {
+      console.log(chalk.gray(`Using the cached copy of template "${template.spec}" (--offline).\n`));
+    }
+  }
+
+  let projectName;
+  let projectPath;
+  let force;
+  try {
+    ({ projectName, projectPath } = await resolveProject(cli.positionals[0] || 'my-backend', nonInteractive));
+    force = await confirmNonEmptyDirectory(projectPath, { force: Boolean(cli.flags.force), nonInteractive, dryRun });
+  } catch (error) {
+    exitWithError(error);
+  }
+
+  // The package manager defaults to the one that launched the CLI
+  const packageManager = detectPackageManager();
+
+  // Get configuration (known answers skip their prompt, --yes skips all of them)
+  const config = nonInteractive
+    ? { ...getDefaults(), packageManager, ...prefilled }
+    : await inquirer.prompt(
+      questions.map(q => (q.name === 'packageManager' ? { ...q, default: packageManager } : q)),
+      prefilled
+    );
+
+  config.projectName = projectName;
+  config.projectPath = projectPath;
+
+  try {
+    checkOrmFlag(cli, config.database);
+  } catch (error) {
+    exitWithError(error);
+  }
+
+  if (plugins.length) {
+    try {
+      config.pluginOptions = await askPluginOptions(plugins, config, prefilled.pluginOptions, nonInteractive);
+    } catch (error) {
+      exitWithError(error);
+    }
+  }
+
+  if (dryRun) {
+    try {
+      // Rendered from the directory the template was fetched into
+      printPlan(template ? { ...config, template: template.dir } : config, cli.flags.json, force, plugins, template);
+    } catch (error) {
+      exitWithError(error);
+    }
+    return;
+  }
+
+  printSummary(projectName, config, plugins, template);
+
+  const { confirm } = nonInteractive
+    ? { confirm: true }
+    : await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirm',
+        message: 'Proceed with this configuration?',
+        default: true
+      }
+    ]);
+
   if (!confirm) {
     console.log(chalk.yellow('\n❌ Project generation cancelled.\n'));
     process.exit(0);
@@ -110,25 +562,41 @@ async function main() {
   try {
     console.log(chalk.yellow('\n📦 Creating project...\n'));
 
-    await templates.createProject(config);
+    const { merged, overwritten, files } = await generateProject(config, force, Boolean(cli.flags.offline));
 
-    console.log(chalk.green('✅ Project created successfully!\n'));
-    console.log(chalk.white('Next steps:\n'));
-    console.log(chalk.gray(`  cd ${projectName}`));
-    console.log(chalk.gray('  npm install'));
+    merged.forEach(file => console.log(chalk.gray(`  merged into existing ${file}`)));
+    overwritten.forEach(file => console.log(chalk.yellow(`  overwrote ${file}`)));
+    console.log(chalk.green(`${merged.length || overwritten.length ? '\n' : ''}✅ Project created successfully!`));
 
-    if (config.database === 'postgresql' || config.database === 'mysql') {
-      console.log(chalk.green('  Create a Database in your DBMS'));
-      console.log(chalk.greenBright('  Update database name and credentials in .env'));
+    const installed = await setUpProject(config, cli.flags, files);
+    const pm = packageManagerCommands(config.packageManager);
 
-      // console.log(chalk.gray('  npx sequelize-cli db:migrate'));
+    console.log(chalk.white('\nNext steps:\n'));
+    if (config.projectPath !== process.cwd()) {
+      console.log(chalk.gray(`  cd ${path.relative(process.cwd(), config.projectPath)}`));
+    }
+    if (!installed) {
+      console.log(chalk.gray(`  ${pm.install}`));
+    }
+
+    const orm = resolveOrm(config);
+    const migrate = `${orm === 'drizzle' || orm === 'typeorm' ? `${pm.run('db:generate')} && ` : ''}${pm.run('db:migrate')}`;
+    if (config.database === 'sqlite') {
+      console.log(chalk.gray(`  ${migrate}   # creates the SQLite file`));
+    } else if (config.database === 'postgresql' || config.database === 'mysql') {
+      console.log(chalk.green('  Create a Database in your DBMS'));
+      console.log(chalk.greenBright(`  Update ${orm === 'sequelize' ? 'database name and credentials' : 'DATABASE_URL'} in .env`));
+      console.log(chalk.gray(`  ${migrate}`));
     } else if (config.database === 'mongodb') {
       console.log(chalk.gray('  # Configure MongoDB URI in .env'));
     }
 
-    console.log(chalk.gray('  npm run dev\n'));
+    console.log(chalk.gray(`  ${pm.run('dev')}\n`));
+
+    await offerToSavePreset(config, cli, nonInteractive);
 
   } catch (error) {
+    if (error instanceof CnappError) exitWithError(error);
     console.error(chalk.red('❌ Error:'), error.message);
     console.error(error.stack);
     process.exit(1);
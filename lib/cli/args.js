@@ -0,0 +1,100 @@
+// Minimal argv parser (kept dependency-free on purpose)
+//
+// Supports:
+//   --flag value, --flag=value   -> { flag: 'value' }
+//   --flag                       -> { flag: true }   (boolean flags)
+//   --no-flag                    -> { flag: false }  (boolean flags)
+//   -y                           -> { yes: true }    (via aliases)
+//   --flag a --flag b            -> { flag: ['a', 'b'] } (array flags)
+//   --flag=no                    -> { flag: false }  (boolean flags: true|false|yes|no|1|0)
+//
+// Everything else is collected as a positional argument in `_`.
+// `raw` maps each flag key to the flag as typed (`noLanguage` -> `--no-language`), for messages.
+const { CliError } = require('../errors');
+
+const BOOLEAN_VALUES = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+}
+
+function parseArgs(argv, options = {}) {
+  const booleans = new Set(options.boolean || []);
+  const arrays = new Set(options.array || []);
+  const aliases = options.alias || {};
+  const result = { _: [], flags: {}, raw: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      result._.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (/^-[a-zA-Z]$/.test(arg)) {
+      const name = aliases[arg.slice(1)];
+      if (!name) {
+        result.flags[arg.slice(1)] = true;
+        result.raw[arg.slice(1)] = arg;
+        continue;
+      }
+      result.raw[toCamelCase(name)] = arg;
+      if (booleans.has(name)) {
+        result.flags[toCamelCase(name)] = true;
+      } else {
+        result.flags[toCamelCase(name)] = argv[++i];
+      }
+      continue;
+    }
+
+    if (!arg.startsWith('--')) {
+      result._.push(arg);
+      continue;
+    }
+
+    let name = arg.slice(2);
+    let value;
+
+    const eqIndex = name.indexOf('=');
+    if (eqIndex !== -1) {
+      value = name.slice(eqIndex + 1);
+      name = name.slice(0, eqIndex);
+    }
+
+    if (value === undefined && name.startsWith('no-') && booleans.has(name.slice(3))) {
+      result.flags[toCamelCase(name.slice(3))] = false;
+      result.raw[toCamelCase(name.slice(3))] = `--${name}`;
+      continue;
+    }
+    result.raw[toCamelCase(name)] = `--${name}`;
+
+    if (value === undefined) {
+      const next = argv[i + 1];
+      if (booleans.has(name) || next === undefined || next.startsWith('-')) {
+        value = true;
+      } else {
+        value = next;
+        i++;
+      }
+    } else if (booleans.has(name)) {
+      const parsed = BOOLEAN_VALUES[value.toLowerCase()];
+      if (parsed === undefined) {
+        throw new CliError(`--${name} must be true, false, yes, no, 1 or 0 (got "${value}")`);
+      }
+      value = parsed;
+    }
+
+    if (arrays.has(name)) {
+      const key = toCamelCase(name);
+      result.flags[key] = [...(result.flags[key] || []), value];
+      continue;
+    }
+
+    result.flags[toCamelCase(name)] = value;
+  }
+
+  return result;
+}
+
+module.exports = { parseArgs, toCamelCase };
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { CliError } = require('../errors');
+const { answersFromObject } = require('./questions');
+const { resolvePluginSpec } = require('../plugins');
+const { resolveTemplateSpec } = require('../template');
+
+// User-level rc file holding named presets:
+// { "presets": { "internal-api": { "language": "TypeScript", "database": "postgresql", ... } } }
+function getRcPath() {
+  return path.join(os.homedir(), '.cnapprc');
+}
+
+function parseFile(filePath, content) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === '.yml' || ext === '.yaml') {
+    return yaml.load(content);
+  }
+
+  return JSON.parse(content);
+}
+
+// Loads answers from a JSON or YAML config file (--config team.json)
+function loadConfigFile(file) {
+  const filePath = path.resolve(process.cwd(), file);
+
+  if (!fs.existsSync(filePath)) {
+    throw new CliError(`Config file not found: ${file}`);
+  }
+
+  let data;
+  try {
+    data = parseFile(filePath, fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new CliError(`Could not parse config file ${file}: ${error.message}`);
+  }
+
+  const answers = answersFromObject(data, `config file ${file}`);
+
+  // Local plugin and template paths are relative to the config file, not to where the CLI runs
+  if (answers.plugins) {
+    answers.plugins = answers.plugins.map(spec => resolvePluginSpec(spec, path.dirname(filePath)));
+  }
+  if (answers.template) {
+    answers.template = resolveTemplateSpec(answers.template, path.dirname(filePath));
+  }
+
+  return answers;
+}
+
+function readRc() {
+  const rcPath = getRcPath();
+
+  if (!fs.existsSync(rcPath)) {
+    return { presets: {} };
+  }
+
+  try {
+    const rc = JSON.parse(fs.readFileSync(rcPath, 'utf8'));
+    return { ...rc, presets: rc.presets || {} };
+  } catch (error) {
+    throw new CliError(`Could not parse ${rcPath}: ${error.message}`);
+  }
+}
+
+// Loads a named preset from ~/.cnapprc (--preset internal-api)
+function loadPreset(name) {
+  const { presets } = readRc();
+
+  if (!presets[name]) {
+    const available = Object.keys(presets);
+    throw new CliError(
+      `Preset "${name}" not found in ${getRcPath()}` +
+      (available.length ? `\nAvailable presets: ${available.join(', ')}` : '')
+    );
+  }
+
+  return answersFromObject(presets[name], `preset "${name}"`);
+}
+
+function savePreset(name, answers) {
+  const rc = readRc();
+  rc.presets[name] = answers;
+  try {
+    fs.writeFileSync(getRcPath(), JSON.stringify(rc, null, 2) + '\n');
+  } catch (error) {
+    throw new CliError(`Could not save preset "${name}" to ${getRcPath()}: ${error.message}`);
+  }
+  return getRcPath();
+}
+
+module.exports = {
+  getRcPath,
+  loadConfigFile,
+  loadPreset,
+  savePreset
+};
@@ -0,0 +1,289 @@
+const { CliError } = require('../errors');
+const { toCamelCase } = require('./args');
+const { featurePrompts } = require('../templates/features');
+
+// Interactive questionnaire. Every entry here is also exposed as a CLI flag (see FLAGS).
+// The database, validation, logger and Docker questions come from their features (../templates/features).
+const questions = [
+  {
+    type: 'list',
+    name: 'language',
+    message: 'Select language:',
+    choices: ['TypeScript', 'JavaScript'],
+    default: 'TypeScript'
+  },
+  {
+    type: 'list',
+    name: 'moduleSystem',
+    message: 'Select module system:',
+    choices: [
+      { name: 'CommonJS (require / module.exports)', value: 'commonjs' },
+      { name: 'ES Modules (import / export, "type": "module")', value: 'esm' }
+    ],
+    default: 'commonjs'
+  },
+  {
+    type: 'list',
+    name: 'framework',
+    message: 'Select web framework:',
+    choices: [
+      { name: 'Express', value: 'express' },
+      { name: 'Fastify', value: 'fastify' },
+      { name: 'Koa', value: 'koa' }
+    ],
+    default: 'express'
+  },
+  ...featurePrompts('database'),
+  {
+    type: 'confirm',
+    name: 'auth',
+    message: 'Setup JWT authentication?',
+    default: true
+  },
+  ...featurePrompts('validation'),
+  {
+    type: 'confirm',
+    name: 'docs',
+    message: 'Generate OpenAPI docs (Swagger UI at /docs)?',
+    default: true
+  },
+  ...featurePrompts('logger'),
+  {
+    type: 'confirm',
+    name: 'errorHandling',
+    message: 'Include AppError and response utilities?',
+    default: true
+  },
+  ...featurePrompts('docker'),
+  {
+    type: 'list',
+    name: 'testing',
+    message: 'Select test framework:',
+    choices: [
+      { name: 'Jest + Supertest', value: 'jest' },
+      { name: 'Vitest + Supertest', value: 'vitest' },
+      { name: 'None', value: 'none' }
+    ],
+    default: 'jest'
+  },
+  {
+    type: 'confirm',
+    name: 'lint',
+    message: 'Add ESLint + Prettier (lint, format and typecheck scripts)?',
+    default: true
+  },
+  {
+    type: 'confirm',
+    name: 'gitHooks',
+    message: 'Lint and format staged files before each commit (husky + lint-staged)?',
+    default: true,
+    when: answers => answers.lint
+  },
+  {
+    type: 'list',
+    name: 'packageManager',
+    message: 'Select package manager:',
+    choices: [
+      { name: 'npm', value: 'npm' },
+      { name: 'pnpm', value: 'pnpm' },
+      { name: 'Yarn', value: 'yarn' },
+      { name: 'Bun', value: 'bun' }
+    ],
+    // The CLI defaults to the package manager it was launched with
+    default: 'npm'
+  }
+];
+
+// CLI flag for each question. `values` maps accepted flag values (lowercase) to answers.
+const FLAGS = [
+  {
+    flag: 'language',
+    name: 'language',
+    values: { ts: 'TypeScript', typescript: 'TypeScript', js: 'JavaScript', javascript: 'JavaScript' }
+  },
+  {
+    flag: 'module',
+    aliases: ['module-system'],
+    name: 'moduleSystem',
+    values: { cjs: 'commonjs', commonjs: 'commonjs', esm: 'esm', module: 'esm' }
+  },
+  {
+    flag: 'framework',
+    name: 'framework',
+    values: { express: 'express', fastify: 'fastify', koa: 'koa' }
+  },
+  {
+    flag: 'db',
+    aliases: ['database'],
+    name: 'database',
+    values: { mongodb: 'mongodb', mongo: 'mongodb', postgresql: 'postgresql', postgres: 'postgresql', pg: 'postgresql', mysql: 'mysql', sqlite: 'sqlite', none: 'none' }
+  },
+  {
+    flag: 'orm',
+    name: 'orm',
+    values: { sequelize: 'sequelize', prisma: 'prisma', drizzle: 'drizzle', typeorm: 'typeorm' }
+  },
+  { flag: 'auth', name: 'auth', boolean: true },
+  {
+    flag: 'validation',
+    name: 'validation',
+    values: { zod: 'zod', joi: 'joi', none: 'none' }
+  },
+  { flag: 'docs', name: 'docs', boolean: true },
+  {
+    flag: 'logger',
+    name: 'logger',
+    values: { winston: 'Winston', pino: 'Pino', none: 'None' }
+  },
+  { flag: 'error-handling', name: 'errorHandling', boolean: true },
+  { flag: 'docker', name: 'docker', boolean: true },
+  {
+    flag: 'test',
+    aliases: ['testing'],
+    name: 'testing',
+    values: { jest: 'jest', vitest: 'vitest', none: 'none' }
+  },
+  { flag: 'lint', name: 'lint', boolean: true },
+  // The hook runs the linter, so it is ignored without --lint
+  { flag: 'git-hooks', name: 'gitHooks', boolean: true, requires: 'lint' },
+  {
+    flag: 'package-manager',
+    aliases: ['pm'],
+    name: 'packageManager',
+    values: { npm: 'npm', pnpm: 'pnpm', yarn: 'yarn', bun: 'bun' }
+  }
+];
+
+const BOOLEAN_FLAGS = FLAGS.filter(f => f.boolean).map(f => f.flag);
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+function getDefaults() {
+  return questions.reduce((defaults, question) => {
+    defaults[question.name] = question.default;
+    return defaults;
+  }, {});
+}
+
+// Validates answers that come from outside the prompts (CLI flags, config files, presets).
+// Keys may be question names (`database`) or flag names (`db`); values are matched
+// case-insensitively, so both `ts` and `TypeScript` are accepted.
+// `describe(flag, key)` formats the offending key for error messages.
+function normalizeAnswers(input, describe) {
+  const answers = {};
+  const errors = [];
+
+  FLAGS.forEach(({ flag, aliases = [], name, boolean, values }) => {
+    const key = [name, flag, ...aliases]
+      .map(toCamelCase)
+      .find(k => input[k] !== undefined);
+
+    if (!key) return;
+    const raw = input[key];
+    const label = describe(flag, key);
+
+    if (boolean) {
+      if (typeof raw !== 'boolean') {
+        errors.push(`${label} must be true or false`);
+        return;
+      }
+      answers[name] = raw;
+      return;
+    }
+
+    if (typeof raw !== 'string') {
+      errors.push(`${label} requires a value (${Object.keys(values).join(', ')})`);
+      return;
+    }
+
+    const value = values[raw.toLowerCase()];
+    if (value === undefined) {
+      errors.push(`Invalid value "${raw}" for ${label}. Expected one of: ${Object.keys(values).join(', ')}`);
+      return;
+    }
+
+    answers[name] = value;
+  });
+
+  return { answers, errors };
+}
+
+// Turns parsed CLI flags into (partial) prompt answers.
+// Throws a CliError listing every invalid value, naming each flag as typed (`raw`, from parseArgs).
+function answersFromFlags(flags, raw = {}) {
+  const { answers, errors } = normalizeAnswers(flags, (flag, key) => raw[key] || `--${flag}`);
+
+  if (errors.length) {
+    throw new CliError(errors.join('\n'));
+  }
+
+  return answers;
+}
+
+// Normalizes an object of answers (config file, preset or API config).
+// Unknown keys are reported so typos don't silently fall back to prompts/defaults.
+function checkAnswers(input) {
+  const knownKeys = FLAGS.flatMap(({ flag, aliases = [], name }) => [name, flag, ...aliases].map(toCamelCase));
+  const normalized = Object.keys(input).reduce((acc, key) => {
+    acc[toCamelCase(key)] = input[key];
+    return acc;
+  }, {});
+
+  const { answers, errors } = normalizeAnswers(normalized, (flag, key) => `"${key}"`);
+
+  // Plugins to apply (paths, package names or, from the API, plugin objects) and the answers to their prompts
+  const { plugins, pluginOptions, template } = normalized;
+  if (plugins !== undefined) {
+    if (Array.isArray(plugins) && plugins.every(plugin => typeof plugin === 'string' || isObject(plugin))) {
+      answers.plugins = plugins;
+    } else {
+      errors.push('"plugins" must be a list of plugin paths or package names');
+    }
+  }
+  if (pluginOptions !== undefined) {
+    if (isObject(pluginOptions) && Object.values(pluginOptions).every(isObject)) {
+      answers.pluginOptions = pluginOptions;
+    } else {
+      errors.push('"pluginOptions" must map plugin names to the answers to their prompts');
+    }
+  }
+  // Starter template rendered over (or instead of) the built-in files: a path, git URL or package
+  if (template !== undefined) {
+    if (typeof template === 'string' && template.trim()) {
+      answers.template = template;
+    } else {
+      errors.push('"template" must be a template path, git URL or package name');
+    }
+  }
+
+  Object.keys(normalized)
+    .filter(key => !knownKeys.includes(key) && !['plugins', 'pluginOptions', 'template'].includes(key))
+    .forEach(key => errors.push(`Unknown option "${key}"`));
+
+  return { answers, errors };
+}
+
+// Same as answersFromFlags, for answers loaded from a config file or preset.
+function answersFromObject(input, source) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new CliError(`${source} must contain an object of answers`);
+  }
+
+  const { answers, errors } = checkAnswers(input);
+
+  if (errors.length) {
+    throw new CliError(`Invalid ${source}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return answers;
+}
+
+module.exports = {
+  questions,
+  FLAGS,
+  BOOLEAN_FLAGS,
+  getDefaults,
+  answersFromFlags,
+  answersFromObject,
+  checkAnswers
+};
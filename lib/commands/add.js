@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { createTwoFilesPatch } = require('diff');
+const { writeFile } = require('../utils');
+const { mergeThreeWay, mergePackageJson, mergeEnvFile } = require('../merge');
+const { detectProject } = require('../detect');
+const { CliError } = require('../errors');
+const { FLAGS } = require('../cli/questions');
+const { renderProject } = require('../templates');
+const { SQL_DATABASES, resolveOrm, describeDatabase } = require('../templates/orm');
+const { packageManagerCommands } = require('../templates/package-manager');
+const { readManifest, writeManifest, hashContent } = require('../manifest');
+const { printDiff, confirmUpdate } = require('./review');
+
+// Every question except the language, the module system, the framework and the package manager
+// can be added later. The ORM comes with the database: cnapp add db postgresql --orm prisma
+const FEATURES = FLAGS.filter(f => !['language', 'moduleSystem', 'framework', 'orm', 'packageManager'].includes(f.name));
+const ORM_FLAG = FLAGS.find(f => f.name === 'orm');
+
+function findFeature(name) {
+  return FEATURES.find(f => [f.flag, f.name, ...(f.aliases || [])].includes(name));
+}
+
+function usage() {
+  const lines = FEATURES.map(f => {
+    const values = f.boolean ? '' : ` <${Object.keys(f.values).filter(v => v !== 'none').join('|')}>`;
+    return `  cnapp add ${f.flag}${values}`;
+  });
+  return `Usage:\n${lines.join('\n')}`;
+}
+
+// Turns `add <feature> [value]` into the config key and the answer to set
+function resolveFeature(current, [featureName, rawValue, ...extra]) {
+  const feature = featureName && findFeature(featureName);
+  if (!feature) {
+    throw new CliError(`${featureName ? `Unknown feature "${featureName}"` : 'Please name a feature to add'}.\n${usage()}`);
+  }
+
+  const unexpected = feature.boolean ? [rawValue, ...extra].filter(arg => arg !== undefined) : extra;
+  if (unexpected.length) {
+    throw new CliError(`Unexpected argument(s): ${unexpected.join(' ')}\n${usage()}`);
+  }
+
+  let value = true;
+  if (!feature.boolean) {
+    value = rawValue && feature.values[rawValue.toLowerCase()];
+    if (!value || value.toLowerCase() === 'none') {
+      const choices = Object.keys(feature.values).filter(v => v !== 'none').join(', ');
+      throw new CliError(`"cnapp add ${feature.flag}" needs one of: ${choices}`);
+    }
+  }
+
+  if (feature.requires && !current[feature.requires]) {
+    throw new CliError(`${feature.flag} needs ${feature.requires}. Add it first: cnapp add ${feature.requires}`);
+  }
+
+  const existing = current[feature.name];
+  if (existing === value) {
+    throw new CliError(`This project already has ${feature.flag}${feature.boolean ? '' : ` (${value})`}.`);
+  }
+  if (!feature.boolean && existing.toLowerCase() !== 'none') {
+    throw new CliError(`This project already uses ${existing} for ${feature.flag}. "add" only adds missing features; switching is not supported.`);
+  }
+
+  return { feature, value };
+}
+
+// --orm for "add db": only meaningful with a SQL database
+function ormFromFlags(flags, feature, value) {
+  if (flags.orm === undefined) return undefined;
+  if (feature.name !== 'database' || !SQL_DATABASES.includes(value)) {
+    throw new CliError(`--orm only applies to "cnapp add db" with a SQL database (${SQL_DATABASES.join(', ')})`);
+  }
+  const orm = typeof flags.orm === 'string' && ORM_FLAG.values[flags.orm.toLowerCase()];
+  if (!orm) {
+    throw new CliError(`--orm needs one of: ${Object.keys(ORM_FLAG.values).join(', ')}`);
+  }
+  return orm;
+}
+
+// Works out the new content for one file, or null when it doesn't need to change.
+// Files the user edited get the template change three-way merged in; `conflict` is set
+// when both sides changed the same lines.
+function planFile(file, onDisk, before, after) {
+  if (onDisk === null) return { file, action: 'create', content: after };
+
+  if (file === 'package.json') {
+    const content = mergePackageJson(onDisk, after);
+    return content === onDisk ? null : { file, action: 'update', content };
+  }
+
+  if (path.basename(file).startsWith('.env')) {
+    const content = mergeEnvFile(onDisk, after);
+    return content === onDisk ? null : { file, action: 'update', content };
+  }
+
+  if (onDisk === after || before === after) return null;
+  if (before === undefined || onDisk === before) return { file, action: 'update', content: after, replaces: before === undefined };
+
+  const merged = mergeThreeWay(before, onDisk, after);
+  if (merged.conflict) {
+    return { file, action: 'conflict', patch: createTwoFilesPatch(`a/${file}`, `b/${file}`, before, after) };
+  }
+  return merged.content === onDisk ? null : { file, action: 'update', content: merged.content };
+}
+
+async function add(positionals, flags) {
+  const project = detectProject(process.cwd());
+  const { feature, value } = resolveFeature(project, positionals);
+  const updated = { ...project, [feature.name]: value };
+  if (flags.orm !== undefined) {
+    updated.orm = ormFromFlags(flags, feature, value);
+  }
+  const orm = resolveOrm(updated);
+
+  // Render the project as it was generated and as it would be with the feature;
+  // the difference between the two is what gets applied to the files on disk.
+  const before = renderProject(project);
+  const after = renderProject(updated);
+
+  const label = feature.name === 'database' ? describeDatabase(updated) : value;
+  console.log(chalk.cyan.bold(`\n➕ Adding ${feature.flag}${feature.boolean ? '' : ` (${label})`}\n`));
+  console.log(chalk.gray(`Detected: ${project.language}, database: ${project.database}, validation: ${project.validation}, logger: ${project.logger}\n`));
+
+  const read = file => {
+    const filePath = path.join(project.projectPath, file);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+  };
+
+  const changes = Object.entries(after.files)
+    .map(([file, content]) => planFile(file, read(file), before.files[file], content))
+    .filter(Boolean);
+
+  if (!changes.length) {
+    console.log(chalk.green('✅ Nothing to change, the project is already up to date.\n'));
+    return;
+  }
+
+  const written = [];
+  const skipped = [];
+  const conflicts = changes.filter(change => change.action === 'conflict');
+
+  for (const change of changes) {
+    if (change.action === 'conflict') continue;
+    if (change.action === 'update' && !(await confirmUpdate(change, read(change.file), flags))) {
+      skipped.push(change.file);
+      continue;
+    }
+    writeFile(path.join(project.projectPath, change.file), change.content);
+    written.push(change);
+  }
+
+  after.dirs.forEach(dir => {
+    fs.mkdirSync(path.join(project.projectPath, dir), { recursive: true });
+  });
+
+  // Keeps .cnapp.json in step: the new answer, and the hash of files now as generated
+  const manifest = readManifest(project.projectPath);
+  if (manifest) {
+    manifest.config = { ...manifest.config, [feature.name]: value, ...(feature.name === 'database' ? { orm: updated.orm } : {}) };
+    written.filter(change => change.content === after.files[change.file]).forEach(change => {
+      manifest.files[change.file] = hashContent(change.content);
+    });
+    writeManifest(project.projectPath, manifest);
+  }
+
+  console.log('');
+  written.forEach(change => {
+    console.log(chalk.green(`  ✔ ${change.action === 'create' ? 'created' : 'updated'} ${change.file}`));
+  });
+  skipped.forEach(file => console.log(chalk.yellow(`  ⏭ skipped ${file}`)));
+
+  if (conflicts.length) {
+    console.log(chalk.red(`\n⚠️  ${conflicts.length} file(s) have local changes that conflict with the update. Apply these changes by hand:`));
+    conflicts.forEach(conflict => printDiff(conflict.patch));
+  }
+
+  const pm = packageManagerCommands(project.packageManager);
+  console.log(chalk.white('\nNext steps:'));
+  if (written.some(change => change.file === 'package.json')) {
+    console.log(chalk.gray(`  ${pm.install}`));
+  }
+  if (feature.name === 'database' && value !== 'mongodb') {
+    console.log(chalk.gray(`  Update the connection settings in .env, then run ${orm === 'drizzle' || orm === 'typeorm' ? `${pm.run('db:generate')} && ` : ''}${pm.run('db:migrate')}`));
+  } else if (feature.name === 'database') {
+    console.log(chalk.gray('  Configure MongoDB URI in .env'));
+  }
+  console.log('');
+}
+
+module.exports = { add };
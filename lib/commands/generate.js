@@ -0,0 +1,275 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { writeFile } = require('../utils');
+const { detectProject } = require('../detect');
+const { CliError } = require('../errors');
+const { FIELD_TYPES, resourceNames, resourceFiles, prismaModel } = require('../templates/resource');
+const { validateMiddleware } = require('../templates/validation');
+const { toEsModules } = require('../templates/esm');
+const { resolveOrm } = require('../templates/orm');
+const { packageManagerCommands } = require('../templates/package-manager');
+const { FRAMEWORK_LABELS, ROUTES_MARKERS, mountRoutes } = require('../templates/framework');
+
+// Parses "name:string,email:string:unique,age:integer:optional"
+function parseFields(spec) {
+  if (!spec) {
+    return [{ name: 'name', type: 'string', unique: false, optional: false }];
+  }
+
+  const seen = new Set();
+  return spec.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const [name, type = 'string', ...modifiers] = part.split(':');
+
+    if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name)) {
+      throw new CliError(`Invalid field name "${name}"`);
+    }
+    if (['id', 'createdAt', 'updatedAt'].includes(name)) {
+      throw new CliError(`Field "${name}" is added automatically`);
+    }
+    if (seen.has(name)) {
+      throw new CliError(`Field "${name}" is listed more than once`);
+    }
+    seen.add(name);
+    if (!FIELD_TYPES[type]) {
+      throw new CliError(`Invalid type "${type}" for field "${name}". Expected one of: ${Object.keys(FIELD_TYPES).join(', ')}`);
+    }
+
+    const unknown = modifiers.filter(m => !['unique', 'optional', 'required'].includes(m));
+    if (unknown.length) {
+      throw new CliError(`Invalid modifier(s) "${unknown.join(', ')}" for field "${name}". Expected: unique, optional, required`);
+    }
+
+    return {
+      name,
+      type,
+      unique: modifiers.includes('unique'),
+      optional: modifiers.includes('optional')
+    };
+  });
+}
+
+// `import { name } from 'path'` or the require() equivalent, in the project's module system
+function importLine(project, name, from) {
+  const esm = project.moduleSystem === 'esm';
+  return project.isTS || esm
+    ? `import ${name} from '${from}${esm ? '.js' : ''}';`
+    : `const ${name} = require('${from}');`;
+}
+
+// Inserts `line` after the last import of a source file split into lines
+function addImport(project, lines, line) {
+  const importPattern = project.isTS || project.moduleSystem === 'esm' ? /^import .* from ['"].*['"];?$/ : /^const .* = require\(['"].*['"]\);?$/;
+  let lastImport = -1;
+  lines.forEach((text, i) => {
+    if (importPattern.test(text)) lastImport = i;
+  });
+  // A file without imports gets a blank line between the new one and its code
+  lines.splice(lastImport + 1, 0, ...(lastImport === -1 ? [line, ''] : [line]));
+}
+
+// Adds `entry` at the end of the object or array literal opened on the line matching `start`
+// and closed by the next line equal to `end`. Returns false when there is no such literal.
+function appendEntry(lines, start, end, entry) {
+  const from = lines.findIndex(line => start.test(line));
+  const to = from === -1 ? -1 : lines.findIndex((line, i) => i > from && line === end);
+  if (to === -1) return false;
+
+  // The entry before it (commented-out examples aside) needs a trailing comma
+  let last = -1;
+  for (let i = from + 1; i < to; i++) {
+    const text = lines[i].trim();
+    if (text && !text.startsWith('//')) last = i;
+  }
+  if (last !== -1 && !lines[last].endsWith(',')) lines[last] += ',';
+  lines.splice(to, 0, entry);
+  return true;
+}
+
+// Adds the import and the line mounting the routes to src/app, right above the commented-out routes marker.
+// Returns false when src/app doesn't look like a generated file, so the caller can print manual steps.
+function registerRoutes(project, names) {
+  const appPath = path.join(project.projectPath, `src/app.${project.ext}`);
+  if (!fs.existsSync(appPath)) return false;
+
+  const source = fs.readFileSync(appPath, 'utf8');
+  const routesVar = `${names.camel}Routes`;
+  const marker = ROUTES_MARKERS[project.framework];
+  const useLine = mountRoutes(project.framework, routesVar, `/api/${names.pluralKebab}`);
+
+  if (source.includes(useLine)) return true;
+  if (!source.includes(marker)) return false;
+
+  const lines = source.split('\n');
+  addImport(project, lines, importLine(project, routesVar, `./routes/${names.kebab}.routes`));
+  const markerIndex = lines.findIndex(line => line.trim() === marker);
+  // Fastify's marker sits inside the API plugin: keep its indentation
+  lines.splice(markerIndex, 0, `${lines[markerIndex].match(/^\s*/)[0]}${useLine}`);
+
+  fs.writeFileSync(appPath, lines.join('\n'));
+  return true;
+}
+
+// Spreads the resource's tag, schemas and paths (src/docs/<name>.docs) into the OpenAPI document.
+// Returns false when src/docs/openapi doesn't look like a generated file, so the caller can print manual steps.
+function registerDocs(project, names) {
+  const docsPath = path.join(project.projectPath, `src/docs/openapi.${project.ext}`);
+  if (!fs.existsSync(docsPath)) return false;
+
+  const source = fs.readFileSync(docsPath, 'utf8');
+  const docsVar = `${names.camel}Docs`;
+  const docsImport = importLine(project, `{ ${docsVar} }`, `./${names.kebab}.docs`);
+  if (source.includes(docsImport)) return true;
+
+  const lines = source.split('\n');
+  const added = [
+    [/^ {2}tags: \[$/, '  ],', `    ${docsVar}.tag`],
+    [/^ {4}schemas: \{$/, '    }', `      ...${docsVar}.schemas`],
+    [/^ {2}paths: \{$/, '  }', `    ...${docsVar}.paths`]
+  ].every(([start, end, entry]) => appendEntry(lines, start, end, entry));
+  if (!added) return false;
+
+  addImport(project, lines, docsImport);
+  fs.writeFileSync(docsPath, lines.join('\n'));
+  return true;
+}
+
+// Makes the new model known to the ORM: the Prisma schema gets the model, the Drizzle schema
+// re-exports the table and the TypeORM data source lists the entity. Returns
+// { file, manual } where `manual` is what to add by hand when the file isn't as generated,
+// or null when there is nothing to register (Mongoose, Sequelize, in-memory).
+// An existing Prisma model is replaced with --force, else left as it is (`kept`).
+function registerModel(project, names, fields, orm, force) {
+  const esm = project.moduleSystem === 'esm';
+  const edit = (file, change) => {
+    const filePath = path.join(project.projectPath, file);
+    const source = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+    const updated = source === null ? null : change(source);
+    if (updated && updated !== source) fs.writeFileSync(filePath, updated);
+    return updated !== null;
+  };
+
+  if (orm === 'prisma') {
+    const model = prismaModel(names, fields);
+    const file = 'prisma/schema.prisma';
+    const block = new RegExp(`^model ${names.pascal} \\{[^]*?^\\}`, 'm');
+    let kept = false;
+    const ok = edit(file, source => {
+      if (!block.test(source)) return `${source.trimEnd()}\n\n${model}\n`;
+      if (force) return source.replace(block, model);
+      kept = true;
+      return source;
+    });
+    return { file, manual: ok ? null : model, kept };
+  }
+
+  if (orm === 'drizzle') {
+    const file = `src/models/schema.${project.ext}`;
+    const line = project.isTS || esm
+      ? `export * from './${names.kebab}.schema${esm ? '.js' : ''}';`
+      : `Object.assign(module.exports, require('./${names.kebab}.schema'));`;
+    const ok = edit(file, source => (source.includes(line) ? source : `${source.trimEnd()}\n${line}\n`));
+    return { file, manual: ok ? null : line };
+  }
+
+  if (orm === 'typeorm') {
+    const file = `src/config/database.${project.ext}`;
+    const entity = `${names.pascal}Entity`;
+    const entityImport = importLine(project, `{ ${entity} }`, `../models/${names.kebab}.entity`);
+    const ok = edit(file, source => {
+      if (source.includes(entityImport)) return source;
+      const list = /^(const entities\b[^=]*= \[)(.*)(\];)$/m;
+      if (!list.test(source)) return null;
+
+      const lines = source.replace(list, (match, start, entities, end) => `${start}${entities ? `${entities}, ` : ''}${entity}${end}`).split('\n');
+      addImport(project, lines, entityImport);
+      return lines.join('\n');
+    });
+    return { file, manual: ok ? null : `${entityImport}\n  and add ${entity} to the entities of the DataSource` };
+  }
+
+  return null;
+}
+
+async function generate(positionals, flags) {
+  const [type, name, ...extra] = positionals;
+
+  if (type !== 'resource') {
+    throw new CliError(`Unknown generator "${type || ''}". Usage: cnapp generate resource <name> [--fields name:string,email:string:unique]`);
+  }
+  if (!name || !/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(name)) {
+    throw new CliError('Please provide a valid resource name, e.g. cnapp generate resource user');
+  }
+  if (extra.length) {
+    throw new CliError(`Unexpected argument(s): ${extra.join(' ')}\nUsage: cnapp generate resource <name> [--fields name:string,email:string:unique]`);
+  }
+  if (flags.fields !== undefined && typeof flags.fields !== 'string') {
+    throw new CliError('--fields requires a value, e.g. --fields name:string,email:string:unique');
+  }
+
+  const project = detectProject(process.cwd());
+  const orm = resolveOrm(project);
+
+  const names = resourceNames(name);
+  const fields = parseFields(flags.fields);
+  let files = resourceFiles(project, names, fields);
+
+  // Projects generated before the validate middleware existed get it alongside the resource
+  const middlewareFile = `src/middlewares/validate.${project.ext}`;
+  if (project.validation !== 'none' && !fs.existsSync(path.join(project.projectPath, middlewareFile))) {
+    files[middlewareFile] = validateMiddleware(project);
+  }
+
+  if (project.moduleSystem === 'esm') {
+    files = toEsModules(files);
+  }
+
+  const existing = Object.keys(files).filter(file => fs.existsSync(path.join(project.projectPath, file)));
+  if (existing.length && !flags.force) {
+    throw new CliError(`These files already exist (use --force to overwrite):\n  ${existing.join('\n  ')}`);
+  }
+
+  console.log(chalk.cyan.bold(`\n🧩 Generating resource "${names.kebab}"\n`));
+  console.log(chalk.gray(`Detected: ${project.language}, ${FRAMEWORK_LABELS[project.framework]}, database: ${project.database}, validation: ${project.validation}\n`));
+
+  Object.entries(files).forEach(([file, content]) => {
+    writeFile(path.join(project.projectPath, file), content);
+    console.log(chalk.green(`  ✔ ${file}`));
+  });
+
+  if (registerRoutes(project, names)) {
+    console.log(chalk.green(`  ✔ src/app.${project.ext} (mounted at /api/${names.pluralKebab})`));
+  } else {
+    console.log(chalk.yellow(`\n⚠️  Could not find "${ROUTES_MARKERS[project.framework]}" in src/app.${project.ext}. Register the ${project.framework === 'fastify' ? 'plugin' : 'router'} manually:`));
+    console.log(chalk.gray(`  ${mountRoutes(project.framework, `${names.camel}Routes`, `/api/${names.pluralKebab}`)}`));
+  }
+
+  const model = registerModel(project, names, fields, orm, Boolean(flags.force));
+  if (model && model.kept) {
+    console.log(chalk.yellow(`\n⚠️  ${model.file} already has a model ${names.pascal}, left unchanged. Check it matches the fields, or run again with --force to replace it.`));
+  } else if (model && !model.manual) {
+    console.log(chalk.green(`  ✔ ${model.file} (${orm === 'prisma' ? `model ${names.pascal}` : `${names.pascal} registered`})`));
+  } else if (model) {
+    console.log(chalk.yellow(`\n⚠️  Could not update ${model.file}. Add this by hand:`));
+    console.log(chalk.gray(`  ${model.manual.split('\n').join('\n  ')}`));
+  }
+
+  if (project.docs && registerDocs(project, names)) {
+    console.log(chalk.green(`  ✔ src/docs/openapi.${project.ext} (/api/${names.pluralKebab} in Swagger UI)`));
+  } else if (project.docs) {
+    const docsVar = `${names.camel}Docs`;
+    console.log(chalk.yellow(`\n⚠️  Could not update src/docs/openapi.${project.ext}. Add ${docsVar} to the document by hand:`));
+    console.log(chalk.gray(`  ${importLine(project, `{ ${docsVar} }`, `./${names.kebab}.docs`)}
+  tags: [..., ${docsVar}.tag], components.schemas: { ..., ...${docsVar}.schemas }, paths: { ..., ...${docsVar}.paths }`));
+  }
+
+  const { run } = packageManagerCommands(project.packageManager);
+  if (orm === 'sequelize' || orm === 'prisma') {
+    console.log(chalk.white(`\nNext: ${orm === 'prisma' ? 'create and apply' : 'run'} the new migration with`), chalk.gray(run('db:migrate')));
+  } else if (orm === 'drizzle' || orm === 'typeorm') {
+    console.log(chalk.white('\nNext: generate and apply a migration with'), chalk.gray(`${run('db:generate')} && ${run('db:migrate')}`));
+  }
+  console.log('');
+}
+
+module.exports = { generate, parseFields };
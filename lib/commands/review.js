@@ -0,0 +1,35 @@
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const { createTwoFilesPatch } = require('diff');
+
+// Shared by `add` and `upgrade`: changes to files that already exist are shown as a diff
+// and applied only once confirmed (or with --yes)
+
+function printDiff(patch) {
+  patch.split('\n').slice(1).forEach(line => {
+    if (line.startsWith('+++') || line.startsWith('---')) console.log(chalk.bold(line));
+    else if (line.startsWith('+')) console.log(chalk.green(line));
+    else if (line.startsWith('-')) console.log(chalk.red(line));
+    else if (line.startsWith('@@')) console.log(chalk.cyan(line));
+    else console.log(chalk.gray(line));
+  });
+}
+
+async function confirmUpdate(change, onDisk, flags) {
+  console.log(chalk.yellow(`\n📝 ${change.file}${change.replaces ? ' (exists but was not generated by cnapp, it will be replaced)' : ''}`));
+  printDiff(createTwoFilesPatch(`a/${change.file}`, `b/${change.file}`, onDisk, change.content));
+
+  if (flags.yes) return true;
+
+  const { apply } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'apply',
+      message: `Apply these changes to ${change.file}?`,
+      default: !change.replaces
+    }
+  ]);
+  return apply;
+}
+
+module.exports = { printDiff, confirmUpdate };
@@ -0,0 +1,316 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const { createTwoFilesPatch } = require('diff');
+const pkg = require('../../package.json');
+const { writeFile } = require('../utils');
+const { mergeThreeWay, mergePackageJson, mergePackageJsonThreeWay, mergeEnvFile } = require('../merge');
+const { detectProject } = require('../detect');
+const { CliError } = require('../errors');
+const { validateConfig } = require('..');
+const { questions } = require('../cli/questions');
+const { renderProject } = require('../templates');
+const { fetchTemplate } = require('../template');
+const { MANIFEST_FILE, hashContent, withManifest, readManifest, writeManifest } = require('../manifest');
+const { INITIAL_COMMIT_MESSAGE, git, formatFiles } = require('../setup');
+const { packageManagerCommands } = require('../templates/package-manager');
+const { printDiff, confirmUpdate } = require('./review');
+
+// Generated versions of the files, kept in the project's git objects after each upgrade.
+// A tree rather than a commit, so it never shows up in the history or gets pushed.
+const GENERATED_REF = 'refs/cnapp/generated';
+
+// Named after the time they were generated, and possibly run already: never regenerated
+const MIGRATION = /^(src\/migrations\/)\d{14}-(.+)$/;
+
+const versionParts = version => [...String(version).split(/[.-]/).slice(0, 3).map(n => parseInt(n, 10) || 0), 0, 0].slice(0, 3);
+
+function isNewer(version, than) {
+  const [a, b] = [versionParts(version), versionParts(than)];
+  const i = [0, 1, 2].find(part => a[part] !== b[part]);
+  return i !== undefined && a[i] > b[i];
+}
+
+const same = (a, b) => (Buffer.isBuffer(a) || Buffer.isBuffer(b)
+  ? Buffer.isBuffer(a) && Buffer.isBuffer(b) && a.equals(b)
+  : a === b);
+
+// Answers of a project generated before .cnapp.json existed, worked out from its files
+function detectedAnswers(projectPath) {
+  const project = detectProject(projectPath);
+  return {
+    projectName: project.projectName,
+    ...Object.fromEntries(questions.filter(q => project[q.name] !== undefined).map(q => [q.name, project[q.name]]))
+  };
+}
+
+// Text files as they end up on disk (see ../output), binary ones as they are
+const asWritten = files => Object.fromEntries(Object.entries(files)
+  .map(([file, content]) => [file, Buffer.isBuffer(content) ? content : `${content.trim()}\n`]));
+
+// Timestamped migrations the project already has keep their name and content
+function keepMigrations(files, projectPath) {
+  const kept = [];
+  const renamed = Object.fromEntries(Object.entries(files).map(([file, content]) => {
+    const match = file.match(MIGRATION);
+    const dir = match && path.join(projectPath, match[1]);
+    const existing = match && fs.existsSync(dir) && fs.readdirSync(dir).find(name => name.replace(/^\d{14}-/, '') === match[2]);
+    if (!existing) return [file, content];
+    kept.push(`${match[1]}${existing}`);
+    return [`${match[1]}${existing}`, content];
+  }));
+  return { files: renamed, kept };
+}
+
+// Projects Prettier formatted after generating get the new version formatted the same
+// way (in a scratch folder inside the project, so its config applies)
+function formatLikeProject(projectPath, files) {
+  const scratch = fs.mkdtempSync(path.join(projectPath, '.cnapp-upgrade-'));
+  const relative = path.basename(scratch);
+
+  try {
+    const texts = Object.keys(files).filter(file => typeof files[file] === 'string');
+    texts.forEach(file => writeFile(path.join(scratch, file), files[file]));
+    const format = formatFiles(projectPath, texts.map(file => `${relative}/${file}`));
+    if (!format.ok) return { files, reason: format.reason };
+
+    return { files: { ...files, ...Object.fromEntries(texts.map(file => [file, fs.readFileSync(path.join(scratch, file), 'utf8')])) } };
+  } finally {
+    fs.rmSync(scratch, { recursive: true, force: true });
+  }
+}
+
+// Returns a function giving the version of a file that was generated last time (from
+// the file as read, its raw bytes and the version generated now):
+// undefined when it wasn't generated, null when that version can't be found.
+// - With .cnapp.json: the file itself or the new version when its hash matches, else the blob
+//   with that hash in git (committed after generating, or kept under GENERATED_REF by the last upgrade)
+// - Without: the file in the CLI's initial commit, if the project has one
+function baseReader(projectPath, manifest) {
+  const inRepo = git(['rev-parse', '--is-inside-work-tree'], projectPath).status === 0;
+
+  if (manifest) {
+    return (file, onDisk, raw, after) => {
+      const hash = manifest.files[file];
+      if (!hash) return undefined;
+      if (raw !== null && hashContent(raw) === hash) return onDisk;
+      if (hashContent(after) === hash) return after;
+      const blob = inRepo ? git(['cat-file', 'blob', hash], projectPath) : null;
+      return blob && blob.status === 0 ? blob.stdout : null;
+    };
+  }
+
+  const log = inRepo ? git(['log', '--format=%H', '-n', '1', '--fixed-strings', `--grep=${INITIAL_COMMIT_MESSAGE}`], projectPath) : null;
+  const commit = log && log.status === 0 ? log.stdout.trim() : '';
+  return (file, onDisk) => {
+    if (!commit) return onDisk === null ? undefined : null;
+    const shown = git(['show', `${commit}:./${file}`], projectPath);
+    return shown.status === 0 ? shown.stdout : undefined;
+  };
+}
+
+// What to do with one file: `onDisk` is the user's version (null if missing), `base` the
+// version generated last time (see baseReader) and `after` the one generated now.
+// Files the user didn't touch are updated, edited ones get the new version three-way
+// merged in, and `conflict` is reported when both changed the same lines.
+function planFile(file, onDisk, base, after) {
+  // Deleted files stay deleted; they are only reported when the new version changed them
+  if (onDisk === null) {
+    if (base === undefined) return { file, action: 'create', content: after };
+    return base !== null && same(base, after) ? null : { file, action: 'deleted' };
+  }
+
+  if (file === 'package.json') {
+    try {
+      if (typeof base !== 'string') {
+        const content = mergePackageJson(onDisk, after);
+        return content === onDisk ? null : { file, action: 'merge', content };
+      }
+      const { content, conflicts } = mergePackageJsonThreeWay(base, onDisk, after);
+      return content === onDisk && !conflicts.length ? null : { file, action: content === onDisk ? 'none' : 'merge', content, kept: conflicts };
+    } catch (error) {
+      throw new CliError(`Could not merge package.json: ${error.message}`);
+    }
+  }
+
+  // The JWT secret is random: only variables that are missing get added
+  if (path.basename(file).startsWith('.env')) {
+    const content = mergeEnvFile(onDisk, after);
+    return content === onDisk ? null : { file, action: 'merge', content };
+  }
+
+  if (same(onDisk, after)) return null;
+  if (base === undefined) return { file, action: 'merge', content: after, replaces: true };
+  if (base !== null && same(onDisk, base)) return { file, action: 'update', content: after };
+  if (base !== null && same(base, after)) return null;
+
+  if (base === null || Buffer.isBuffer(after)) {
+    return {
+      file,
+      action: 'conflict',
+      reason: Buffer.isBuffer(after) ? 'binary file edited locally' : 'edited locally, and the version generated last time is not in git',
+      patch: Buffer.isBuffer(after) ? null : createTwoFilesPatch(`a/${file}`, `b/${file}`, onDisk, after)
+    };
+  }
+
+  const merged = mergeThreeWay(base, onDisk, after);
+  if (merged.conflict) {
+    return { file, action: 'conflict', reason: 'changed both locally and in the new version', patch: createTwoFilesPatch(`a/${file}`, `b/${file}`, base, after) };
+  }
+  return merged.content === onDisk ? null : { file, action: 'merge', content: merged.content };
+}
+
+// Keeps the generated files in git objects (see GENERATED_REF) so the next upgrade can
+// merge files whose committed version differs from them. Entries of other projects in
+// the same repository are kept.
+function keepGenerated(projectPath, files) {
+  const prefix = git(['rev-parse', '--show-prefix'], projectPath);
+  if (prefix.status !== 0) return;
+
+  const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'cnapp-index-'));
+  const env = { ...process.env, GIT_INDEX_FILE: path.join(scratch, 'index') };
+  try {
+    if (git(['rev-parse', '--verify', '--quiet', GENERATED_REF], projectPath).status === 0) {
+      git(['read-tree', GENERATED_REF], projectPath, { env });
+    }
+    const entries = Object.entries(files).map(([file, content]) => {
+      const blob = git(['hash-object', '-w', '--stdin'], projectPath, { input: content });
+      return `100644 ${blob.stdout.trim()}\t${prefix.stdout.trim()}${file}`;
+    });
+    git(['update-index', '--add', '--index-info'], projectPath, { env, input: `${entries.join('\n')}\n` });
+
+    const tree = git(['write-tree'], projectPath, { env });
+    if (tree.status === 0) git(['update-ref', GENERATED_REF, tree.stdout.trim()], projectPath);
+  } finally {
+    fs.rmSync(scratch, { recursive: true, force: true });
+  }
+}
+
+function write(projectPath, file, content) {
+  const filePath = path.join(projectPath, file);
+  if (Buffer.isBuffer(content)) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  } else {
+    writeFile(filePath, content);
+  }
+}
+
+async function upgrade(positionals, flags) {
+  if (positionals.length) {
+    throw new CliError('Usage: cnapp upgrade [--yes] [--offline]\nRun it from the project root.');
+  }
+
+  const projectPath = process.cwd();
+  const manifest = readManifest(projectPath);
+  const recorded = manifest ? manifest.config : detectedAnswers(projectPath);
+
+  if (manifest && isNewer(manifest.version, pkg.version)) {
+    throw new CliError(`This project was generated by create-node-advance-app ${manifest.version}, which is newer than this one (${pkg.version}). Update the generator first.`);
+  }
+
+  // The template is fetched again: a newer version of it is part of the upgrade
+  let config = validateConfig({ ...recorded, projectPath });
+  if (config.template) {
+    config = validateConfig({ ...recorded, projectPath }, await fetchTemplate(config.template, { offline: Boolean(flags.offline) }));
+  }
+
+  console.log(chalk.cyan.bold(`\n⬆️  Upgrading ${recorded.projectName} ${manifest ? `from ${manifest.version} ` : ''}to ${pkg.version}\n`));
+  if (!manifest) {
+    console.log(chalk.yellow(`No ${MANIFEST_FILE} found: the answers were detected from package.json and the files. Edited files can only be merged if the initial commit from create-node-advance-app is in git history.\n`));
+  }
+
+  const rendered = keepMigrations(asWritten(renderProject(config).files), projectPath);
+  const formatted = manifest ? Boolean(manifest.formatted) : config.lint;
+  const format = formatted ? formatLikeProject(projectPath, rendered.files) : { files: rendered.files };
+  if (format.reason) {
+    console.log(chalk.yellow(`⚠️  Could not format the new version with Prettier (${format.reason}): files it formatted will show up as changed. Install the dependencies first.\n`));
+  }
+  const { files } = format;
+  const { files: hashes, ...generated } = JSON.parse(withManifest({ dirs: [], files }, config, recorded.template).files[MANIFEST_FILE]);
+  const next = { ...generated, ...(formatted ? { formatted: true } : {}), files: hashes };
+
+  const read = file => {
+    const filePath = path.join(projectPath, file);
+    if (!fs.existsSync(filePath)) return null;
+    return Buffer.isBuffer(files[file]) ? fs.readFileSync(filePath) : fs.readFileSync(filePath, 'utf8');
+  };
+  const baseOf = baseReader(projectPath, manifest);
+
+  // Files left as they are that still match their hash keep it (.env, with its random secret)
+  const unchanged = [];
+  const changes = Object.entries(files)
+    .filter(([file]) => !rendered.kept.includes(file))
+    .map(([file, content]) => {
+      const onDisk = read(file);
+      const raw = onDisk === null ? null : fs.readFileSync(path.join(projectPath, file));
+      const change = planFile(file, onDisk, baseOf(file, onDisk, raw, content), content);
+      if (!change && raw !== null && manifest && manifest.files[file] === hashContent(raw)) unchanged.push(file);
+      return change;
+    })
+    .filter(Boolean);
+
+  const written = [];
+  const skipped = [];
+  for (const change of changes) {
+    if (change.action === 'create' || change.action === 'update') {
+      write(projectPath, change.file, change.content);
+      written.push(change);
+    } else if (change.action === 'merge') {
+      if (await confirmUpdate(change, read(change.file), flags)) {
+        write(projectPath, change.file, change.content);
+        written.push(change);
+      } else {
+        skipped.push(change.file);
+      }
+    }
+  }
+
+  // Files the user didn't take the new version of keep the hash of the version they are based on
+  const conflicts = changes.filter(change => change.action === 'conflict');
+  const deleted = changes.filter(change => change.action === 'deleted').map(change => change.file);
+  [...rendered.kept, ...unchanged, ...skipped, ...deleted, ...conflicts.map(change => change.file)].forEach(file => {
+    if (manifest && manifest.files[file]) next.files[file] = manifest.files[file];
+    else delete next.files[file];
+  });
+  writeManifest(projectPath, next);
+  keepGenerated(projectPath, files);
+
+  const dropped = manifest ? Object.keys(manifest.files).filter(file => !(file in next.files) && !rendered.kept.includes(file)) : [];
+
+  if (!written.length && !conflicts.length && !dropped.length && !changes.some(change => change.kept)) {
+    console.log(chalk.green('✅ Every file is up to date.\n'));
+    return;
+  }
+
+  console.log('');
+  written.forEach(change => {
+    const verb = { create: 'created', update: 'updated', merge: 'merged' }[change.action];
+    console.log(chalk.green(`  ✔ ${verb} ${change.file}`));
+  });
+  skipped.forEach(file => console.log(chalk.yellow(`  ⏭ skipped ${file}`)));
+  deleted.forEach(file => console.log(chalk.gray(`  - ${file} was deleted, not recreated`)));
+  dropped.forEach(file => console.log(chalk.gray(`  - ${file} is no longer generated, left as it is`)));
+  changes.filter(change => change.kept && change.kept.length).forEach(change => {
+    console.log(chalk.yellow(`  ⚠ ${change.file}: kept your ${change.kept.join(', ')} (also changed by the new version)`));
+  });
+
+  if (conflicts.length) {
+    console.log(chalk.red(`\n⚠️  ${conflicts.length} file(s) were not changed. Apply the new version by hand:`));
+    conflicts.forEach(conflict => {
+      console.log(chalk.yellow(`\n${conflict.file}: ${conflict.reason}`));
+      if (conflict.patch) printDiff(conflict.patch);
+    });
+  }
+
+  const pm = packageManagerCommands(config.packageManager);
+  console.log(chalk.white('\nNext steps:'));
+  if (written.some(change => change.file === 'package.json')) {
+    console.log(chalk.gray(`  ${pm.install}`));
+  }
+  console.log(chalk.gray(`  Review the changes and commit them with ${MANIFEST_FILE}`));
+  console.log('');
+}
+
+module.exports = { upgrade };
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const { CliError } = require('./errors');
+const { PACKAGE_MANAGERS, LOCKFILES } = require('./templates/package-manager');
+
+// Package that identifies each SQL ORM in package.json
+const ORM_PACKAGES = {
+  sequelize: 'sequelize',
+  prisma: '@prisma/client',
+  drizzle: 'drizzle-orm',
+  typeorm: 'typeorm'
+};
+
+// Prisma needs no driver package, so the database comes from the schema's datasource
+function prismaProvider(projectPath) {
+  const schemaPath = path.join(projectPath, 'prisma', 'schema.prisma');
+  const schema = fs.existsSync(schemaPath) ? fs.readFileSync(schemaPath, 'utf8') : '';
+  const match = schema.match(/datasource\s+\w+\s*{[^}]*provider\s*=\s*"(postgresql|mysql|sqlite)"/);
+  return match ? match[1] : 'postgresql';
+}
+
+// From the lockfile, else the "packageManager" field (e.g. "pnpm@9.12.0"), else npm
+function detectPackageManager(projectPath, pkg) {
+  const fromLockfile = PACKAGE_MANAGERS.find(name =>
+    LOCKFILES[name].some(file => fs.existsSync(path.join(projectPath, file))));
+  const fromField = typeof pkg.packageManager === 'string' && pkg.packageManager.split('@')[0];
+  return fromLockfile || (PACKAGE_MANAGERS.includes(fromField) ? fromField : 'npm');
+}
+
+// Reads an existing generated project and works out the answers it was created with,
+// using package.json dependencies and the files on disk.
+function detectProject(projectPath) {
+  const pkgPath = path.join(projectPath, 'package.json');
+
+  if (!fs.existsSync(pkgPath)) {
+    throw new CliError(`No package.json found in ${projectPath}. Run this command from your project root.`);
+  }
+
+  let pkg;
+  try {
+    pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
+  } catch (error) {
+    throw new CliError(`Could not parse ${pkgPath}: ${error.message}`);
+  }
+
+  const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+  const has = name => Boolean(deps[name]);
+
+  const isTS = fs.existsSync(path.join(projectPath, 'tsconfig.json')) || has('typescript');
+  const ext = isTS ? 'ts' : 'js';
+
+  const sqlOrm = Object.keys(ORM_PACKAGES).find(name => has(ORM_PACKAGES[name]));
+
+  let database = 'none';
+  if (has('mongoose')) {
+    database = 'mongodb';
+  } else if (sqlOrm === 'prisma') {
+    database = prismaProvider(projectPath);
+  } else if (sqlOrm) {
+    // Runtime dependencies only: sqlite3 is also the in-memory test database of Sequelize/TypeORM
+    const runtime = pkg.dependencies || {};
+    database = runtime.mysql2 ? 'mysql' : runtime.sqlite3 || runtime['better-sqlite3'] ? 'sqlite' : 'postgresql';
+  }
+
+  return {
+    projectPath,
+    projectName: pkg.name,
+    pkg,
+    language: isTS ? 'TypeScript' : 'JavaScript',
+    moduleSystem: pkg.type === 'module' ? 'esm' : 'commonjs',
+    framework: has('fastify') ? 'fastify' : has('koa') ? 'koa' : 'express',
+    isTS,
+    ext,
+    database,
+    orm: sqlOrm || 'sequelize',
+    auth: has('jsonwebtoken'),
+    validation: has('zod') ? 'zod' : has('joi') ? 'joi' : 'none',
+    // Swagger UI comes in each framework's own package
+    docs: has('swagger-ui-express') || has('@fastify/swagger-ui') || has('koa2-swagger-ui'),
+    testing: has('vitest') ? 'vitest' : has('jest') ? 'jest' : 'none',
+    logger: has('winston') ? 'Winston' : has('pino') ? 'Pino' : 'None',
+    errorHandling: fs.existsSync(path.join(projectPath, `src/utils/AppError.${ext}`)),
+    docker: fs.existsSync(path.join(projectPath, 'Dockerfile')),
+    lint: has('eslint'),
+    gitHooks: has('husky'),
+    packageManager: detectPackageManager(projectPath, pkg)
+  };
+}
+
+module.exports = { detectProject };
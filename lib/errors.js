@@ -0,0 +1,59 @@
+// Base class for every error the generator throws on purpose.
+// Anything else reaching the caller is a bug.
+class CnappError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'CnappError';
+    this.code = code;
+  }
+}
+
+// Error thrown for invalid user input (bad flags, bad values).
+// The CLI prints the message without a stack trace and exits with code 1.
+class CliError extends CnappError {
+  constructor(message) {
+    super(message, 'ERR_CLI');
+    this.name = 'CliError';
+  }
+}
+
+// Invalid config or options passed to createProject(). `errors` lists every problem.
+class ConfigError extends CnappError {
+  constructor(errors) {
+    super(`Invalid config:\n  - ${errors.join('\n  - ')}`, 'ERR_INVALID_CONFIG');
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+// The output target could not be written. `file` is the file being written, if any.
+class OutputError extends CnappError {
+  constructor(message, { code = 'ERR_OUTPUT', file, cause } = {}) {
+    super(message, code);
+    this.name = 'OutputError';
+    this.file = file;
+    this.cause = cause;
+  }
+}
+
+// A plugin could not be loaded, is malformed, or threw while rendering. `plugin` names it.
+class PluginError extends CnappError {
+  constructor(message, { plugin, cause } = {}) {
+    super(message, 'ERR_PLUGIN');
+    this.name = 'PluginError';
+    this.plugin = plugin;
+    this.cause = cause;
+  }
+}
+
+// A starter template could not be fetched, is malformed, or can't be rendered. `template` names it.
+class TemplateError extends CnappError {
+  constructor(message, { template, cause } = {}) {
+    super(message, 'ERR_TEMPLATE');
+    this.name = 'TemplateError';
+    this.template = template;
+    this.cause = cause;
+  }
+}
+
+module.exports = { CnappError, CliError, ConfigError, OutputError, PluginError, TemplateError };
@@ -0,0 +1,155 @@
+// Programmatic API: require('create-node-advance-app')
+const path = require('path');
+const { renderContext, renderProject } = require('./templates');
+const { loadPlugins, defaultPluginOptions } = require('./plugins');
+const { fetchTemplate } = require('./template');
+const { withManifest } = require('./manifest');
+const { getDefaults, checkAnswers } = require('./cli/questions');
+const { normalizeOutput, writeToDisk, createArchive, writeArchive } = require('./output');
+const { CnappError, CliError, ConfigError, OutputError, PluginError, TemplateError } = require('./errors');
+const { unscopedName, projectNameErrors, suggestProjectName } = require('./project-name');
+
+/**
+ * Checks a config object and fills in defaults for every answer it leaves out.
+ * Answers accept the same keys and values as the CLI flags and config files
+ * (`db: 'pg'`, `language: 'ts'`, ...).
+ *
+ * `projectName` must be a valid npm package name (lowercase, URL-friendly, optionally
+ * scoped like `@team/orders-api`). `projectPath` defaults to `./<name without scope>`.
+ *
+ * `plugins` lists plugin paths (relative to the working directory), package names or
+ * plugin objects; `pluginOptions` maps a plugin name to the answers to its prompts, and
+ * unanswered prompts get their default. See lib/plugins.js for the plugin interface.
+ *
+ * `template` is a starter template: a local directory or tarball, a git URL or an npm package
+ * (see lib/template.js). createProject() fetches it and passes it here as `template`.
+ *
+ * @param {object} config { projectName, projectPath?, language?, database?, auth?, plugins?, pluginOptions?, template?, ... }
+ * @param {object} [template] The fetched template: its answers are used for those config leaves out,
+ *   and `config.template` becomes its local directory
+ * @returns {object} Normalized config with every answer set
+ * @throws {ConfigError} Listing every invalid or unknown key
+ * @throws {PluginError} A plugin could not be loaded or is malformed (`error.plugin` names it)
+ */
+function validateConfig(config, template) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigError(['config must be an object']);
+  }
+
+  const { projectName, projectPath, ...input } = config;
+  const { answers, errors } = checkAnswers(input);
+
+  const nameErrors = projectNameErrors(projectName);
+  if (nameErrors.length) {
+    const suggestion = typeof projectName === 'string' && projectName ? ` (try "${suggestProjectName(projectName)}")` : '';
+    errors.unshift(`"projectName" ${nameErrors.join(', ')}${suggestion}`);
+  }
+  if (projectPath !== undefined && typeof projectPath !== 'string') {
+    errors.unshift('"projectPath" must be a string');
+  }
+  if (errors.length) {
+    throw new ConfigError(errors);
+  }
+
+  // Loaded now so a missing or malformed plugin fails before anything is written
+  const plugins = loadPlugins(answers.plugins);
+  const unknownOptions = Object.keys(answers.pluginOptions || {}).filter(name => !plugins.some(plugin => plugin.name === name));
+  if (unknownOptions.length) {
+    throw new ConfigError(unknownOptions.map(name => `"pluginOptions" has answers for "${name}", which is not one of the plugins`));
+  }
+
+  const normalized = {
+    ...getDefaults(),
+    ...(template ? template.answers : {}),
+    ...answers,
+    ...(template ? { template: template.dir } : {}),
+    projectName,
+    projectPath: path.resolve(projectPath || unscopedName(projectName))
+  };
+  if (plugins.length) {
+    normalized.pluginOptions = defaultPluginOptions(plugins, answers.pluginOptions, renderContext(normalized));
+  }
+
+  return normalized;
+}
+
+/**
+ * Generates a project.
+ *
+ * `output` picks where the files go:
+ * - `'disk'` (default) or `{ type: 'disk', path, force }`: writes to `path`, else `config.projectPath`,
+ *   else `./<projectName>`. The directory must not exist or must be empty, unless `force` is set:
+ *   then package.json, .env and ignore files already there are merged, other existing files are
+ *   overwritten, and `result.merged` / `result.overwritten` list them. Files are staged in a temporary
+ *   directory (next to a new target, inside an existing one) and moved into place only once all of
+ *   them were written: on error, or when `signal` aborts, nothing is left behind and existing files
+ *   are restored.
+ * - `'memory'`: writes nothing; `result.contents` is a Map of relative path -> file content.
+ * - `'zip'` / `'tar'` or `{ type, stream, gzip }`: an archive with a top-level folder named after
+ *   the project (without its npm scope). It is piped into `stream` when given (the promise resolves
+ *   once it is flushed), otherwise returned as the readable `result.stream`. `gzip: true` compresses tar output.
+ *
+ * `config.template` is fetched first: git repositories and packages are downloaded into
+ * ~/.cnapp/templates, and the cached copy is used when that fails or with `offline: true`.
+ *
+ * Every project gets a .cnapp.json manifest (see lib/manifest.js) recording the generator
+ * version, the answers and a hash of each file, which `cnapp upgrade` reads.
+ *
+ * @param {object} config See validateConfig()
+ * @param {{ output?: string | { type: string, path?: string, force?: boolean, stream?: NodeJS.WritableStream, gzip?: boolean },
+ *   signal?: AbortSignal, offline?: boolean }} [options]
+ * @returns {Promise<{ projectName: string, config: object, output: string, files: { path: string, size: number }[],
+ *   directories: string[], projectPath?: string, merged?: string[], overwritten?: string[],
+ *   contents?: Map<string, string | Buffer>, stream?: NodeJS.ReadableStream }>} Binary files from a template are Buffers
+ * @throws {ConfigError} Invalid config or output option
+ * @throws {TemplateError} The template could not be fetched or is invalid
+ * @throws {OutputError} The target directory is not empty (without `force`), a file/stream could not be written
+ *   (`error.file` names it), or `signal` aborted (`code: 'ERR_CANCELLED'`)
+ */
+async function createProject(config, { output, signal, offline = false } = {}) {
+  const target = normalizeOutput(output);
+  let normalized = validateConfig(config);
+  const templateSpec = normalized.template;
+  if (templateSpec) {
+    normalized = validateConfig(config, await fetchTemplate(templateSpec, { offline }));
+  }
+  const rendered = withManifest(renderProject(normalized), normalized, templateSpec);
+
+  const result = {
+    projectName: normalized.projectName,
+    config: normalized,
+    output: target.type,
+    files: Object.keys(rendered.files).sort().map(file => ({
+      path: file,
+      size: Buffer.byteLength(rendered.files[file])
+    })),
+    directories: rendered.dirs
+  };
+
+  if (target.type === 'disk') {
+    result.projectPath = target.path ? path.resolve(target.path) : normalized.projectPath;
+    Object.assign(result, await writeToDisk(rendered, result.projectPath, { force: target.force, signal }));
+  } else if (target.type === 'memory') {
+    result.contents = new Map(Object.entries(rendered.files));
+  } else {
+    const archive = createArchive(rendered, unscopedName(normalized.projectName), target);
+    if (target.stream) {
+      await writeArchive(archive, target.stream);
+    } else {
+      result.stream = archive;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  createProject,
+  validateConfig,
+  CnappError,
+  CliError,
+  ConfigError,
+  OutputError,
+  PluginError,
+  TemplateError
+};
@@ -0,0 +1,97 @@
+// .cnapp.json: what generated a project (generator version, answers, template and plugins)
+// and a hash of every file as it was written, so `cnapp upgrade` can tell which files
+// were edited since and find the generated version to merge them with.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const pkg = require('../package.json');
+const { CliError } = require('./errors');
+const { questions } = require('./cli/questions');
+const { resolveTemplateSpec } = require('./template');
+const { resolvePluginSpec } = require('./plugins');
+
+const MANIFEST_FILE = '.cnapp.json';
+
+// As ./output writes it: text trimmed, with a final newline; binary files as they are
+const asWritten = content => (Buffer.isBuffer(content) ? content : Buffer.from(`${content.trim()}\n`));
+
+// Git's blob id (what `git hash-object` prints), so the hash also finds the generated
+// version of a file in the project's git history
+function hashContent(content) {
+  const buffer = asWritten(content);
+  return crypto.createHash('sha1').update(`blob ${buffer.length}\0`).update(buffer).digest('hex');
+}
+
+// The answers a project can be generated again from. Plugins passed as objects can't be
+// recorded; a template is recorded as it was asked for (a path, git URL or package).
+function manifestConfig(config, templateSpec) {
+  const recorded = {
+    projectName: config.projectName,
+    ...Object.fromEntries(questions.filter(q => config[q.name] !== undefined).map(q => [q.name, config[q.name]]))
+  };
+
+  const plugins = (config.plugins || []).filter(plugin => typeof plugin === 'string');
+  if (plugins.length) {
+    recorded.plugins = plugins.map(plugin => resolvePluginSpec(plugin));
+    recorded.pluginOptions = config.pluginOptions;
+  }
+  if (templateSpec) {
+    recorded.template = resolveTemplateSpec(templateSpec);
+  }
+  return recorded;
+}
+
+/**
+ * Adds .cnapp.json to rendered project files.
+ *
+ * @param {{ dirs: string[], files: object }} rendered See renderProject() in ./templates
+ * @param {object} config Normalized config (see validateConfig() in ./index)
+ * @param {string} [templateSpec] The template as given (config.template is its local directory by now)
+ * @returns {{ dirs: string[], files: object }}
+ */
+function withManifest(rendered, config, templateSpec) {
+  const manifest = {
+    generator: pkg.name,
+    version: pkg.version,
+    config: manifestConfig(config, templateSpec),
+    files: Object.fromEntries(Object.keys(rendered.files).sort().map(file => [file, hashContent(rendered.files[file])]))
+  };
+
+  return { ...rendered, files: { ...rendered.files, [MANIFEST_FILE]: JSON.stringify(manifest, null, 2) } };
+}
+
+// The project's manifest, or null for projects generated before manifests were written
+function readManifest(projectPath) {
+  const manifestPath = path.join(projectPath, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) return null;
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    throw new CliError(`Could not parse ${manifestPath}: ${error.message}`);
+  }
+  if (!manifest || typeof manifest !== 'object' || !manifest.config || !manifest.files) {
+    throw new CliError(`${manifestPath} is not a create-node-advance-app manifest (it needs "config" and "files")`);
+  }
+  return manifest;
+}
+
+function writeManifest(projectPath, manifest) {
+  fs.writeFileSync(path.join(projectPath, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+}
+
+// Records that Prettier formatted `files` after they were written (so `cnapp upgrade`
+// formats the new version too) and hashes them again as they are on disk now
+function markFormatted(projectPath, files) {
+  const manifest = readManifest(projectPath);
+  if (!manifest) return;
+
+  const { files: hashes, ...rest } = manifest;
+  files.filter(file => hashes[file] && fs.existsSync(path.join(projectPath, file))).forEach(file => {
+    hashes[file] = hashContent(fs.readFileSync(path.join(projectPath, file)));
+  });
+  writeManifest(projectPath, { ...rest, formatted: true, files: hashes });
+}
+
+module.exports = { MANIFEST_FILE, hashContent, withManifest, readManifest, writeManifest, markFormatted };
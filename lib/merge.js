@@ -0,0 +1,161 @@
+const path = require('path');
+const { diffArrays } = require('diff');
+
+// For every line of `base`, the index of the same line in `other` (or -1 if it was changed/removed)
+function matchLines(base, other) {
+  const matches = new Array(base.length).fill(-1);
+  let baseIndex = 0;
+  let otherIndex = 0;
+
+  diffArrays(base, other).forEach(part => {
+    if (part.added) {
+      otherIndex += part.count;
+    } else if (part.removed) {
+      baseIndex += part.count;
+    } else {
+      for (let i = 0; i < part.count; i++) matches[baseIndex + i] = otherIndex + i;
+      baseIndex += part.count;
+      otherIndex += part.count;
+    }
+  });
+
+  return matches;
+}
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, i) => line === b[i]);
+
+// Line-based three-way merge (diff3). `base` is the common ancestor, `ours` the
+// user's file and `theirs` the new template output. Where only one side changed a
+// region, that change wins; where both sides only inserted lines at the same spot
+// (imports, route registrations) both insertions are kept. Anything else is a
+// conflict, written with git-style markers.
+function mergeThreeWay(base, ours, theirs) {
+  const b = base.split('\n');
+  const o = ours.split('\n');
+  const t = theirs.split('\n');
+  const oursMatches = matchLines(b, o);
+  const theirsMatches = matchLines(b, t);
+
+  const lines = [];
+  let conflict = false;
+  let bi = 0;
+  let oi = 0;
+  let ti = 0;
+
+  for (;;) {
+    // Next base line both sides kept
+    let stable = bi;
+    while (stable < b.length && (oursMatches[stable] === -1 || theirsMatches[stable] === -1)) stable++;
+
+    const oEnd = stable < b.length ? oursMatches[stable] : o.length;
+    const tEnd = stable < b.length ? theirsMatches[stable] : t.length;
+    const baseChunk = b.slice(bi, stable);
+    const oursChunk = o.slice(oi, oEnd);
+    const theirsChunk = t.slice(ti, tEnd);
+
+    if (sameLines(oursChunk, baseChunk) || sameLines(oursChunk, theirsChunk)) {
+      lines.push(...theirsChunk);
+    } else if (sameLines(theirsChunk, baseChunk)) {
+      lines.push(...oursChunk);
+    } else if (!baseChunk.length) {
+      lines.push(...oursChunk, ...theirsChunk);
+    } else {
+      conflict = true;
+      lines.push('<<<<<<< yours', ...oursChunk, '=======', ...theirsChunk, '>>>>>>> template');
+    }
+
+    if (stable >= b.length) break;
+
+    lines.push(b[stable]);
+    bi = stable + 1;
+    oi = oEnd + 1;
+    ti = tEnd + 1;
+  }
+
+  return { content: lines.join('\n'), conflict };
+}
+
+// Adds dependencies, devDependencies and scripts the project doesn't have yet.
+// Existing entries (and their versions) are left alone.
+function mergePackageJson(currentText, renderedText) {
+  const current = JSON.parse(currentText);
+  const rendered = JSON.parse(renderedText);
+
+  ['dependencies', 'devDependencies', 'scripts'].forEach(section => {
+    Object.entries(rendered[section] || {}).forEach(([name, value]) => {
+      current[section] = current[section] || {};
+      if (current[section][name] === undefined) current[section][name] = value;
+    });
+  });
+
+  return JSON.stringify(current, null, 2) + '\n';
+}
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Three-way merge of parsed JSON. A key the user left as it was takes the new value (or is
+// removed with it), a key only the user changed keeps their value, objects are merged key by
+// key. Where both changed the same key differently the user's value is kept and its path is
+// listed in `conflicts`.
+function mergeJsonThreeWay(base, ours, theirs, at = '') {
+  if (sameValue(ours, base)) return { value: theirs, conflicts: [] };
+  if (sameValue(theirs, base) || sameValue(ours, theirs)) return { value: ours, conflicts: [] };
+  if (!isPlainObject(ours) || !isPlainObject(theirs) || !(isPlainObject(base) || base === undefined)) {
+    return { value: ours, conflicts: [at] };
+  }
+
+  const value = {};
+  const conflicts = [];
+  // The user's key order, then keys that are new in `theirs`
+  [...Object.keys(ours), ...Object.keys(theirs).filter(key => !(key in ours))].forEach(key => {
+    const merged = mergeJsonThreeWay((base || {})[key], ours[key], theirs[key], at ? `${at}.${key}` : key);
+    if (merged.value !== undefined) value[key] = merged.value;
+    conflicts.push(...merged.conflicts);
+  });
+  return { value, conflicts };
+}
+
+// package.json as generated before (`base`), as it is now and as generated now: version bumps
+// and new scripts come in, the user's own changes stay (see mergeJsonThreeWay)
+function mergePackageJsonThreeWay(baseText, currentText, renderedText) {
+  const { value, conflicts } = mergeJsonThreeWay(JSON.parse(baseText), JSON.parse(currentText), JSON.parse(renderedText));
+  return { content: JSON.stringify(value, null, 2) + '\n', conflicts };
+}
+
+// Appends the variables missing from a .env file, keeping each block's comment header
+function mergeEnvFile(currentText, renderedText) {
+  const keyOf = line => (line.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=/) || [])[1];
+  const existingKeys = new Set(currentText.split('\n').map(keyOf).filter(Boolean));
+
+  const additions = renderedText.split(/\n\s*\n/).map(block => {
+    const lines = block.split('\n').filter(Boolean);
+    const missing = lines.filter(line => keyOf(line) && !existingKeys.has(keyOf(line)));
+    if (!missing.length) return null;
+    return [...lines.filter(line => line.startsWith('#')), ...missing].join('\n');
+  }).filter(Boolean);
+
+  if (!additions.length) return currentText;
+  return `${currentText.trimEnd()}\n\n${additions.join('\n\n')}\n`;
+}
+
+// Appends the lines of an ignore file (.gitignore, .dockerignore) that are missing
+function mergeLines(currentText, renderedText) {
+  const existing = new Set(currentText.split('\n').map(line => line.trim()));
+  const missing = renderedText.split('\n').filter(line => line.trim() && !existing.has(line.trim()));
+
+  if (!missing.length) return currentText;
+  return `${currentText.trimEnd()}\n\n${missing.join('\n')}\n`;
+}
+
+// Combines a generated file with one already in the target directory (`--force`).
+// Returns null for files without a merge strategy: those are overwritten.
+function mergeExistingFile(file, currentText, renderedText) {
+  const name = path.basename(file);
+  if (file === 'package.json') return mergePackageJson(currentText, renderedText);
+  if (name.startsWith('.env')) return mergeEnvFile(currentText, renderedText);
+  if (name === '.gitignore' || name === '.dockerignore') return mergeLines(currentText, renderedText);
+  return null;
+}
+
+module.exports = { mergeThreeWay, mergePackageJson, mergePackageJsonThreeWay, mergeEnvFile, mergeExistingFile };
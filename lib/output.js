@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const yazl = require('yazl');
+const tar = require('tar-stream');
+const { mergeExistingFile } = require('./merge');
+const { ConfigError, OutputError } = require('./errors');
+
+const fsp = fs.promises;
+
+const OUTPUT_TYPES = ['disk', 'memory', 'zip', 'tar'];
+
+// Accepts 'disk' | 'memory' | 'zip' | 'tar' or { type, path, force, stream, gzip }
+function normalizeOutput(output = 'disk') {
+  const target = typeof output === 'string' ? { type: output } : output;
+
+  if (!target || typeof target !== 'object' || !OUTPUT_TYPES.includes(target.type)) {
+    throw new ConfigError([`output must be one of ${OUTPUT_TYPES.join(', ')} (or an object with a "type")`]);
+  }
+  if (target.path !== undefined && typeof target.path !== 'string') {
+    throw new ConfigError(['output.path must be a string']);
+  }
+  if (target.force !== undefined && typeof target.force !== 'boolean') {
+    throw new ConfigError(['output.force must be true or false']);
+  }
+  if (target.stream !== undefined && (!target.stream || typeof target.stream.write !== 'function')) {
+    throw new ConfigError(['output.stream must be a writable stream']);
+  }
+
+  return target;
+}
+
+// Entries that never collide with generated files: a fresh git clone, editor and OS metadata
+const IGNORED_ENTRIES = ['.git', '.idea', '.vscode', '.DS_Store', 'Thumbs.db', 'LICENSE'];
+
+// Whether `projectPath` exists and has files in it (other than IGNORED_ENTRIES).
+// A file at that path is an error.
+function isNonEmptyDirectory(projectPath) {
+  if (!fs.existsSync(projectPath)) return false;
+  if (!fs.statSync(projectPath).isDirectory()) {
+    throw new OutputError(`${projectPath} exists and is not a directory`, { code: 'ERR_OUTPUT_EXISTS' });
+  }
+  return fs.readdirSync(projectPath).some(entry => !IGNORED_ENTRIES.includes(entry));
+}
+
+// Throws once the caller's AbortSignal fired (Ctrl+C in the CLI)
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new OutputError('Generation cancelled, nothing was written', { code: 'ERR_CANCELLED' });
+  }
+}
+
+// Writes every file into the staging directory. With `force`, files that already exist in
+// `projectPath` are merged there first (see mergeExistingFile) or reported as overwritten.
+async function stageFiles({ dirs, files }, stagingPath, projectPath, { force, signal }) {
+  const merged = [];
+  const overwritten = [];
+  let current;
+
+  try {
+    for (const dir of dirs) {
+      current = dir;
+      await fsp.mkdir(path.join(stagingPath, dir), { recursive: true });
+    }
+
+    for (const [file, rendered] of Object.entries(files)) {
+      throwIfAborted(signal);
+      current = file;
+      const existingPath = path.join(projectPath, file);
+      let content = rendered;
+
+      if (force && fs.existsSync(existingPath) && Buffer.isBuffer(rendered)) {
+        // Binary files from a starter template are never merged
+        if (!(await fsp.readFile(existingPath)).equals(rendered)) overwritten.push(file);
+      } else if (force && fs.existsSync(existingPath)) {
+        const onDisk = await fsp.readFile(existingPath, 'utf8');
+        const mergedContent = mergeExistingFile(file, onDisk, rendered);
+
+        if (mergedContent !== null) {
+          if (mergedContent !== onDisk) merged.push(file);
+          content = mergedContent;
+        } else if (onDisk.trim() !== rendered.trim()) {
+          overwritten.push(file);
+        }
+      }
+
+      const filePath = path.join(stagingPath, file);
+      await fsp.mkdir(path.dirname(filePath), { recursive: true });
+      await fsp.writeFile(filePath, Buffer.isBuffer(content) ? content : content.trim() + '\n');
+    }
+  } catch (error) {
+    if (error instanceof OutputError) throw error;
+    throw new OutputError(`Could not write ${current}: ${error.message}`, { file: current, cause: error });
+  }
+
+  return { merged, overwritten };
+}
+
+// Moves the staged files into an existing directory one by one. Files they replace are
+// parked in `backupPath` until every move succeeded, so a failure can restore them.
+async function moveIntoPlace({ dirs, files }, stagingPath, projectPath, backupPath) {
+  const created = [];
+  const moved = [];
+  let current;
+
+  const mkdir = async dir => {
+    const first = await fsp.mkdir(dir, { recursive: true });
+    if (first) created.push(first);
+  };
+
+  try {
+    for (const dir of dirs) {
+      current = dir;
+      await mkdir(path.join(projectPath, dir));
+    }
+
+    for (const file of Object.keys(files)) {
+      current = file;
+      const target = path.join(projectPath, file);
+      await mkdir(path.dirname(target));
+
+      let backup = null;
+      if (fs.existsSync(target)) {
+        backup = path.join(backupPath, file);
+        await fsp.mkdir(path.dirname(backup), { recursive: true });
+        await fsp.rename(target, backup);
+      }
+      moved.push({ target, backup });
+      await fsp.rename(path.join(stagingPath, file), target);
+    }
+  } catch (error) {
+    moved.reverse().forEach(({ target, backup }) => {
+      fs.rmSync(target, { force: true });
+      if (backup) fs.renameSync(backup, target);
+    });
+    created.reverse().forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+    throw new OutputError(`Could not move ${current} into ${projectPath}: ${error.message}`, { file: current, cause: error });
+  }
+}
+
+// Writes the project into `projectPath`, which must be missing or empty unless `force` is set.
+// With `force`, existing package.json, .env and ignore files are merged (see mergeExistingFile)
+// and other existing files are overwritten. Returns the files that were merged or overwritten.
+//
+// Files are written to a staging directory and only moved into place once all of them were
+// written, so a failure or an aborted `signal` leaves nothing half-written behind.
+async function writeToDisk(rendered, projectPath, { force = false, signal } = {}) {
+  if (isNonEmptyDirectory(projectPath) && !force) {
+    throw new OutputError(`Directory ${projectPath} already exists and is not empty`, { code: 'ERR_OUTPUT_EXISTS' });
+  }
+
+  // On the target's file system, so the final renames never cross file systems: inside an
+  // existing target (its parent may not be writable, e.g. a mounted /app), else next to it.
+  // Not mkdtemp: its 0700 mode would stay on the project directory it is renamed to.
+  const exists = fs.existsSync(projectPath);
+  const parent = exists ? projectPath : path.dirname(projectPath);
+  const prefix = exists ? '.cnapp-staging-' : `.${path.basename(projectPath)}-staging-`;
+  let createdParent;
+  let stagingPath;
+  try {
+    createdParent = fs.mkdirSync(parent, { recursive: true });
+    stagingPath = path.join(parent, `${prefix}${crypto.randomBytes(6).toString('hex')}`);
+    fs.mkdirSync(stagingPath);
+  } catch (error) {
+    if (createdParent) fs.rmSync(createdParent, { recursive: true, force: true });
+    throw new OutputError(`Could not create a staging directory in ${parent}: ${error.message}`, { cause: error });
+  }
+
+  try {
+    const result = await stageFiles(rendered, stagingPath, projectPath, { force, signal });
+    throwIfAborted(signal);
+
+    if (exists) {
+      await moveIntoPlace(rendered, stagingPath, projectPath, `${stagingPath}-backup`);
+    } else {
+      try {
+        await fsp.rename(stagingPath, projectPath);
+      } catch (error) {
+        throw new OutputError(`Could not move the project into ${projectPath}: ${error.message}`, { cause: error });
+      }
+    }
+
+    return result;
+  } catch (error) {
+    if (createdParent) fs.rmSync(createdParent, { recursive: true, force: true });
+    throw error;
+  } finally {
+    fs.rmSync(stagingPath, { recursive: true, force: true });
+    fs.rmSync(`${stagingPath}-backup`, { recursive: true, force: true });
+  }
+}
+
+// Builds a zip or tar stream with every file under a top-level `<root>/` folder
+function createArchive({ dirs, files }, root, { type, gzip }) {
+  if (type === 'zip') {
+    const zip = new yazl.ZipFile();
+    dirs.forEach(dir => zip.addEmptyDirectory(`${root}/${dir}`));
+    Object.entries(files).forEach(([file, content]) => zip.addBuffer(Buffer.from(content), `${root}/${file}`));
+    zip.end();
+    return zip.outputStream;
+  }
+
+  const pack = tar.pack();
+  dirs.forEach(dir => pack.entry({ name: `${root}/${dir}/`, type: 'directory', mode: 0o755 }));
+  Object.entries(files).forEach(([file, content]) => pack.entry({ name: `${root}/${file}`, mode: 0o644 }, content));
+  pack.finalize();
+  return gzip ? pack.pipe(zlib.createGzip()) : pack;
+}
+
+// Pipes the archive into the caller's stream and resolves once it has been flushed
+function writeArchive(archive, stream) {
+  return new Promise((resolve, reject) => {
+    pipeline(archive, stream, error => {
+      if (error) reject(new OutputError(`Could not write archive: ${error.message}`, { cause: error }));
+      else resolve();
+    });
+  });
+}
+
+module.exports = { OUTPUT_TYPES, normalizeOutput, isNonEmptyDirectory, writeToDisk, createArchive, writeArchive };
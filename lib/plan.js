@@ -0,0 +1,87 @@
+const { renderProject } = require('./templates');
+const { SQL_DATABASES, resolveOrm } = require('./templates/orm');
+const { loadPlugins } = require('./plugins');
+const { loadTemplate } = require('./template');
+const { withManifest } = require('./manifest');
+
+// Everything createProject would write, without touching the disk:
+// file paths with sizes, extra empty directories and the final package.json dependencies.
+function buildPlan(config) {
+  const { dirs, files } = withManifest(renderProject(config), config);
+  const paths = Object.keys(files).sort();
+  // A template in "replace" mode may come without one
+  const pkg = files['package.json'] ? JSON.parse(files['package.json']) : {};
+
+  return {
+    projectName: config.projectName,
+    config: {
+      language: config.language,
+      moduleSystem: config.moduleSystem,
+      framework: config.framework,
+      database: config.database,
+      orm: SQL_DATABASES.includes(config.database) ? resolveOrm(config) : undefined,
+      auth: config.auth,
+      validation: config.validation,
+      docs: config.docs,
+      logger: config.logger,
+      errorHandling: config.errorHandling,
+      docker: config.docker,
+      testing: config.testing,
+      lint: config.lint,
+      gitHooks: config.lint ? config.gitHooks : undefined,
+      plugins: config.plugins && config.plugins.length ? loadPlugins(config.plugins).map(plugin => plugin.name) : undefined,
+      template: config.template ? loadTemplate(config.template).name : undefined
+    },
+    files: paths.map(path => ({ path, size: Buffer.byteLength(files[path]) })),
+    emptyDirectories: dirs.filter(dir => !paths.some(path => path.startsWith(`${dir}/`))).sort(),
+    totalSize: paths.reduce((sum, path) => sum + Buffer.byteLength(files[path]), 0),
+    dependencies: pkg.dependencies,
+    devDependencies: pkg.devDependencies,
+    scripts: pkg.scripts
+  };
+}
+
+function formatSize(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+// Renders the plan's files as a directory tree, directories first
+function formatTree(plan) {
+  const root = {};
+  const insert = (path, size) => {
+    const parts = path.split('/');
+    let node = root;
+    parts.slice(0, -1).forEach(part => {
+      node[part] = node[part] || {};
+      node = node[part];
+    });
+    const name = parts[parts.length - 1];
+    if (size === undefined) node[name] = node[name] || {};
+    else node[name] = size;
+  };
+
+  plan.files.forEach(file => insert(file.path, file.size));
+  plan.emptyDirectories.forEach(dir => insert(dir));
+
+  const lines = [`${plan.projectName}/`];
+  const walk = (node, prefix) => {
+    const entries = Object.keys(node).sort((a, b) => {
+      const aIsDir = typeof node[a] === 'object';
+      const bIsDir = typeof node[b] === 'object';
+      return aIsDir === bIsDir ? a.localeCompare(b) : aIsDir ? -1 : 1;
+    });
+
+    entries.forEach((name, i) => {
+      const last = i === entries.length - 1;
+      const value = node[name];
+      const isDir = typeof value === 'object';
+      lines.push(`${prefix}${last ? '└── ' : '├── '}${isDir ? `${name}/` : `${name} (${formatSize(value)})`}`);
+      if (isDir) walk(value, `${prefix}${last ? '    ' : '│   '}`);
+    });
+  };
+  walk(root, '');
+
+  return lines.join('\n');
+}
+
+module.exports = { buildPlan, formatTree, formatSize };
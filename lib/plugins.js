@@ -0,0 +1,272 @@
+// Plugins: feature modules that add to a generated project without forking the generator.
+//
+// A plugin is an object, or a CommonJS module exporting one:
+//
+//   module.exports = {
+//     name: 'tracing',
+//     prompts: [{ type: 'confirm', name: 'metrics', message: 'Export metrics too?', default: false }],
+//     dependencies: { '@opentelemetry/sdk-node': '^0.53.0' },
+//     env: [{ name: 'OTEL_SERVICE_NAME', default: 'api' }],
+//     files: ({ ext }) => ({ [`src/tracing.${ext}`]: '...' }),
+//     server: ({ isTS }) => ({ imports: [isTS ? "import './tracing';" : "require('./tracing');"] })
+//   };
+//
+// Every field but `name`, `description` and `when` may also be a function of the render
+// context: the project's answers, derived values (isTS, ext, esm, orm, ...) and `options`,
+// the answers to the plugin's own prompts. The built-in database, validation, logger and
+// Docker features (./templates/features) are written against the same interface.
+const path = require('path');
+const { PluginError } = require('./errors');
+const { BUILTIN_FEATURES } = require('./templates/features');
+
+// Field -> what it must be (after calling it, for functions)
+const FIELDS = {
+  name: 'a non-empty string',
+  description: 'a string',
+  // inquirer questions; the answers become context.options
+  prompts: 'a list of questions with a name',
+  // Whether the plugin applies to this project (default: always)
+  when: 'a function',
+  dependencies: 'an object of package -> version',
+  devDependencies: 'an object of package -> version',
+  scripts: 'an object of script name -> command',
+  // Validated in src/config/env and written to .env / .env.example
+  env: 'a list of environment variables',
+  dirs: 'a list of directories',
+  // relativePath -> content; replaces a generated file with the same path
+  files: 'an object of relative path -> content',
+  // { imports, code }: import lines and statements added to src/app after the built-in middleware
+  app: 'an object with imports (list of lines) and code (string)',
+  // { imports, code }: import lines loaded before the app and statements run before it starts listening
+  server: 'an object with imports (list of lines) and code (string)'
+};
+
+// Fields that can't be functions of the context
+const STATIC_FIELDS = ['name', 'description', 'when'];
+
+// Written from the other fields (dependencies, scripts, env), never by a plugin directly
+const RESERVED_FILES = ['package.json', '.env', '.env.example'];
+
+const ENV_TYPES = ['string', 'number', 'enum', 'uri'];
+// type: string (default) | number | enum (with values) | uri (with pattern, a RegExp or its literal, and message)
+// example: the value written to .env (default: the default); comment: a line above it;
+// commented: written commented out; validate: false for variables read by a tool, not the app
+const ENV_KEYS = ['name', 'type', 'default', 'values', 'minLength', 'pattern', 'message', 'example', 'comment', 'commented', 'validate'];
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isStringMap = value => isObject(value) && Object.values(value).every(v => typeof v === 'string');
+const isStringList = value => Array.isArray(value) && value.every(v => typeof v === 'string');
+
+function envErrors(vars) {
+  if (!Array.isArray(vars)) return ['must be a list of environment variables'];
+
+  return vars.flatMap((v, i) => {
+    const label = `variable ${isObject(v) && typeof v.name === 'string' ? v.name : i + 1}`;
+    if (!isObject(v)) return [`${label} must be an object`];
+
+    const errors = Object.keys(v).filter(key => !ENV_KEYS.includes(key)).map(key => `${label} has an unknown key "${key}"`);
+    if (typeof v.name !== 'string' || !/^[A-Z_][A-Z0-9_]*$/.test(v.name)) errors.push(`${label} needs an UPPER_SNAKE_CASE name`);
+    if (v.type !== undefined && !ENV_TYPES.includes(v.type)) errors.push(`${label} has an unknown type "${v.type}" (${ENV_TYPES.join(', ')})`);
+    if (v.type === 'enum' && !isStringList(v.values)) errors.push(`${label} needs a list of values`);
+    // The default is written into src/config/env as it is, so it must pass the variable's own check
+    if (v.default !== undefined) {
+      if (v.type === 'number' && !(Number.isInteger(v.default) && v.default > 0)) {
+        errors.push(`${label} has a number type, so its default must be a positive integer (got ${JSON.stringify(v.default)})`);
+      } else if (v.type === 'enum' && isStringList(v.values) && !v.values.includes(v.default)) {
+        errors.push(`${label} has a default that is not one of its values (got ${JSON.stringify(v.default)})`);
+      } else if (v.type !== 'number' && v.type !== 'enum' && typeof v.default !== 'string') {
+        errors.push(`${label} needs a string default (got ${JSON.stringify(v.default)})`);
+      }
+    }
+    if (v.type === 'uri' && (!(v.pattern instanceof RegExp || typeof v.pattern === 'string') || typeof v.message !== 'string')) {
+      errors.push(`${label} needs a pattern and a message`);
+    }
+    return errors;
+  });
+}
+
+// Problems with one field's value, as "<field> must be ..." messages
+function fieldErrors(field, value) {
+  // A function may return nothing: the feature has nothing to add there
+  if (value === undefined || value === null) return [];
+
+  const valid = {
+    name: () => typeof value === 'string' && value.trim() !== '',
+    description: () => typeof value === 'string',
+    prompts: () => Array.isArray(value) && value.every(q => isObject(q) && typeof q.name === 'string'),
+    when: () => typeof value === 'function',
+    dependencies: () => isStringMap(value),
+    devDependencies: () => isStringMap(value),
+    scripts: () => isStringMap(value),
+    dirs: () => isStringList(value),
+    files: () => isStringMap(value),
+    app: () => isObject(value) && (value.imports === undefined || isStringList(value.imports)) && (value.code === undefined || typeof value.code === 'string'),
+    server: () => isObject(value) && (value.imports === undefined || isStringList(value.imports)) && (value.code === undefined || typeof value.code === 'string')
+  };
+
+  if (field === 'env') return envErrors(value).map(error => `env: ${error}`);
+  if (!valid[field]()) return [`${field} must be ${FIELDS[field]}`];
+  if (field === 'files') {
+    return Object.keys(value)
+      .filter(file => RESERVED_FILES.includes(file) || path.isAbsolute(file) || file.split(/[\\/]/).includes('..'))
+      .map(file => `files: "${file}" can't be written by a plugin${RESERVED_FILES.includes(file) ? ' (use dependencies, scripts and env)' : ''}`);
+  }
+  return [];
+}
+
+// Throws a PluginError listing every problem with a plugin's static shape
+function checkPlugin(plugin, source) {
+  if (!isObject(plugin)) {
+    throw new PluginError(`Plugin ${source} must export an object`, { plugin: source });
+  }
+
+  const label = typeof plugin.name === 'string' && plugin.name ? `"${plugin.name}"` : source;
+  const errors = Object.keys(plugin).flatMap(field => {
+    if (!FIELDS[field]) return [`unknown field "${field}"`];
+    if (typeof plugin[field] === 'function' && !STATIC_FIELDS.includes(field)) return [];
+    return fieldErrors(field, plugin[field]);
+  });
+  if (plugin.name === undefined) errors.unshift(`name must be ${FIELDS.name}`);
+
+  if (errors.length) {
+    throw new PluginError(`Invalid plugin ${label}:\n  - ${errors.join('\n  - ')}`, { plugin: plugin.name || source });
+  }
+  return plugin;
+}
+
+// Local paths ('./tracing', '/opt/plugins/audit') are resolved against baseDir;
+// anything else is a package name and stays as it is
+function resolvePluginSpec(spec, baseDir = process.cwd()) {
+  return spec.startsWith('.') || path.isAbsolute(spec) ? path.resolve(baseDir, spec) : spec;
+}
+
+// Loads a plugin from a path or package name, or checks a plugin object.
+// Packages are looked up from cwd first, then next to the generator (global installs).
+function loadPlugin(spec, cwd = process.cwd()) {
+  if (typeof spec !== 'string') {
+    if (!isObject(spec)) throw new PluginError('A plugin must be a path, a package name or an object');
+    return checkPlugin(spec, 'object');
+  }
+
+  let file;
+  try {
+    file = require.resolve(resolvePluginSpec(spec, cwd), { paths: [cwd, __dirname] });
+  } catch (error) {
+    throw new PluginError(`Plugin "${spec}" not found. Install it or check the path.`, { plugin: spec, cause: error });
+  }
+
+  let exported;
+  try {
+    exported = require(file);
+  } catch (error) {
+    const reason = error.code === 'ERR_REQUIRE_ESM' ? 'plugins must be CommonJS modules' : error.message;
+    throw new PluginError(`Could not load plugin "${spec}": ${reason}`, { plugin: spec, cause: error });
+  }
+
+  // Transpiled `export default`
+  return checkPlugin(exported && exported.__esModule ? exported.default : exported, `"${spec}"`);
+}
+
+// Loads every plugin; names must be unique and can't shadow a built-in feature
+function loadPlugins(specs = [], cwd = process.cwd()) {
+  const plugins = specs.map(spec => loadPlugin(spec, cwd));
+  const taken = BUILTIN_FEATURES.map(feature => feature.name);
+
+  plugins.forEach(plugin => {
+    if (taken.includes(plugin.name)) {
+      throw new PluginError(`Plugin name "${plugin.name}" is already used by ${BUILTIN_FEATURES.some(f => f.name === plugin.name) ? 'a built-in feature' : 'another plugin'}`, { plugin: plugin.name });
+    }
+    taken.push(plugin.name);
+  });
+
+  return plugins;
+}
+
+// Calls a field that is a function of the context; a throw becomes a PluginError naming the plugin
+function evaluate(plugin, field, context) {
+  const value = plugin[field];
+  if (typeof value !== 'function') return value;
+
+  try {
+    return value(context);
+  } catch (error) {
+    throw new PluginError(`Plugin "${plugin.name}" failed in ${field}(): ${error.message}`, { plugin: plugin.name, cause: error });
+  }
+}
+
+// A feature's questions for this project (none when its `when` says it doesn't apply)
+function pluginPrompts(plugin, context) {
+  const own = { ...context, options: {} };
+  if (plugin.when && !evaluate(plugin, 'when', own)) return [];
+
+  const prompts = evaluate(plugin, 'prompts', own) || [];
+  const errors = fieldErrors('prompts', prompts);
+  if (errors.length) {
+    throw new PluginError(`Plugin "${plugin.name}": ${errors.join(', ')}`, { plugin: plugin.name });
+  }
+  return prompts;
+}
+
+// Answers to each plugin's prompts: the given ones, else the prompt's default
+// (prompts whose `when` returns false are skipped). Used without a terminal and by the API.
+function defaultPluginOptions(plugins, given = {}, context) {
+  return plugins.reduce((options, plugin) => {
+    const answers = { ...given[plugin.name] };
+
+    pluginPrompts(plugin, context).forEach(question => {
+      if (answers[question.name] !== undefined) return;
+      if (typeof question.when === 'function' ? !question.when(answers) : question.when === false) return;
+      const value = typeof question.default === 'function' ? question.default(answers) : question.default;
+      if (value !== undefined) answers[question.name] = value;
+    });
+
+    options[plugin.name] = answers;
+    return options;
+  }, {});
+}
+
+/**
+ * Evaluates every field of the features that apply to this project, in order.
+ * Each one comes back with all fields set: empty objects/lists, `app`/`server` null.
+ *
+ * @param {object[]} features Built-in features and loaded plugins
+ * @param {object} context See renderContext() in ./templates
+ * @param {object} [pluginOptions] Plugin name -> answers to its prompts
+ * @throws {PluginError} A field threw or returned something invalid
+ */
+function resolveFeatures(features, context, pluginOptions = {}) {
+  return features
+    .map(feature => ({ feature, context: { ...context, options: pluginOptions[feature.name] || {} } }))
+    .filter(({ feature, context: own }) => !feature.when || evaluate(feature, 'when', own))
+    .map(({ feature, context: own }) => {
+      const value = field => {
+        const result = evaluate(feature, field, own);
+        const errors = fieldErrors(field, result);
+        if (errors.length) {
+          throw new PluginError(`Plugin "${feature.name}": ${errors.join(', ')}`, { plugin: feature.name });
+        }
+        return result;
+      };
+
+      return {
+        name: feature.name,
+        dependencies: value('dependencies') || {},
+        devDependencies: value('devDependencies') || {},
+        scripts: value('scripts') || {},
+        env: value('env') || [],
+        dirs: value('dirs') || [],
+        files: value('files') || {},
+        app: value('app') || null,
+        server: value('server') || null
+      };
+    });
+}
+
+module.exports = {
+  resolvePluginSpec,
+  loadPlugin,
+  loadPlugins,
+  pluginPrompts,
+  defaultPluginOptions,
+  resolveFeatures
+};
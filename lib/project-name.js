@@ -0,0 +1,71 @@
+const path = require('path');
+const { builtinModules } = require('module');
+
+// The project name becomes the package.json "name", so it follows npm's rules for new packages
+const MAX_LENGTH = 214;
+const RESERVED_NAMES = ['node_modules', 'favicon.ico', ...builtinModules];
+const SCOPED_NAME = /^@([^/]+)\/([^/]+)$/;
+
+// '@team/orders-api' -> 'orders-api'. Used for the directory and database names.
+function unscopedName(name) {
+  return name.replace(/^@[^/]+\//, '');
+}
+
+// Every rule the name breaks, as readable messages. Empty when the name is valid.
+function projectNameErrors(name) {
+  if (typeof name !== 'string' || !name) return ['is required'];
+
+  const errors = [];
+  const scoped = name.match(SCOPED_NAME);
+  const parts = scoped ? [scoped[1], scoped[2]] : [name];
+
+  if (name.length > MAX_LENGTH) errors.push(`must be ${MAX_LENGTH} characters or fewer`);
+  if (name.trim() !== name) errors.push('cannot start or end with spaces');
+  if (/^[._]/.test(name)) errors.push('cannot start with a dot or an underscore');
+  if (name.toLowerCase() !== name) errors.push('cannot contain uppercase letters');
+  if (/[~'!()*]/.test(name)) errors.push('cannot contain ~\'!()*');
+  if (name.startsWith('@') && !scoped) errors.push('must look like "@scope/name" when it starts with "@"');
+  if (parts.some(part => encodeURIComponent(part) !== part)) {
+    errors.push('can only contain URL-friendly characters (letters, numbers, "-", "." and "_")');
+  }
+  if (RESERVED_NAMES.includes(unscopedName(name).toLowerCase())) errors.push('is a reserved name');
+
+  return errors;
+}
+
+// Closest valid name: 'My API' -> 'my-api', '@Team/Orders API' -> '@team/orders-api'
+function suggestProjectName(name) {
+  const clean = part => part
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9._-]+/g, '-')
+    .replace(/^[._-]+|-+$/g, '')
+    .replace(/-{2,}/g, '-');
+
+  const scoped = String(name).trim().match(/^@([^/]+)\/(.+)$/);
+  const base = clean(scoped ? scoped[2] : String(name)).slice(0, MAX_LENGTH) || 'my-backend';
+  const safe = RESERVED_NAMES.includes(base) ? `${base}-app` : base;
+
+  return scoped && clean(scoped[1]) ? `@${clean(scoped[1])}/${safe}` : safe;
+}
+
+// Project name and directory for the CLI argument. '.' generates into `cwd` and names the
+// package after it (fixed up when the folder name isn't a valid package name).
+function resolveProjectTarget(input, cwd) {
+  if (input === '.') {
+    const folder = path.basename(cwd);
+    return {
+      projectName: projectNameErrors(folder).length ? suggestProjectName(folder) : folder,
+      projectPath: cwd,
+      errors: []
+    };
+  }
+
+  return {
+    projectName: input,
+    projectPath: path.join(cwd, unscopedName(input)),
+    errors: projectNameErrors(input)
+  };
+}
+
+module.exports = { unscopedName, projectNameErrors, suggestProjectName, resolveProjectTarget };
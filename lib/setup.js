@@ -0,0 +1,92 @@
+// Post-generation setup run by the CLI: git repository, dependency install and formatting.
+// Failures are returned as { ok: false, reason } instead of thrown: the project
+// is already written, so the CLI only warns and prints the command to run by hand.
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { PACKAGE_MANAGERS } = require('./templates/package-manager');
+
+// The package manager that launched the CLI (`pnpm create`, `yarn create`, `bunx`, ...),
+// read from the user agent they all set. Falls back to npm.
+function detectPackageManager(userAgent = process.env.npm_config_user_agent) {
+  const name = (userAgent || '').split('/')[0];
+  return PACKAGE_MANAGERS.includes(name) ? name : 'npm';
+}
+
+// Message of the commit the CLI makes after generating; `cnapp upgrade` looks for it
+// in projects generated before .cnapp.json existed
+const INITIAL_COMMIT_MESSAGE = 'Initial commit from create-node-advance-app';
+
+function git(args, cwd, options = {}) {
+  return spawnSync('git', args, { cwd, encoding: 'utf8', ...options });
+}
+
+// Runs `git init` unless git is missing or the project sits inside another repository
+function initGitRepository(projectPath) {
+  const check = git(['rev-parse', '--is-inside-work-tree'], projectPath);
+  if (check.error) {
+    return { ok: false, reason: 'git is not installed' };
+  }
+  if (check.status === 0) {
+    return { ok: false, reason: 'the project is inside an existing git repository' };
+  }
+
+  const init = git(['init', '--quiet'], projectPath);
+  return init.status === 0
+    ? { ok: true }
+    : { ok: false, reason: init.stderr.trim() };
+}
+
+// Commits every file. Fails e.g. when git has no user.name/user.email configured.
+function commitAll(projectPath, message) {
+  const add = git(['add', '-A'], projectPath);
+  const commit = add.status === 0
+    ? git(['commit', '--quiet', '--no-verify', '-m', message], projectPath)
+    : add;
+
+  return commit.status === 0
+    ? { ok: true }
+    : { ok: false, reason: (commit.stderr || commit.stdout).trim().split('\n')[0] };
+}
+
+// Runs `<packageManager> install` in the project with its output shown to the user
+function installDependencies(projectPath, packageManager) {
+  return new Promise(resolve => {
+    const child = spawn(packageManager, ['install'], {
+      cwd: projectPath,
+      stdio: 'inherit',
+      // npm, pnpm and yarn are .cmd shims on Windows
+      shell: process.platform === 'win32'
+    });
+
+    child.on('error', error => resolve({
+      ok: false,
+      reason: error.code === 'ENOENT' ? `${packageManager} is not installed` : error.message
+    }));
+    child.on('close', code => resolve(code === 0
+      ? { ok: true }
+      : { ok: false, reason: `${packageManager} install exited with code ${code}` }));
+  });
+}
+
+// Runs the project's own Prettier over the generated files (not the whole directory,
+// so files that were already there before --force are left as they were)
+function formatFiles(projectPath, files) {
+  let bin;
+  try {
+    const pkgPath = require.resolve('prettier/package.json', { paths: [projectPath] });
+    bin = path.join(path.dirname(pkgPath), require(pkgPath).bin);
+  } catch {
+    return { ok: false, reason: 'prettier is not installed' };
+  }
+
+  const result = spawnSync(process.execPath, [bin, '--write', '--log-level', 'warn', '--ignore-unknown', ...files], {
+    cwd: projectPath,
+    encoding: 'utf8'
+  });
+
+  return result.status === 0
+    ? { ok: true }
+    : { ok: false, reason: (result.stderr || result.stdout || `prettier exited with code ${result.status}`).trim().split('\n')[0] };
+}
+
+module.exports = { INITIAL_COMMIT_MESSAGE, detectPackageManager, git, initGitRepository, commitAll, installDependencies, formatFiles };
@@ -0,0 +1,385 @@
+// Starter templates (--template): a directory of files the generator renders over the
+// built-in templates, or instead of them, for conventions the prompts can't express.
+//
+// A template is a local directory or tarball, a git repository or an npm package:
+//
+//   --template ./starters/acme
+//   --template ./acme-starter-1.4.0.tgz
+//   --template https://github.com/acme/node-starter.git#v2   (also git@host:..., github:acme/node-starter)
+//   --template @acme/cnapp-starter@^2
+//
+// An optional template.json at its root describes it:
+//
+//   {
+//     "name": "acme-starter",
+//     "mode": "layer",                          // or "replace": only the template's files are written
+//     "root": "files",                          // the files live in this subdirectory (default: the whole template)
+//     "answers": { "framework": "fastify" },    // preset answers, below config files, presets and flags
+//     "conditions": { "docker/**": { "docker": true }, "src/db/**": { "database": { "not": "none" } } }
+//   }
+//
+// Git repositories and packages are downloaded into ~/.cnapp/templates. When the download
+// fails, or with `offline`, the copy cached by the last download is used. Rendering the
+// files (placeholders, conditions, layering) is done by ./templates/external.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const tar = require('tar-stream');
+const { TemplateError } = require('./errors');
+const { checkAnswers } = require('./cli/questions');
+
+const MANIFEST = 'template.json';
+const MODES = ['layer', 'replace'];
+const MANIFEST_KEYS = ['name', 'description', 'mode', 'root', 'answers', 'conditions'];
+
+// Never part of a template's output
+const IGNORED_ENTRIES = ['.git', 'node_modules', '.DS_Store', 'Thumbs.db'];
+
+const TARBALL = /\.(tgz|tar\.gz|tar)$/i;
+const GIT_HOSTS = {
+  github: 'https://github.com',
+  gitlab: 'https://gitlab.com',
+  bitbucket: 'https://bitbucket.org'
+};
+
+// Cache entry -> where this process got it from ('git', 'npm' or 'cache' after a failed download).
+// The CLI fetches a template before prompting and createProject() fetches it again: once is enough.
+const refreshed = new Map();
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isLocal = spec => spec.startsWith('.') || path.isAbsolute(spec);
+
+function getCacheDir() {
+  return path.join(os.homedir(), '.cnapp', 'templates');
+}
+
+// Local paths are resolved against baseDir; git URLs and package names stay as they are
+function resolveTemplateSpec(spec, baseDir = process.cwd()) {
+  return isLocal(spec) ? path.resolve(baseDir, spec) : spec;
+}
+
+// Where a template comes from: { type: 'directory' | 'tarball', path } for local ones,
+// { type: 'git', url, ref } or { type: 'npm', spec } for remote ones
+function parseTemplateSpec(spec, cwd = process.cwd()) {
+  if (isLocal(spec)) {
+    const file = path.resolve(cwd, spec);
+    return { type: TARBALL.test(file) && !isDirectory(file) ? 'tarball' : 'directory', path: file };
+  }
+
+  const [location, ref] = spec.split('#');
+  const shorthand = location.match(/^(github|gitlab|bitbucket):(.+)$/);
+  if (shorthand) {
+    return { type: 'git', url: `${GIT_HOSTS[shorthand[1]]}/${shorthand[2].replace(/\.git$/, '')}.git`, ref };
+  }
+  if (/^(git\+|git:\/\/|ssh:\/\/|git@|file:\/\/)/.test(location) || /\.git$/.test(location) ||
+    /^https?:\/\/(github\.com|gitlab\.com|bitbucket\.org)\//.test(location)) {
+    return { type: 'git', url: location.replace(/^git\+/, ''), ref };
+  }
+  // Package names, versions and tarball URLs are all understood by `npm pack`
+  return { type: 'npm', spec };
+}
+
+function isDirectory(file) {
+  return fs.existsSync(file) && fs.statSync(file).isDirectory();
+}
+
+// Readable and unique: "github.com-acme-node-starter.git-v2-1f3a9c0e"
+function cacheKey(spec) {
+  const hash = crypto.createHash('sha1').update(spec).digest('hex').slice(0, 8);
+  const slug = spec.replace(/^[a-z+]+:\/\//, '').replace(/[^\w.@-]+/g, '-').replace(/^-+|-+$/g, '').slice(-60);
+  return `${slug}-${hash}`;
+}
+
+// Shallow clone of a branch or tag (the default branch without `ref`), without its .git
+function cloneRepository(url, ref, dest) {
+  const args = ['clone', '--quiet', '--depth', '1', ...(ref ? ['--branch', ref] : []), url, dest];
+  // No credential prompt in the middle of the generator's questions
+  const result = spawnSync('git', args, { encoding: 'utf8', env: { ...process.env, GIT_TERMINAL_PROMPT: '0' } });
+
+  if (result.error) {
+    throw new Error(result.error.code === 'ENOENT' ? 'git is not installed' : result.error.message);
+  }
+  if (result.status !== 0) {
+    throw new Error(result.stderr.trim().split('\n')[0].replace(/^fatal:\s*/, '') || `git clone exited with code ${result.status}`);
+  }
+  fs.rmSync(path.join(dest, '.git'), { recursive: true, force: true });
+}
+
+// Downloads a package's tarball into `dest` with `npm pack` (honours .npmrc registries and auth)
+function packPackage(spec, dest) {
+  const result = spawnSync('npm', ['pack', spec, '--json', '--pack-destination', dest], {
+    encoding: 'utf8',
+    // npm is a .cmd shim on Windows
+    shell: process.platform === 'win32'
+  });
+
+  if (result.error) {
+    throw new Error(result.error.code === 'ENOENT' ? 'npm is not installed' : result.error.message);
+  }
+  if (result.status !== 0) {
+    const lines = result.stderr.split('\n').map(line => line.replace(/^npm (ERR!|error)\s*/, '').trim()).filter(Boolean);
+    throw new Error(lines.find(line => !/^(code|A complete log)/.test(line)) || `npm pack exited with code ${result.status}`);
+  }
+
+  const [packed] = JSON.parse(result.stdout);
+  return path.join(dest, packed.filename);
+}
+
+// Reads every regular file of a (gzipped) tarball
+function readTarball(file) {
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    const extract = tar.extract();
+
+    extract.on('entry', (header, stream, next) => {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('end', () => {
+        if (header.type === 'file') entries.push({ name: header.name, content: Buffer.concat(chunks) });
+        next();
+      });
+    });
+    extract.on('finish', () => resolve(entries));
+    extract.on('error', reject);
+
+    const input = fs.createReadStream(file);
+    input.on('error', reject);
+    const gzipped = fs.readFileSync(file).subarray(0, 2).equals(Buffer.from([0x1f, 0x8b]));
+    if (gzipped) {
+      const gunzip = zlib.createGunzip();
+      gunzip.on('error', reject);
+      input.pipe(gunzip).pipe(extract);
+    } else {
+      input.pipe(extract);
+    }
+  });
+}
+
+// Extracts a tarball into `dest`. A single top-level folder (npm's "package/", GitHub's
+// "<repo>-<sha>/") is stripped; paths escaping `dest` are rejected.
+async function extractTarball(file, dest) {
+  const entries = (await readTarball(file)).map(entry => ({ ...entry, name: entry.name.replace(/^\.\//, '') }));
+  const tops = new Set(entries.map(entry => entry.name.split('/')[0]));
+  const strip = tops.size === 1 && entries.every(entry => entry.name.includes('/'));
+
+  entries.forEach(({ name, content }) => {
+    const relative = strip ? name.slice(name.indexOf('/') + 1) : name;
+    if (path.isAbsolute(relative) || relative.split(/[\\/]/).includes('..')) {
+      throw new Error(`${path.basename(file)} contains an unsafe path: ${name}`);
+    }
+    const target = path.join(dest, relative);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+  });
+}
+
+// Downloads into a temporary directory next to `cached`, then swaps it in,
+// so a failed download never leaves a half-written cache entry
+async function download(source, cached) {
+  const staging = fs.mkdtempSync(`${cached}-download-`);
+  const dest = path.join(staging, 'template');
+
+  try {
+    if (source.type === 'git') {
+      cloneRepository(source.url, source.ref, dest);
+    } else {
+      await extractTarball(packPackage(source.spec, staging), dest);
+    }
+    fs.rmSync(cached, { recursive: true, force: true });
+    fs.renameSync(dest, cached);
+  } finally {
+    fs.rmSync(staging, { recursive: true, force: true });
+  }
+}
+
+// Checks template.json; answers are normalized like a config file's
+function checkManifest(manifest) {
+  const errors = Object.keys(manifest).filter(key => !MANIFEST_KEYS.includes(key)).map(key => `unknown key "${key}"`);
+  const { name, description, mode, root, answers = {}, conditions = {} } = manifest;
+
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) errors.push('"name" must be a non-empty string');
+  if (description !== undefined && typeof description !== 'string') errors.push('"description" must be a string');
+  if (mode !== undefined && !MODES.includes(mode)) errors.push(`"mode" must be one of ${MODES.join(', ')}`);
+  if (root !== undefined && (typeof root !== 'string' || path.isAbsolute(root) || root.split(/[\\/]/).includes('..'))) {
+    errors.push('"root" must be a subdirectory of the template');
+  }
+
+  let checked = {};
+  if (isObject(answers)) {
+    const result = checkAnswers(answers);
+    checked = result.answers;
+    errors.push(...result.errors.map(error => `answers: ${error}`));
+    ['plugins', 'pluginOptions', 'template']
+      .filter(key => answers[key] !== undefined)
+      .forEach(key => errors.push(`answers: "${key}" can't be set by a template`));
+  } else {
+    errors.push('"answers" must be an object of answers');
+  }
+
+  const matcherErrors = expected => {
+    if (Array.isArray(expected)) return expected.flatMap(matcherErrors);
+    if (isObject(expected)) {
+      return Object.keys(expected).length === 1 && expected.not !== undefined ? matcherErrors(expected.not) : ['must be a value, a list of values or { "not": ... }'];
+    }
+    return ['string', 'number', 'boolean'].includes(typeof expected) ? [] : ['must be a value, a list of values or { "not": ... }'];
+  };
+  if (isObject(conditions)) {
+    Object.entries(conditions).forEach(([pattern, when]) => {
+      if (!isObject(when)) {
+        errors.push(`conditions["${pattern}"] must be an object of answer -> expected value`);
+        return;
+      }
+      Object.entries(when).forEach(([key, expected]) => {
+        matcherErrors(expected).slice(0, 1).forEach(error => errors.push(`conditions["${pattern}"].${key} ${error}`));
+      });
+    });
+  } else {
+    errors.push('"conditions" must map file patterns to conditions');
+  }
+
+  return { errors, answers: checked };
+}
+
+// Every file under `root` as relative path -> content (a string, or a Buffer for binary
+// files such as images), plus the empty directories
+function readFiles(root, skip) {
+  const files = {};
+  const dirs = [];
+
+  const walk = relative => {
+    const entries = fs.readdirSync(path.join(root, relative), { withFileTypes: true })
+      .filter(entry => !IGNORED_ENTRIES.includes(entry.name) && !skip.includes(path.posix.join(relative, entry.name)));
+    if (!entries.length && relative) dirs.push(relative);
+
+    entries.forEach(entry => {
+      const file = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        walk(file);
+      } else if (entry.isFile()) {
+        const content = fs.readFileSync(path.join(root, file));
+        // Same heuristic as git: a NUL byte in the first 8000 bytes means binary
+        files[file] = content.subarray(0, 8000).includes(0) ? content : content.toString('utf8');
+      }
+    });
+  };
+
+  walk('');
+  return { files, dirs };
+}
+
+/**
+ * Reads a template directory: its manifest and every file.
+ *
+ * @param {string} dir Template directory
+ * @param {string} [name] Name when template.json has none (default: the directory name)
+ * @returns {{ name: string, description?: string, mode: 'layer' | 'replace', answers: object,
+ *   conditions: object, dir: string, files: object, dirs: string[] }}
+ * @throws {TemplateError} The directory is missing or template.json is invalid
+ */
+function loadTemplate(dir, name = path.basename(dir)) {
+  if (!isDirectory(dir)) {
+    throw new TemplateError(`Template directory not found: ${dir}`, { template: dir });
+  }
+
+  let manifest = {};
+  const manifestPath = path.join(dir, MANIFEST);
+  if (fs.existsSync(manifestPath)) {
+    try {
+      manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+      throw new TemplateError(`Could not parse ${manifestPath}: ${error.message}`, { template: dir, cause: error });
+    }
+    if (!isObject(manifest)) {
+      throw new TemplateError(`${manifestPath} must contain an object`, { template: dir });
+    }
+  }
+
+  const { errors, answers } = checkManifest(manifest);
+  const root = path.resolve(dir, manifest.root || '.');
+  if (!errors.length && !isDirectory(root)) errors.push(`"root" directory ${manifest.root} not found`);
+  if (errors.length) {
+    throw new TemplateError(`Invalid template ${manifest.name || dir}:\n  - ${errors.join('\n  - ')}`, { template: dir });
+  }
+
+  return {
+    name: manifest.name || name,
+    description: manifest.description,
+    mode: manifest.mode || 'layer',
+    answers,
+    conditions: manifest.conditions || {},
+    dir,
+    // template.json itself is only skipped when the files sit next to it
+    ...readFiles(root, root === path.resolve(dir) ? [MANIFEST] : [])
+  };
+}
+
+/**
+ * Resolves a template spec to a local directory, downloading git repositories and
+ * packages into the cache (~/.cnapp/templates) and extracting local tarballs there.
+ *
+ * @param {string} spec Local directory or tarball, git URL (`#branch-or-tag`) or npm package spec
+ * @param {{ offline?: boolean, cwd?: string }} [options] `offline` uses the cached copy without downloading
+ * @returns {Promise<object>} The loaded template (see loadTemplate) with `spec`, `source`
+ *   ('local' | 'git' | 'npm' | 'cache') and, when a download failed and the cache was used, `warning`
+ * @throws {TemplateError} Not found, not cached (offline), could not be downloaded, or invalid
+ */
+async function fetchTemplate(spec, { offline = false, cwd = process.cwd() } = {}) {
+  const source = parseTemplateSpec(spec, cwd);
+
+  if (source.type === 'directory') {
+    return { ...loadTemplate(source.path), spec, source: 'local' };
+  }
+
+  // Cache directories are named after a hash: use the repository or package name instead
+  const name = path.basename(spec.split('#')[0]).replace(/(.)@.*$/, '$1').replace(/\.(git|tgz|tar\.gz|tar)$/i, '');
+  const load = dir => loadTemplate(dir, name);
+  const cacheDir = getCacheDir();
+  const cached = path.join(cacheDir, cacheKey(source.type === 'tarball' ? source.path : spec));
+  fs.mkdirSync(cacheDir, { recursive: true });
+
+  // Local tarballs are extracted again every time, so the cache never hides an updated file
+  if (source.type === 'tarball') {
+    if (!fs.existsSync(source.path)) {
+      throw new TemplateError(`Template not found: ${source.path}`, { template: spec });
+    }
+    try {
+      fs.rmSync(cached, { recursive: true, force: true });
+      await extractTarball(source.path, cached);
+    } catch (error) {
+      throw new TemplateError(`Could not extract template ${spec}: ${error.message}`, { template: spec, cause: error });
+    }
+    return { ...load(cached), spec, source: 'local' };
+  }
+
+  if (offline) {
+    if (!isDirectory(cached)) {
+      throw new TemplateError(`Template "${spec}" is not in the cache (${cacheDir}). Run once without --offline to download it.`, { template: spec });
+    }
+    return { ...load(cached), spec, source: 'cache' };
+  }
+
+  if (refreshed.has(cached)) {
+    return { ...load(cached), spec, source: refreshed.get(cached) };
+  }
+  try {
+    await download(source, cached);
+    refreshed.set(cached, source.type);
+  } catch (error) {
+    if (!isDirectory(cached)) {
+      throw new TemplateError(`Could not download template "${spec}": ${error.message}`, { template: spec, cause: error });
+    }
+    refreshed.set(cached, 'cache');
+    return {
+      ...load(cached),
+      spec,
+      source: 'cache',
+      warning: `Could not download template "${spec}" (${error.message}), using the cached copy`
+    };
+  }
+  return { ...load(cached), spec, source: source.type };
+}
+
+module.exports = { resolveTemplateSpec, parseTemplateSpec, loadTemplate, fetchTemplate };
@@ -0,0 +1,1087 @@
+// ============================================================
+// JWT AUTH MODULE
+// ============================================================
+// Returns { relativePath: content } for the auth module:
+// user model, auth service, middleware, controller, routes
+// (and a users migration for Sequelize).
+// options.orm is the resolved ORM: mongoose | sequelize | prisma | drizzle | typeorm | none
+
+const { commonJsExt } = require('./esm');
+const { respond } = require('./framework');
+
+function migrationTimestamp() {
+  return new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+// ------------------------------------------------------------
+// src/models/user.model
+// ------------------------------------------------------------
+function userModel(options) {
+  const { isTS, orm } = options;
+
+  if (orm === 'mongoose') {
+    return isTS ? `import mongoose, { Document, Schema } from 'mongoose';
+
+export interface IUser extends Document {
+  name: string;
+  email: string;
+  password: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const userSchema = new Schema<IUser>(
+  {
+    name: { type: String, required: true, trim: true },
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true
+    },
+    // Hashed by auth.service, never returned unless explicitly selected
+    password: { type: String, required: true, select: false }
+  },
+  {
+    timestamps: true
+  }
+);
+
+export const User = mongoose.model<IUser>('User', userSchema);
+` : `const mongoose = require('mongoose');
+
+const userSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true
+    },
+    // Hashed by auth.service, never returned unless explicitly selected
+    password: { type: String, required: true, select: false }
+  },
+  {
+    timestamps: true
+  }
+);
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = { User };
+`;
+  }
+
+  if (orm === 'sequelize') {
+    return isTS ? `import { DataTypes, Model, Optional } from 'sequelize';
+import { sequelize } from '../config/database';
+
+interface UserAttributes {
+  id: number;
+  name: string;
+  email: string;
+  password: string;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+type UserCreationAttributes = Optional<UserAttributes, 'id'>;
+
+export class User extends Model<UserAttributes, UserCreationAttributes>
+  implements UserAttributes {
+  public id!: number;
+  public name!: string;
+  public email!: string;
+  public password!: string;
+  public readonly createdAt!: Date;
+  public readonly updatedAt!: Date;
+}
+
+User.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      validate: { isEmail: true }
+    },
+    // Hashed by auth.service
+    password: {
+      type: DataTypes.STRING,
+      allowNull: false
+    }
+  },
+  {
+    sequelize,
+    tableName: 'users',
+    timestamps: true
+  }
+);
+` : `const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+class User extends Model {}
+
+User.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      validate: { isEmail: true }
+    },
+    // Hashed by auth.service
+    password: {
+      type: DataTypes.STRING,
+      allowNull: false
+    }
+  },
+  {
+    sequelize,
+    tableName: 'users',
+    timestamps: true
+  }
+);
+
+module.exports = { User };
+`;
+  }
+
+  if (orm === 'prisma' || orm === 'drizzle' || orm === 'typeorm') {
+    return userRepository(options);
+  }
+
+  // No database selected: in-memory store with the same surface the service needs
+  return isTS ? `import { randomUUID } from 'crypto';
+
+/**
+ * In-memory user store.
+ * No database was selected, so users live in memory and are lost on restart.
+ * Replace this with a real model once you add a database.
+ */
+
+export interface IUser {
+  id: string;
+  name: string;
+  email: string;
+  password: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const users = new Map<string, IUser>();
+
+export const User = {
+  async findByEmail(email: string): Promise<IUser | undefined> {
+    return [...users.values()].find(user => user.email === email);
+  },
+
+  async findById(id: string): Promise<IUser | undefined> {
+    return users.get(id);
+  },
+
+  async create(data: Pick<IUser, 'name' | 'email' | 'password'>): Promise<IUser> {
+    const now = new Date();
+    const user: IUser = { id: randomUUID(), ...data, createdAt: now, updatedAt: now };
+    users.set(user.id, user);
+    return user;
+  }
+};
+` : `const { randomUUID } = require('crypto');
+
+/**
+ * In-memory user store.
+ * No database was selected, so users live in memory and are lost on restart.
+ * Replace this with a real model once you add a database.
+ */
+
+const users = new Map();
+
+const User = {
+  async findByEmail(email) {
+    return [...users.values()].find(user => user.email === email);
+  },
+
+  async findById(id) {
+    return users.get(id);
+  },
+
+  async create(data) {
+    const now = new Date();
+    const user = { id: randomUUID(), ...data, createdAt: now, updatedAt: now };
+    users.set(user.id, user);
+    return user;
+  }
+};
+
+module.exports = { User };
+`;
+}
+
+// ------------------------------------------------------------
+// src/models/user.model for Prisma, Drizzle and TypeORM:
+// a small repository with the same surface as the in-memory store
+// (findByEmail / findById / create). Ids are integers; JWTs carry strings.
+// ------------------------------------------------------------
+const REPOSITORIES = {
+  prisma: {
+    ts: `import { User as UserRecord } from '@prisma/client';
+import { prisma } from '../config/database';
+
+export type IUser = UserRecord;`,
+    js: "const { prisma } = require('../config/database');",
+    findByEmail: 'return prisma.user.findUnique({ where: { email } });',
+    findById: 'return prisma.user.findUnique({ where: { id: Number(id) } });',
+    create: 'return prisma.user.create({ data });'
+  },
+  drizzle: {
+    ts: `import { eq } from 'drizzle-orm';
+import { db } from '../config/database';
+import { users } from './schema';
+
+export type IUser = typeof users.$inferSelect;`,
+    js: `const { eq } = require('drizzle-orm');
+const { db } = require('../config/database');
+const { users } = require('./schema');`,
+    findByEmail: `const [user] = await db.select().from(users).where(eq(users.email, email)).limit(1);
+    return user ?? null;`,
+    findById: `const [user] = await db.select().from(users).where(eq(users.id, Number(id))).limit(1);
+    return user ?? null;`,
+    create: `const [user] = await db.insert(users).values(data).returning();
+    return user;`,
+    // MySQL has no RETURNING: read the row back by its new id
+    createMysql: `const [{ id }] = await db.insert(users).values(data).$returningId();
+    const [user] = await db.select().from(users).where(eq(users.id, id));
+    return user;`
+  },
+  typeorm: {
+    ts: `import { AppDataSource } from '../config/database';
+import { UserEntity } from './user.entity';
+
+export type IUser = UserEntity;
+
+const repository = () => AppDataSource.getRepository(UserEntity);`,
+    js: `const { AppDataSource } = require('../config/database');
+const { UserEntity } = require('./user.entity');
+
+const repository = () => AppDataSource.getRepository(UserEntity);`,
+    findByEmail: 'return repository().findOneBy({ email });',
+    findById: 'return repository().findOneBy({ id: Number(id) });',
+    create: 'return repository().save(repository().create(data));'
+  }
+};
+
+function userRepository({ isTS, database, orm }) {
+  const repo = REPOSITORIES[orm];
+  const create = database === 'mysql' && repo.createMysql ? repo.createMysql : repo.create;
+  const async = orm === 'drizzle' ? 'async ' : '';
+  const t = type => (isTS ? `: ${type}` : '');
+
+  return `${isTS ? repo.ts : repo.js}
+
+${isTS ? 'export ' : ''}const User = {
+  ${async}findByEmail(email${t('string')})${t('Promise<IUser | null>')} {
+    ${repo.findByEmail}
+  },
+
+  ${async}findById(id${t('string')})${t('Promise<IUser | null>')} {
+    ${repo.findById}
+  },
+
+  ${async}create(data${t("Pick<IUser, 'name' | 'email' | 'password'>")})${t('Promise<IUser>')} {
+    ${create}
+  }
+};
+${isTS ? '' : '\nmodule.exports = { User };\n'}`;
+}
+
+// ------------------------------------------------------------
+// src/migrations/<timestamp>-create-users.js|cjs (Sequelize only)
+// ------------------------------------------------------------
+function usersMigration() {
+  return `'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('users', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      password: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('users');
+  }
+};
+`;
+}
+
+// ------------------------------------------------------------
+// src/services/auth.service
+// ------------------------------------------------------------
+function authService({ isTS, orm, errorHandling }) {
+  // Prisma, Drizzle, TypeORM and the in-memory store share the repository surface
+  const findByEmail = orm === 'mongoose'
+    ? 'User.findOne({ email }).select(\'+password\')'
+    : orm === 'sequelize'
+      ? 'User.findOne({ where: { email } })'
+      : 'User.findByEmail(email)';
+
+  const findById = orm === 'sequelize'
+    ? 'User.findByPk(id)'
+    : 'User.findById(id)';
+
+  const fail = (message, statusCode) => errorHandling
+    ? `throw new AppError('${message}', ${statusCode});`
+    : `throw httpError('${message}', ${statusCode});`;
+
+  return isTS ? `import bcrypt from 'bcryptjs';
+import jwt, { SignOptions } from 'jsonwebtoken';
+import { ENV } from '../config/env';
+import { User } from '../models/user.model';
+${errorHandling ? "import { AppError } from '../utils/AppError';" : ''}
+
+export interface AuthPayload {
+  id: string;
+  email: string;
+}
+
+export interface RegisterInput {
+  name: string;
+  email: string;
+  password: string;
+}
+
+export interface LoginInput {
+  email: string;
+  password: string;
+}
+
+export interface PublicUser {
+  id: string;
+  name: string;
+  email: string;
+  createdAt: Date;
+}
+${errorHandling ? '' : `
+export interface HttpError extends Error {
+  statusCode?: number;
+}
+
+export const httpError = (message: string, statusCode: number): HttpError =>
+  Object.assign(new Error(message), { statusCode });
+`}
+const SALT_ROUNDS = 10;
+
+// Strip the password hash and normalize the id before anything leaves the service
+const toPublicUser = (user: { id?: unknown; name: string; email: string; createdAt: Date }): PublicUser => ({
+  id: String(user.id),
+  name: user.name,
+  email: user.email,
+  createdAt: user.createdAt
+});
+
+export const signToken = (payload: AuthPayload): string => {
+  return jwt.sign(payload, ENV.JWT_SECRET, {
+    expiresIn: ENV.JWT_EXPIRES_IN as SignOptions['expiresIn']
+  });
+};
+
+export const verifyToken = (token: string): AuthPayload => {
+  const decoded = jwt.verify(token, ENV.JWT_SECRET) as AuthPayload;
+  return { id: decoded.id, email: decoded.email };
+};
+
+export const register = async (input: RegisterInput) => {
+  const email = input.email.toLowerCase().trim();
+
+  const existing = await ${findByEmail};
+  if (existing) {
+    ${fail('Email is already registered', 409)}
+  }
+
+  const password = await bcrypt.hash(input.password, SALT_ROUNDS);
+  const user = toPublicUser(await User.create({ name: input.name, email, password }));
+
+  return { user, token: signToken({ id: user.id, email: user.email }) };
+};
+
+export const login = async (input: LoginInput) => {
+  const email = input.email.toLowerCase().trim();
+
+  const found = await ${findByEmail};
+  if (!found || !(await bcrypt.compare(input.password, found.password))) {
+    ${fail('Invalid email or password', 401)}
+  }
+
+  const user = toPublicUser(found);
+
+  return { user, token: signToken({ id: user.id, email: user.email }) };
+};
+
+export const getUserById = async (id: string): Promise<PublicUser> => {
+  const user = await ${findById};
+  if (!user) {
+    ${fail('User not found', 404)}
+  }
+
+  return toPublicUser(user);
+};
+` : `const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { ENV } = require('../config/env');
+const { User } = require('../models/user.model');
+${errorHandling ? "const { AppError } = require('../utils/AppError');" : ''}
+${errorHandling ? '' : `
+const httpError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+`}
+const SALT_ROUNDS = 10;
+
+// Strip the password hash and normalize the id before anything leaves the service
+const toPublicUser = (user) => ({
+  id: String(user.id),
+  name: user.name,
+  email: user.email,
+  createdAt: user.createdAt
+});
+
+const signToken = (payload) => {
+  return jwt.sign(payload, ENV.JWT_SECRET, { expiresIn: ENV.JWT_EXPIRES_IN });
+};
+
+const verifyToken = (token) => {
+  const decoded = jwt.verify(token, ENV.JWT_SECRET);
+  return { id: decoded.id, email: decoded.email };
+};
+
+const register = async (input) => {
+  const email = input.email.toLowerCase().trim();
+
+  const existing = await ${findByEmail};
+  if (existing) {
+    ${fail('Email is already registered', 409)}
+  }
+
+  const password = await bcrypt.hash(input.password, SALT_ROUNDS);
+  const user = toPublicUser(await User.create({ name: input.name, email, password }));
+
+  return { user, token: signToken({ id: user.id, email: user.email }) };
+};
+
+const login = async (input) => {
+  const email = input.email.toLowerCase().trim();
+
+  const found = await ${findByEmail};
+  if (!found || !(await bcrypt.compare(input.password, found.password))) {
+    ${fail('Invalid email or password', 401)}
+  }
+
+  const user = toPublicUser(found);
+
+  return { user, token: signToken({ id: user.id, email: user.email }) };
+};
+
+const getUserById = async (id) => {
+  const user = await ${findById};
+  if (!user) {
+    ${fail('User not found', 404)}
+  }
+
+  return toPublicUser(user);
+};
+
+module.exports = {
+  signToken,
+  verifyToken,
+  register,
+  login,
+  getUserById${errorHandling ? '' : ',\n  httpError'}
+};
+`;
+}
+
+// ------------------------------------------------------------
+// src/middlewares/auth.middleware
+// ------------------------------------------------------------
+function authMiddleware({ isTS, framework, errorHandling }) {
+  if (framework !== 'express') return frameworkAuthMiddleware({ isTS, framework, errorHandling });
+
+  const reject = (message) => errorHandling
+    ? `return next(new AppError('${message}', 401));`
+    : `return res.status(401).json({ success: false, message: '${message}' });`;
+
+  return isTS ? `import { Request, Response, NextFunction } from 'express';
+import { verifyToken, AuthPayload } from '../services/auth.service';
+${errorHandling ? "import { AppError } from '../utils/AppError';" : ''}
+
+export interface AuthRequest extends Request {
+  user?: AuthPayload;
+}
+
+/**
+ * Requires a valid "Authorization: Bearer <token>" header.
+ * Sets req.user to the token payload ({ id, email }).
+ */
+export const authenticate = (req: AuthRequest, res: Response, next: NextFunction) => {
+  const header = req.headers.authorization;
+  const token = header && header.startsWith('Bearer ') ? header.slice(7) : undefined;
+
+  if (!token) {
+    ${reject('Authentication token missing')}
+  }
+
+  try {
+    req.user = verifyToken(token);
+    return next();
+  } catch {
+    ${reject('Invalid or expired token')}
+  }
+};
+` : `const { verifyToken } = require('../services/auth.service');
+${errorHandling ? "const { AppError } = require('../utils/AppError');" : ''}
+
+/**
+ * Requires a valid "Authorization: Bearer <token>" header.
+ * Sets req.user to the token payload ({ id, email }).
+ */
+const authenticate = (req, res, next) => {
+  const header = req.headers.authorization;
+  const token = header && header.startsWith('Bearer ') ? header.slice(7) : undefined;
+
+  if (!token) {
+    ${reject('Authentication token missing')}
+  }
+
+  try {
+    req.user = verifyToken(token);
+    return next();
+  } catch {
+    ${reject('Invalid or expired token')}
+  }
+};
+
+module.exports = { authenticate };
+`;
+}
+
+// Fastify: a preHandler hook setting request.user. Koa: middleware setting ctx.state.user.
+// Both throw AppError for the global error handler, or answer 401 themselves.
+function frameworkAuthMiddleware({ isTS, framework, errorHandling }) {
+  const fastify = framework === 'fastify';
+  const reject = (message) => errorHandling
+    ? `throw new AppError('${message}', 401);`
+    : respond(framework, 401, `{ success: false, message: '${message}' }`);
+  const t = type => (isTS ? `: ${type}` : '');
+
+  // The hook only needs the reply when it answers the 401 itself
+  const signature = fastify
+    ? `async (request${t('FastifyRequest')}${errorHandling ? '' : `, reply${t('FastifyReply')}`})`
+    : `async (ctx${t('Context')}, next${t('Next')})`;
+  const header = fastify ? 'request.headers.authorization' : "ctx.get('Authorization')";
+  const target = fastify ? 'request.user' : 'ctx.state.user';
+
+  const body = `/**
+ * Requires a valid "Authorization: Bearer <token>" header.
+ * Sets ${target} to the token payload ({ id, email }).${fastify ? `
+ *
+ * Usage: app.get('/me', { preHandler: authenticate }, me);` : ''}
+ */
+${isTS ? 'export ' : ''}const authenticate = ${signature} => {
+  const header = ${header};
+  const token = header && header.startsWith('Bearer ') ? header.slice(7) : undefined;
+
+  if (!token) {
+    ${reject('Authentication token missing')}
+  }
+
+  try {
+    ${target} = verifyToken(token);
+  } catch {
+    ${reject('Invalid or expired token')}
+  }${fastify ? '' : `
+
+  // Outside the try: errors further down aren't token errors
+  await next();`}
+};`;
+
+  if (isTS) {
+    const imports = [
+      fastify
+        ? `import { ${errorHandling ? '' : 'FastifyReply, '}FastifyRequest } from 'fastify';`
+        : "import { Context, Next } from 'koa';",
+      `import { verifyToken${fastify ? ', AuthPayload' : ''} } from '../services/auth.service';`,
+      errorHandling && "import { AppError } from '../utils/AppError';"
+    ].filter(Boolean).join('\n');
+
+    return `${imports}
+${fastify ? `
+declare module 'fastify' {
+  interface FastifyRequest {
+    user?: AuthPayload;
+  }
+}
+` : ''}
+${body}
+`;
+  }
+
+  return `const { verifyToken } = require('../services/auth.service');
+${errorHandling ? "const { AppError } = require('../utils/AppError');\n" : ''}
+${body}
+
+module.exports = { authenticate };
+`;
+}
+
+// ------------------------------------------------------------
+// src/controllers/auth.controller
+// ------------------------------------------------------------
+function authController({ isTS, framework, validation, errorHandling }) {
+  if (framework !== 'express') return frameworkAuthController({ isTS, framework, validation, errorHandling });
+
+  const badRequest = (message) => errorHandling
+    ? `throw new AppError('${message}', 400);`
+    : `return res.status(400).json({ success: false, message: '${message}' });`;
+
+  // Without a validation library the controller checks the body itself;
+  // otherwise validate() in the routes already did.
+  const validated = validation !== 'none';
+  const registerChecks = validated ? '' : `
+
+    if (!name || !email || !password) {
+      ${badRequest('Name, email and password are required')}
+    }
+    if (String(password).length < 6) {
+      ${badRequest('Password must be at least 6 characters')}
+    }`;
+  const loginChecks = validated ? '' : `
+
+    if (!email || !password) {
+      ${badRequest('Email and password are required')}
+    }`;
+  const appErrorImport = errorHandling && !validated;
+
+  const ok = (data, message, statusCode) => errorHandling
+    ? `return successResponse(res, ${data}, '${message}'${statusCode !== 200 ? `, ${statusCode}` : ''});`
+    : `return res.status(${statusCode}).json({ success: true, message: '${message}', data: ${data} });`;
+
+  const handleError = errorHandling
+    ? 'next(error);'
+    : isTS
+      ? `const err = error as HttpError;
+    return res.status(err.statusCode || 500).json({ success: false, message: err.message });`
+      : `return res.status(error.statusCode || 500).json({ success: false, message: error.message });`;
+
+  // next is only needed to hand errors to the global error handler
+  const next = errorHandling ? `, next${isTS ? ': NextFunction' : ''}` : '';
+
+  return isTS ? `import { Request, Response${errorHandling ? ', NextFunction' : ''} } from 'express';
+import * as authService from '../services/auth.service';
+import { AuthRequest } from '../middlewares/auth.middleware';
+${errorHandling ? `${appErrorImport ? "import { AppError } from '../utils/AppError';\n" : ''}import { successResponse } from '../utils/response';` : "import { HttpError } from '../services/auth.service';"}
+
+export const register = async (req: Request, res: Response${next}) => {
+  try {
+    const { name, email, password } = req.body;${registerChecks}
+
+    const result = await authService.register({ name, email, password });
+    ${ok('result', 'User registered successfully', 201)}
+  } catch (error) {
+    ${handleError}
+  }
+};
+
+export const login = async (req: Request, res: Response${next}) => {
+  try {
+    const { email, password } = req.body;${loginChecks}
+
+    const result = await authService.login({ email, password });
+    ${ok('result', 'Logged in successfully', 200)}
+  } catch (error) {
+    ${handleError}
+  }
+};
+
+export const me = async (req: AuthRequest, res: Response${next}) => {
+  try {
+    const user = await authService.getUserById(req.user!.id);
+    ${ok('user', 'Current user', 200)}
+  } catch (error) {
+    ${handleError}
+  }
+};
+` : `const authService = require('../services/auth.service');
+${errorHandling ? `${appErrorImport ? "const { AppError } = require('../utils/AppError');\n" : ''}const { successResponse } = require('../utils/response');` : ''}
+
+const register = async (req, res${next}) => {
+  try {
+    const { name, email, password } = req.body;${registerChecks}
+
+    const result = await authService.register({ name, email, password });
+    ${ok('result', 'User registered successfully', 201)}
+  } catch (error) {
+    ${handleError}
+  }
+};
+
+const login = async (req, res${next}) => {
+  try {
+    const { email, password } = req.body;${loginChecks}
+
+    const result = await authService.login({ email, password });
+    ${ok('result', 'Logged in successfully', 200)}
+  } catch (error) {
+    ${handleError}
+  }
+};
+
+const me = async (req, res${next}) => {
+  try {
+    const user = await authService.getUserById(req.user.id);
+    ${ok('user', 'Current user', 200)}
+  } catch (error) {
+    ${handleError}
+  }
+};
+
+module.exports = { register, login, me };
+`;
+}
+
+// Fastify and Koa pass thrown errors to the global error handler on their own,
+// so handlers only catch when there is no error handling module to answer for them
+function frameworkAuthController({ isTS, framework, validation, errorHandling }) {
+  const fastify = framework === 'fastify';
+  const validated = validation !== 'none';
+  const t = type => (isTS ? `: ${type}` : '');
+  // Inside try { } the statements sit one level deeper
+  const indent = errorHandling ? '  ' : '    ';
+
+  const badRequest = (message) => errorHandling
+    ? `throw new AppError('${message}', 400);`
+    : respond(framework, 400, `{ success: false, message: '${message}' }`, { indent: `${indent}  ` });
+
+  const ok = (data, message, statusCode) => errorHandling
+    ? `${fastify ? 'return ' : ''}successResponse(${fastify ? 'reply' : 'ctx'}, ${data}, '${message}'${statusCode !== 200 ? `, ${statusCode}` : ''});`
+    : respond(framework, statusCode, `{ success: true, message: '${message}', data: ${data} }`, { indent, last: true });
+
+  // Without a validation library the controller checks the body itself;
+  // otherwise validate() in the routes already did.
+  const registerChecks = validated ? '' : `
+
+${indent}if (!name || !email || !password) {
+${indent}  ${badRequest('Name, email and password are required')}
+${indent}}
+${indent}if (String(password).length < 6) {
+${indent}  ${badRequest('Password must be at least 6 characters')}
+${indent}}`;
+  const loginChecks = validated ? '' : `
+
+${indent}if (!email || !password) {
+${indent}  ${badRequest('Email and password are required')}
+${indent}}`;
+
+  // Unvalidated bodies may be missing or incomplete
+  const bodyOf = input => {
+    if (fastify) return validated || !isTS ? `request.body${validated ? '' : ' ?? {}'}` : 'request.body ?? {}';
+    return isTS ? `ctx.request.body as ${validated ? input : `Partial<${input}>`}` : 'ctx.request.body';
+  };
+  const requestOf = input => (fastify
+    ? `request${t(`FastifyRequest<{ Body${validated ? '' : '?'}: ${validated ? input : `Partial<${input}>`} }>`)}, reply${t('FastifyReply')}`
+    : `ctx${t('Context')}`);
+
+  const handler = (signature, statements) => {
+    const body = statements.join(`\n${indent}`);
+    if (errorHandling) return `async (${signature}) => {\n  ${body}\n}`;
+
+    const fail = respond(framework, 'err.statusCode || 500', '{ success: false, message: err.message }', { last: true });
+    return `async (${signature}) => {
+  try {
+    ${body}
+  } catch (error) {
+    ${isTS ? `const err = error as HttpError;\n    ${fail}` : fail.replace(/\berr\./g, 'error.')}
+  }
+}`;
+  };
+
+  const exported = isTS ? 'export ' : '';
+  const handlers = `${exported}const register = ${handler(requestOf('RegisterInput'), [
+    `const { name, email, password } = ${bodyOf('RegisterInput')};${registerChecks}`,
+    '',
+    'const result = await authService.register({ name, email, password });',
+    ok('result', 'User registered successfully', 201)
+  ]).replace(/\n {2,}\n/g, '\n\n')};
+
+${exported}const login = ${handler(requestOf('LoginInput'), [
+    `const { email, password } = ${bodyOf('LoginInput')};${loginChecks}`,
+    '',
+    'const result = await authService.login({ email, password });',
+    ok('result', 'Logged in successfully', 200)
+  ]).replace(/\n {2,}\n/g, '\n\n')};
+
+${exported}const me = ${handler(fastify ? `request${t('FastifyRequest')}, reply${t('FastifyReply')}` : `ctx${t('Context')}`, [
+    `const user = await authService.getUserById(${fastify ? `request.user${isTS ? '!' : ''}.id` : 'ctx.state.user.id'});`,
+    ok('user', 'Current user', 200)
+  ])};`;
+
+  const appErrorImport = errorHandling && !validated;
+
+  if (isTS) {
+    const serviceTypes = [!errorHandling && 'HttpError', 'LoginInput', 'RegisterInput'].filter(Boolean).join(', ');
+    const imports = [
+      fastify ? "import { FastifyReply, FastifyRequest } from 'fastify';" : "import { Context } from 'koa';",
+      "import * as authService from '../services/auth.service';",
+      `import { ${serviceTypes} } from '../services/auth.service';`,
+      appErrorImport && "import { AppError } from '../utils/AppError';",
+      errorHandling && "import { successResponse } from '../utils/response';"
+    ].filter(Boolean).join('\n');
+
+    return `${imports}
+
+${handlers}
+`;
+  }
+
+  const imports = [
+    "const authService = require('../services/auth.service');",
+    appErrorImport && "const { AppError } = require('../utils/AppError');",
+    errorHandling && "const { successResponse } = require('../utils/response');"
+  ].filter(Boolean).join('\n');
+
+  return `${imports}
+
+${handlers}
+
+module.exports = { register, login, me };
+`;
+}
+
+// ------------------------------------------------------------
+// src/routes/auth.routes
+// ------------------------------------------------------------
+function authRoutes({ isTS, framework, validation }) {
+  if (framework === 'fastify') return fastifyAuthRoutes({ isTS, validation });
+  if (framework === 'koa') return koaAuthRoutes({ isTS, validation });
+
+  const validated = validation !== 'none';
+  const check = schema => (validated ? `validate({ body: ${schema} }), ` : '');
+
+  const routes = `const router = Router();
+
+// POST /api/auth/register - Create an account and receive a token
+router.post('/register', ${check('registerSchema')}register);
+
+// POST /api/auth/login - Exchange credentials for a token
+router.post('/login', ${check('loginSchema')}login);
+
+// GET /api/auth/me - Current user (requires Bearer token)
+router.get('/me', authenticate, me);`;
+
+  return isTS ? `import { Router } from 'express';
+import { register, login, me } from '../controllers/auth.controller';
+import { authenticate } from '../middlewares/auth.middleware';
+${validated ? "import { validate } from '../middlewares/validate';\nimport { registerSchema, loginSchema } from '../validators/auth.validator';\n" : ''}
+${routes}
+
+export default router;
+` : `const { Router } = require('express');
+const { register, login, me } = require('../controllers/auth.controller');
+const { authenticate } = require('../middlewares/auth.middleware');
+${validated ? "const { validate } = require('../middlewares/validate');\nconst { registerSchema, loginSchema } = require('../validators/auth.validator');\n" : ''}
+${routes}
+
+module.exports = router;
+`;
+}
+
+const AUTH_ROUTE_IMPORTS = {
+  ts: validated => `import { register, login, me } from '../controllers/auth.controller';
+import { authenticate } from '../middlewares/auth.middleware';
+${validated ? "import { validate } from '../middlewares/validate';\nimport { registerSchema, loginSchema } from '../validators/auth.validator';\n" : ''}`,
+  js: validated => `const { register, login, me } = require('../controllers/auth.controller');
+const { authenticate } = require('../middlewares/auth.middleware');
+${validated ? "const { validate } = require('../middlewares/validate');\nconst { registerSchema, loginSchema } = require('../validators/auth.validator');\n" : ''}`
+};
+
+// A Fastify plugin registered with the /api/auth prefix; validate() and authenticate run as preHandler hooks
+function fastifyAuthRoutes({ isTS, validation }) {
+  const validated = validation !== 'none';
+  // The body type the handler expects, so request.body is typed in it
+  const body = input => (isTS ? `<{ Body${validated ? '' : '?'}: ${validated ? input : `Partial<${input}>`} }>` : '');
+  const check = schema => (validated ? `{ preHandler: validate({ body: ${schema} }) }, ` : '');
+
+  const routes = `// Registered with the /api/auth prefix in src/app
+const authRoutes = async (app${isTS ? ': FastifyInstance' : ''}) => {
+  // POST /api/auth/register - Create an account and receive a token
+  app.post${body('RegisterInput')}('/register', ${check('registerSchema')}register);
+
+  // POST /api/auth/login - Exchange credentials for a token
+  app.post${body('LoginInput')}('/login', ${check('loginSchema')}login);
+
+  // GET /api/auth/me - Current user (requires Bearer token)
+  app.get('/me', { preHandler: authenticate }, me);
+};`;
+
+  return isTS ? `import { FastifyInstance } from 'fastify';
+${AUTH_ROUTE_IMPORTS.ts(validated)}import { LoginInput, RegisterInput } from '../services/auth.service';
+
+${routes}
+
+export default authRoutes;
+` : `${AUTH_ROUTE_IMPORTS.js(validated)}
+${routes}
+
+module.exports = authRoutes;
+`;
+}
+
+// A Koa router carrying the /api/auth prefix
+function koaAuthRoutes({ isTS, validation }) {
+  const validated = validation !== 'none';
+  const check = schema => (validated ? `validate({ body: ${schema} }), ` : '');
+
+  const routes = `const router = new Router({ prefix: '/api/auth' });
+
+// POST /api/auth/register - Create an account and receive a token
+router.post('/register', ${check('registerSchema')}register);
+
+// POST /api/auth/login - Exchange credentials for a token
+router.post('/login', ${check('loginSchema')}login);
+
+// GET /api/auth/me - Current user (requires Bearer token)
+router.get('/me', authenticate, me);`;
+
+  return isTS ? `import Router from '@koa/router';
+${AUTH_ROUTE_IMPORTS.ts(validated)}
+${routes}
+
+export default router;
+` : `const Router = require('@koa/router');
+${AUTH_ROUTE_IMPORTS.js(validated)}
+${routes}
+
+module.exports = router;
+`;
+}
+
+// ------------------------------------------------------------
+// src/validators/auth.validator - register / login bodies
+// ------------------------------------------------------------
+function authValidator({ isTS, validation }) {
+  if (validation === 'zod') {
+    const schemas = `const registerSchema = z.object({
+  name: z.string().trim().min(1, 'Name is required'),
+  email: z.string().trim().email('Invalid email'),
+  password: z.string().min(6, 'Password must be at least 6 characters')
+});
+
+const loginSchema = z.object({
+  email: z.string().trim().email('Invalid email'),
+  password: z.string().min(1, 'Password is required')
+});`;
+
+    return isTS ? `import { z } from 'zod';
+
+${schemas.replace(/^const /gm, 'export const ')}
+
+export type RegisterInput = z.infer<typeof registerSchema>;
+export type LoginInput = z.infer<typeof loginSchema>;
+` : `const { z } = require('zod');
+
+${schemas}
+
+module.exports = { registerSchema, loginSchema };
+`;
+  }
+
+  const schemas = `const registerSchema = Joi.object({
+  name: Joi.string().trim().required(),
+  email: Joi.string().trim().email().required(),
+  password: Joi.string().min(6).required()
+});
+
+const loginSchema = Joi.object({
+  email: Joi.string().trim().email().required(),
+  password: Joi.string().required()
+});`;
+
+  return isTS ? `import Joi from 'joi';
+
+${schemas.replace(/^const /gm, 'export const ')}
+` : `const Joi = require('joi');
+
+${schemas}
+
+module.exports = { registerSchema, loginSchema };
+`;
+}
+
+function authFiles(options) {
+  const { ext, moduleSystem, orm, validation } = options;
+
+  const files = {
+    [`src/models/user.model.${ext}`]: userModel(options),
+    [`src/services/auth.service.${ext}`]: authService(options),
+    [`src/middlewares/auth.middleware.${ext}`]: authMiddleware(options),
+    [`src/controllers/auth.controller.${ext}`]: authController(options),
+    [`src/routes/auth.routes.${ext}`]: authRoutes(options)
+  };
+
+  if (validation !== 'none') {
+    files[`src/validators/auth.validator.${ext}`] = authValidator(options);
+  }
+
+  if (orm === 'sequelize') {
+    files[`src/migrations/${migrationTimestamp()}-create-users.${commonJsExt(moduleSystem)}`] = usersMigration();
+  }
+
+  return files;
+}
+
+module.exports = { authFiles };
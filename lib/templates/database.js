@@ -0,0 +1,463 @@
+// ============================================================
+// DATABASE FILES
+// ============================================================
+// Returns { relativePath: content } for the database connection
+// (src/config/database), the ORM's own config, schema and client files,
+// and the models info guide.
+const { commonJsExt } = require('./esm');
+const { SQL_DATABASES, DATABASE_LABELS, connectionFunctions, ormFiles } = require('./orm');
+const { packageManagerCommands } = require('./package-manager');
+
+function databaseFiles({ isTS, ext, moduleSystem, database, orm, auth, logger, testing, packageManager }) {
+  const pm = packageManagerCommands(packageManager);
+  const isSQL = SQL_DATABASES.includes(database);
+
+  const files = {};
+  const addFile = (file, content) => {
+    files[file] = content;
+  };
+
+  if (database === 'mongodb') {
+    const mongoContent = isTS ? `import mongoose from 'mongoose';
+import { ENV } from './env';
+${logger !== 'None' ? "import logger from './logger';" : ''}
+
+${connectionFunctions({ isTS, logger }, 'await mongoose.connect(ENV.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });', 'await mongoose.disconnect();', 'MongoDB')}
+` : `const mongoose = require('mongoose');
+const { ENV } = require('./env');
+${logger !== 'None' ? "const logger = require('./logger');" : ''}
+
+${connectionFunctions({ isTS, logger }, 'await mongoose.connect(ENV.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });', 'await mongoose.disconnect();', 'MongoDB')}
+
+module.exports = { connectDatabase, disconnectDatabase };
+`;
+
+    addFile(`src/config/database.${ext}`, mongoContent);
+    
+    // Info file for models folder
+    const mongooseInfoContent = isTS ? `import mongoose, { Document, Schema } from 'mongoose';
+
+/**
+ * MODELS FOLDER
+ * 
+ * This folder contains Mongoose schemas and models for MongoDB.
+ * 
+ * Purpose:
+ * - Define data structure and validation rules
+ * - Create database models for collections
+ * - Add instance and static methods
+ * - Set up hooks (pre/post save, etc.)
+ * 
+ * How to create a model:
+ * 
+ * 1. Define interface:
+ *    export interface IUser extends Document {
+ *      name: string;
+ *      email: string;
+ *      password: string;
+ *      createdAt: Date;
+ *      updatedAt: Date;
+ *    }
+ * 
+ * 2. Create schema:
+ *    const userSchema = new Schema<IUser>({
+ *      name: { type: String, required: true, trim: true },
+ *      email: { 
+ *        type: String, 
+ *        required: true, 
+ *        unique: true, 
+ *        lowercase: true 
+ *      },
+ *      password: { type: String, required: true, minlength: 6 }
+ *    }, {
+ *      timestamps: true  // Auto-creates createdAt, updatedAt
+ *    });
+ * 
+ * 3. Add methods (optional):
+ *    userSchema.methods.comparePassword = async function(password: string) {
+ *      return bcrypt.compare(password, this.password);
+ *    };
+ * 
+ * 4. Export model:
+ *    export const User = mongoose.model<IUser>('User', userSchema);
+ * 
+ * 5. Use in controllers:
+ *    import { User } from '../models/user.model';
+ *    
+ *    const users = await User.find();
+ *    const user = await User.create({ name, email, password });
+ *    const user = await User.findById(id);
+ *    await User.findByIdAndUpdate(id, updates);
+ *    await User.findByIdAndDelete(id);
+ * 
+ * Common model files:
+ * - user.model.ts - User authentication and profile
+ * - product.model.ts - Product catalog
+ * - order.model.ts - Customer orders
+ */
+
+// Example: Uncomment to use
+// export interface IExample extends Document {
+//   field: string;
+// }
+// 
+// const exampleSchema = new Schema<IExample>({
+//   field: { type: String, required: true }
+// });
+// 
+// export const Example = mongoose.model<IExample>('Example', exampleSchema);
+` : `const mongoose = require('mongoose');
+
+/**
+ * MODELS FOLDER
+ * 
+ * This folder contains Mongoose schemas and models for MongoDB.
+ * 
+ * Purpose:
+ * - Define data structure and validation rules
+ * - Create database models for collections
+ * - Add instance and static methods
+ * - Set up hooks (pre/post save, etc.)
+ * 
+ * How to create a model:
+ * 
+ * 1. Create schema:
+ *    const userSchema = new mongoose.Schema({
+ *      name: { type: String, required: true, trim: true },
+ *      email: { 
+ *        type: String, 
+ *        required: true, 
+ *        unique: true, 
+ *        lowercase: true 
+ *      },
+ *      password: { type: String, required: true, minlength: 6 }
+ *    }, {
+ *      timestamps: true  // Auto-creates createdAt, updatedAt
+ *    });
+ * 
+ * 2. Add methods (optional):
+ *    userSchema.methods.comparePassword = async function(password) {
+ *      return bcrypt.compare(password, this.password);
+ *    };
+ * 
+ * 3. Export model:
+ *    module.exports = mongoose.model('User', userSchema);
+ * 
+ * 4. Use in controllers:
+ *    const User = require('../models/user.model');
+ *    
+ *    const users = await User.find();
+ *    const user = await User.create({ name, email, password });
+ *    const user = await User.findById(id);
+ *    await User.findByIdAndUpdate(id, updates);
+ *    await User.findByIdAndDelete(id);
+ * 
+ * Common model files:
+ * - user.model.js - User authentication and profile
+ * - product.model.js - Product catalog
+ * - order.model.js - Customer orders
+ */
+
+// Example: Uncomment to use
+// const exampleSchema = new mongoose.Schema({
+//   field: { type: String, required: true }
+// });
+// 
+// module.exports = mongoose.model('Example', exampleSchema);
+`;
+
+    addFile(`src/models/info.${ext}`, mongooseInfoContent);
+    
+  } else if (orm === 'sequelize') {
+    const dialect = database === 'postgresql' ? 'postgres' : database;
+    const connectionOptions = database === 'sqlite'
+      ? `dialect: 'sqlite',
+  storage: ENV.DB_STORAGE,
+  logging: false // Disable SQL query logging`
+      : `dialect: '${dialect}',
+  host: ENV.DB_HOST,
+  port: ENV.DB_PORT,
+  database: ENV.DB_NAME,
+  username: ENV.DB_USER,
+  password: ENV.DB_PASSWORD,
+  logging: false, // Disable SQL query logging
+  pool: {
+    max: 5,
+    min: 0,
+    acquire: 30000,
+    idle: 10000
+  }`;
+
+    const sequelizeContent = isTS ? `import { Sequelize } from 'sequelize';
+import { ENV } from './env';
+${logger !== 'None' ? "import logger from './logger';" : ''}
+
+export const sequelize = ${testing !== 'none' ? `ENV.NODE_ENV === 'test'
+  ? new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false }) // In-memory stand-in for tests
+  : ` : ''}new Sequelize({
+  ${connectionOptions}
+});
+
+${connectionFunctions({ isTS, logger }, 'await sequelize.authenticate();', 'await sequelize.close();')}
+` : `const { Sequelize } = require('sequelize');
+const { ENV } = require('./env');
+${logger !== 'None' ? "const logger = require('./logger');" : ''}
+
+const sequelize = ${testing !== 'none' ? `ENV.NODE_ENV === 'test'
+  ? new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false }) // In-memory stand-in for tests
+  : ` : ''}new Sequelize({
+  ${connectionOptions}
+});
+
+${connectionFunctions({ isTS, logger }, 'await sequelize.authenticate();', 'await sequelize.close();')}
+
+module.exports = { sequelize, connectDatabase, disconnectDatabase };
+`;
+
+    addFile(`src/config/database.${ext}`, sequelizeContent);
+
+    // Sequelize config file for CLI
+    const sequelizeConfigContent = database === 'sqlite' ? `module.exports = {
+  development: {
+    dialect: 'sqlite',
+    storage: process.env.DB_STORAGE || './dev.sqlite'
+  },
+  test: {
+    dialect: 'sqlite',
+    storage: ':memory:'
+  },
+  production: {
+    dialect: 'sqlite',
+    storage: process.env.DB_STORAGE
+  }
+};
+` : `module.exports = {
+  development: {
+    username: process.env.DB_USER || '${database === 'postgresql' ? 'postgres' : 'root'}',
+    password: process.env.DB_PASSWORD || '${database === 'postgresql' ? 'root' : 'password'}',
+    database: process.env.DB_NAME || 'my-back',
+    host: process.env.DB_HOST || 'localhost',
+    port: process.env.DB_PORT || ${database === 'postgresql' ? '5432' : '3306'},
+    dialect: '${dialect}'
+  },
+  test: {
+    username: process.env.DB_USER || '${database === 'postgresql' ? 'postgres' : 'root'}',
+    password: process.env.DB_PASSWORD || '${database === 'postgresql' ? 'root' : 'password'}',
+    database: \`\${process.env.DB_NAME || 'my-back'}_test\`,
+    host: process.env.DB_HOST || 'localhost',
+    port: process.env.DB_PORT || ${database === 'postgresql' ? '5432' : '3306'},
+    dialect: '${dialect}'
+  },
+  production: {
+    use_env_variable: 'DATABASE_URL',
+    dialect: '${dialect}',
+    dialectOptions: {
+      ssl: {
+        require: true,
+        rejectUnauthorized: false
+      }
+    }
+  }
+};
+`;
+
+    addFile('.sequelizerc', `const path = require('path');
+
+module.exports = {
+  'config': path.resolve('config', 'database.${commonJsExt(moduleSystem)}'),
+  'models-path': path.resolve('src', 'models'),
+  'seeders-path': path.resolve('src', 'seeders'),
+  'migrations-path': path.resolve('src', 'migrations')
+};
+`);
+
+    addFile(`config/database.${commonJsExt(moduleSystem)}`, sequelizeConfigContent);
+
+    // Info file for models folder
+    const sequelizeInfoContent = isTS ? `import { DataTypes, Model, Optional } from 'sequelize';
+import { sequelize } from '../config/database';
+
+/**
+ * MODELS FOLDER
+ * 
+ * This folder contains Sequelize models for ${DATABASE_LABELS[database]}.
+ * 
+ * Purpose:
+ * - Define table structure and data types
+ * - Set up relationships between tables
+ * - Add validations and constraints
+ * - Create model methods and hooks
+ * 
+ * How to create a model:
+ * 
+ * 1. Define interfaces:
+ *    interface UserAttributes {
+ *      id: number;
+ *      name: string;
+ *      email: string;
+ *      createdAt?: Date;
+ *      updatedAt?: Date;
+ *    }
+ *    
+ *    interface UserCreationAttributes extends Optional<UserAttributes, 'id'> {}
+ * 
+ * 2. Create model class:
+ *    export class User extends Model<UserAttributes, UserCreationAttributes> 
+ *      implements UserAttributes {
+ *      public id!: number;
+ *      public name!: string;
+ *      public email!: string;
+ *      public readonly createdAt!: Date;
+ *      public readonly updatedAt!: Date;
+ *    }
+ * 
+ * 3. Initialize model:
+ *    User.init({
+ *      id: {
+ *        type: DataTypes.INTEGER,
+ *        autoIncrement: true,
+ *        primaryKey: true
+ *      },
+ *      name: {
+ *        type: DataTypes.STRING,
+ *        allowNull: false
+ *      },
+ *      email: {
+ *        type: DataTypes.STRING,
+ *        allowNull: false,
+ *        unique: true,
+ *        validate: { isEmail: true }
+ *      }
+ *    }, {
+ *      sequelize,
+ *      tableName: 'users',
+ *      timestamps: true  // Auto-creates createdAt, updatedAt
+ *    });
+ * 
+ * 4. Add associations (optional):
+ *    User.hasMany(Post, { foreignKey: 'userId' });
+ *    Post.belongsTo(User, { foreignKey: 'userId' });
+ * 
+ * 5. Use in controllers:
+ *    import { User } from '../models/user.model';
+ *    
+ *    const users = await User.findAll();
+ *    const user = await User.create({ name, email });
+ *    const user = await User.findByPk(id);
+ *    await User.update({ name }, { where: { id } });
+ *    await User.destroy({ where: { id } });
+ * 
+ * Generate migration:
+ *    ${pm.exec('sequelize-cli')} migration:generate --name create-users
+ * 
+ * Common model files:
+ * - user.model.ts - User authentication and profile
+ * - product.model.ts - Product catalog
+ * - order.model.ts - Customer orders
+ */
+
+// Example: Uncomment to use
+// interface ExampleAttributes {
+//   id: number;
+//   field: string;
+// }
+// 
+// interface ExampleCreationAttributes extends Optional<ExampleAttributes, 'id'> {}
+// 
+// export class Example extends Model<ExampleAttributes, ExampleCreationAttributes> {
+//   public id!: number;
+//   public field!: string;
+// }
+// 
+// Example.init({
+//   id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+//   field: { type: DataTypes.STRING, allowNull: false }
+// }, { sequelize, tableName: 'examples' });
+` : `const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * MODELS FOLDER
+ * 
+ * This folder contains Sequelize models for ${DATABASE_LABELS[database]}.
+ * 
+ * Purpose:
+ * - Define table structure and data types
+ * - Set up relationships between tables
+ * - Add validations and constraints
+ * - Create model methods and hooks
+ * 
+ * How to create a model:
+ * 
+ * 1. Create model class:
+ *    class User extends Model {}
+ * 
+ * 2. Initialize model:
+ *    User.init({
+ *      id: {
+ *        type: DataTypes.INTEGER,
+ *        autoIncrement: true,
+ *        primaryKey: true
+ *      },
+ *      name: {
+ *        type: DataTypes.STRING,
+ *        allowNull: false
+ *      },
+ *      email: {
+ *        type: DataTypes.STRING,
+ *        allowNull: false,
+ *        unique: true,
+ *        validate: { isEmail: true }
+ *      }
+ *    }, {
+ *      sequelize,
+ *      tableName: 'users',
+ *      timestamps: true  // Auto-creates createdAt, updatedAt
+ *    });
+ * 
+ * 3. Add associations (optional):
+ *    User.hasMany(Post, { foreignKey: 'userId' });
+ *    Post.belongsTo(User, { foreignKey: 'userId' });
+ * 
+ * 4. Use in controllers:
+ *    const User = require('../models/user.model');
+ *    
+ *    const users = await User.findAll();
+ *    const user = await User.create({ name, email });
+ *    const user = await User.findByPk(id);
+ *    await User.update({ name }, { where: { id } });
+ *    await User.destroy({ where: { id } });
+ * 
+ * Generate migration:
+ *    ${pm.exec('sequelize-cli')} migration:generate --name create-users
+ * 
+ * Common model files:
+ * - user.model.js - User authentication and profile
+ * - product.model.js - Product catalog
+ * - order.model.js - Customer orders
+ */
+
+// Example: Uncomment to use
+// class Example extends Model {}
+// 
+// Example.init({
+//   id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+//   field: { type: DataTypes.STRING, allowNull: false }
+// }, { sequelize, tableName: 'examples' });
+// 
+// module.exports = { Example };
+`;
+
+    addFile(`src/models/info.${ext}`, sequelizeInfoContent);
+
+  } else if (isSQL) {
+    // Prisma, Drizzle or TypeORM: schema, client and models info
+    Object.entries(ormFiles({ isTS, ext, database, orm, auth, logger, testing, packageManager })).forEach(([file, content]) => {
+      addFile(file, content);
+    });
+  }
+
+  return files;
+}
+
+module.exports = { databaseFiles };
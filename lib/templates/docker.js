@@ -0,0 +1,187 @@
+// ============================================================
+// DOCKER FILES
+// ============================================================
+// Multi-stage Dockerfile, docker-compose.yml with the app and its database
+// service, and .dockerignore.
+const { HEALTH_PATHS } = require('./health');
+const { databaseName } = require('./orm');
+const { dockerCommands } = require('./package-manager');
+
+function dockerFiles({ projectName, isTS, database, orm, packageManager, testing, lint, gitHooks, nodeVersion }) {
+  const dbName = databaseName(projectName);
+  // The pre-commit hook runs the linter, so it only comes with it
+  const hooks = lint && gitHooks;
+  // Route hit by the HEALTHCHECK: liveness, so a database outage doesn't mark the container unhealthy
+  const healthCheckPath = HEALTH_PATHS.live;
+  const dockerSteps = dockerCommands(packageManager, isTS);
+
+  const dockerfile = `# ---------- Build stage: full install${isTS ? ', compile TypeScript' : ''}, then drop dev deps ----------
+FROM node:${nodeVersion}-alpine AS build
+
+WORKDIR /app
+${dockerSteps.setup}${orm === 'prisma' ? `
+# Prisma's engines need OpenSSL; the schema is copied first for "postinstall: prisma generate"
+RUN apk add --no-cache openssl
+COPY prisma ./prisma
+` : ''}
+${dockerSteps.copy}
+${dockerSteps.install}
+
+COPY . .
+${dockerSteps.build}${dockerSteps.prune}
+
+# ---------- Runtime stage: production deps + app code only ----------
+FROM node:${nodeVersion}-alpine AS runtime
+
+ENV NODE_ENV=production
+ARG PORT=5000
+ENV PORT=\${PORT}
+
+WORKDIR /app
+${orm === 'prisma' ? '\nRUN apk add --no-cache openssl\n' : ''}
+COPY --from=build --chown=node:node /app/package*.json ./
+COPY --from=build --chown=node:node /app/node_modules ./node_modules
+${isTS ? 'COPY --from=build --chown=node:node /app/dist ./dist' : 'COPY --from=build --chown=node:node /app/src ./src'}
+${database === 'sqlite' ? `
+# SQLite database file lives on the volume mounted here (see docker-compose.yml)
+RUN mkdir -p /app/data && chown node:node /app/data
+` : ''}
+# The official image ships an unprivileged "node" user
+USER node
+
+EXPOSE \${PORT}
+
+HEALTHCHECK --interval=30s --timeout=5s --start-period=15s --retries=3 \\
+  CMD node -e "require('http').get('http://localhost:' + process.env.PORT + '${healthCheckPath}', r => process.exit(r.statusCode === 200 ? 0 : 1)).on('error', () => process.exit(1))"
+
+CMD ["node", "${isTS ? 'dist/server.js' : 'src/server.js'}"]
+`;
+
+  // Inside compose the database is reached by service name, not localhost
+  let composeContent = `services:
+  app:
+    build: .
+    ports:
+      - "\${PORT:-5000}:\${PORT:-5000}"
+    env_file:
+      - .env
+${database === 'mongodb' ? `    environment:
+      MONGODB_URI: mongodb://mongodb:27017/${dbName}
+` : ''}${orm === 'sequelize' && database === 'postgresql' ? `    environment:
+      DB_HOST: postgres
+      DB_PORT: 5432
+` : ''}${orm === 'sequelize' && database === 'mysql' ? `    environment:
+      DB_HOST: mysql
+      DB_PORT: 3306
+` : ''}${orm !== 'sequelize' && database === 'postgresql' ? `    environment:
+      DATABASE_URL: postgresql://\${DB_USER:-postgres}:\${DB_PASSWORD:-root}@postgres:5432/\${DB_NAME:-my-back}
+` : ''}${orm !== 'sequelize' && database === 'mysql' ? `    environment:
+      DATABASE_URL: mysql://root:\${DB_PASSWORD:-password}@mysql:3306/\${DB_NAME:-${dbName}}
+` : ''}${database === 'sqlite' ? `    environment:
+      ${orm === 'sequelize' ? 'DB_STORAGE: /app/data/dev.sqlite' : 'DATABASE_URL: file:/app/data/dev.db'}
+    volumes:
+      - sqlite_data:/app/data
+` : ''}    restart: unless-stopped
+`;
+
+  if (database === 'mongodb') {
+    composeContent += `    depends_on:
+      mongodb:
+        condition: service_healthy
+
+  mongodb:
+    image: mongo:7
+    ports:
+      - "27017:27017"
+    volumes:
+      - mongodb_data:/data/db
+    healthcheck:
+      test: ["CMD", "mongosh", "--quiet", "--eval", "db.adminCommand('ping')"]
+      interval: 10s
+      timeout: 5s
+      retries: 5
+      start_period: 20s
+    restart: unless-stopped
+
+volumes:
+  mongodb_data:
+`;
+  } else if (database === 'postgresql') {
+    composeContent += `    depends_on:
+      postgres:
+        condition: service_healthy
+
+  postgres:
+    image: postgres:16
+    environment:
+      POSTGRES_DB: \${DB_NAME:-my-back}
+      POSTGRES_USER: \${DB_USER:-postgres}
+      POSTGRES_PASSWORD: \${DB_PASSWORD:-root}
+    ports:
+      - "\${DB_PORT:-5432}:5432"
+    volumes:
+      - postgres_data:/var/lib/postgresql/data
+    healthcheck:
+      test: ["CMD-SHELL", "pg_isready -U $\${POSTGRES_USER} -d $\${POSTGRES_DB}"]
+      interval: 10s
+      timeout: 5s
+      retries: 5
+      start_period: 10s
+    restart: unless-stopped
+
+volumes:
+  postgres_data:
+`;
+  } else if (database === 'mysql') {
+    // .env connects as root, so only the root password is configured
+    composeContent += `    depends_on:
+      mysql:
+        condition: service_healthy
+
+  mysql:
+    image: mysql:8
+    environment:
+      MYSQL_DATABASE: \${DB_NAME:-${dbName}}
+      MYSQL_ROOT_PASSWORD: \${DB_PASSWORD:-password}
+    ports:
+      - "\${DB_PORT:-3306}:3306"
+    volumes:
+      - mysql_data:/var/lib/mysql
+    healthcheck:
+      test: ["CMD", "mysqladmin", "ping", "-h", "localhost", "-uroot", "-p$\${MYSQL_ROOT_PASSWORD}"]
+      interval: 10s
+      timeout: 5s
+      retries: 10
+      start_period: 30s
+    restart: unless-stopped
+
+volumes:
+  mysql_data:
+`;
+  } else if (database === 'sqlite') {
+    composeContent += `
+volumes:
+  sqlite_data:
+`;
+  }
+
+  const dockerignore = `node_modules
+npm-debug.log
+${packageManager === 'yarn' ? 'yarn-error.log\n' : ''}.env
+.git
+.gitignore
+README.md
+${isTS ? 'dist\n' : ''}${testing !== 'none' ? 'tests\ncoverage\n' : ''}logs
+*.log
+${database === 'sqlite' ? '*.sqlite\n*.db\n' : ''}${hooks ? '.husky\n' : ''}Dockerfile
+docker-compose.yml
+`;
+
+  return {
+    Dockerfile: dockerfile,
+    'docker-compose.yml': composeContent,
+    '.dockerignore': dockerignore
+  };
+}
+
+module.exports = { dockerFiles };
@@ -0,0 +1,400 @@
+// ============================================================
+// API DOCS (OpenAPI 3 spec + Swagger UI at /docs)
+// ============================================================
+// Returns { relativePath: content } for src/docs/openapi and
+// src/routes/docs.routes. Request bodies are converted from the schemas
+// in src/validators (zod-to-openapi / joi-to-swagger), so the docs match
+// what validate() accepts; without a validation library they're written
+// out by hand. Health and auth routes are documented from the start.
+
+const { HEALTH_PATHS } = require('./health');
+
+const DOCS_PATH = '/docs';
+
+// Validator schemas -> components.schemas, per validation library
+function validatorSchemas({ isTS, esm, validation, auth }) {
+  if (validation === 'zod') {
+    const register = auth
+      ? `registry.register('RegisterInput', registerSchema);
+registry.register('LoginInput', loginSchema);`
+      : "// registry.register('CreateProductInput', createProductSchema);";
+
+    return {
+      imports: isTS
+        ? `import { OpenAPIRegistry, OpenApiGeneratorV3, extendZodWithOpenApi } from '@asteasolutions/zod-to-openapi';
+import { z } from 'zod';`
+        : `const { OpenAPIRegistry, OpenApiGeneratorV3, extendZodWithOpenApi } = require('@asteasolutions/zod-to-openapi');
+const { z } = require('zod');`,
+      code: `// registry.register() needs it; also adds .openapi() for examples and descriptions:
+// z.string().email().openapi({ example: 'jane@example.com' })
+extendZodWithOpenApi(z);
+
+// Zod schemas from src/validators, converted to OpenAPI components
+const registry = new OpenAPIRegistry();
+${register}
+
+const validatorSchemas = new OpenApiGeneratorV3(registry.definitions).generateComponents().components${isTS ? '?' : ''}.schemas;`
+    };
+  }
+
+  if (validation === 'joi') {
+    const entries = auth
+      ? `  RegisterInput: j2s(registerSchema).swagger,
+  LoginInput: j2s(loginSchema).swagger`
+      : '  // CreateProductInput: j2s(createProductSchema).swagger';
+
+    // NodeNext types the default import of this CommonJS package as its exports object
+    const esmTypes = isTS && esm;
+
+    return {
+      imports: isTS ? `import ${esmTypes ? 'joiToSwagger' : 'j2s'} from 'joi-to-swagger';` : "const j2s = require('joi-to-swagger');",
+      code: `${esmTypes ? 'const j2s = joiToSwagger.default;\n\n' : ''}// Joi schemas from src/validators, converted to OpenAPI components
+const validatorSchemas = {
+${entries}
+};`
+    };
+  }
+
+  return null;
+}
+
+// Request bodies written out by hand when there are no validator schemas to convert
+const MANUAL_AUTH_SCHEMAS = `      RegisterInput: {
+        type: 'object',
+        required: ['name', 'email', 'password'],
+        properties: {
+          name: { type: 'string' },
+          email: { type: 'string', format: 'email' },
+          password: { type: 'string', minLength: 6 }
+        }
+      },
+      LoginInput: {
+        type: 'object',
+        required: ['email', 'password'],
+        properties: {
+          email: { type: 'string', format: 'email' },
+          password: { type: 'string' }
+        }
+      },`;
+
+function componentSchemas({ validation, auth }) {
+  const fromValidators = validation !== 'none' ? '      ...validatorSchemas,\n' : auth ? `${MANUAL_AUTH_SCHEMAS}\n` : '';
+
+  // 400s from validate() list every issue
+  const issues = validation !== 'none' ? `,
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                location: { type: 'string', enum: ['body', 'params', 'query'] },
+                field: { type: 'string' },
+                message: { type: 'string' }
+              }
+            }
+          }` : '';
+
+  const authSchemas = auth ? `,
+      User: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          email: { type: 'string', format: 'email' },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      AuthResult: envelope({
+        type: 'object',
+        properties: {
+          user: ref('User'),
+          token: { type: 'string', description: 'JWT, sent as "Authorization: Bearer <token>"' }
+        }
+      }),
+      CurrentUser: envelope(ref('User'))` : '';
+
+  return `${fromValidators}      Error: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean', example: false },
+          message: { type: 'string' }${issues}
+        }
+      },
+      Liveness: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          status: { type: 'string', enum: ['ok'] },
+          uptime: { type: 'integer', description: 'Seconds since the process started' }
+        }
+      },
+      Readiness: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          status: { type: 'string', enum: ['ok', 'unavailable', 'shutting_down'] },
+          dependencies: {
+            type: 'object',
+            additionalProperties: {
+              type: 'object',
+              properties: {
+                status: { type: 'string', enum: ['up', 'down'] },
+                latencyMs: { type: 'integer' },
+                error: { type: 'string' }
+              }
+            }
+          }
+        }
+      }${authSchemas}`;
+}
+
+const HEALTH_DOC_PATHS = `    '${HEALTH_PATHS.live}': {
+      get: {
+        tags: ['Health'],
+        summary: 'Liveness probe',
+        description: 'Answers as long as the process can serve HTTP. Never checks dependencies.',
+        responses: {
+          200: response('The process is up', 'Liveness')
+        }
+      }
+    },
+    '${HEALTH_PATHS.ready}': {
+      get: {
+        tags: ['Health'],
+        summary: 'Readiness probe',
+        description: 'Checks every dependency (database, ...) and reports each one with its latency.',
+        responses: {
+          200: response('Every dependency answers', 'Readiness'),
+          503: response('A dependency is down or the server is shutting down', 'Readiness')
+        }
+      }
+    }`;
+
+const AUTH_DOC_PATHS = `    '/api/auth/register': {
+      post: {
+        tags: ['Auth'],
+        summary: 'Create an account and receive a token',
+        requestBody: { required: true, content: json(ref('RegisterInput')) },
+        responses: {
+          201: response('Registered', 'AuthResult'),
+          400: response('Invalid request body', 'Error'),
+          409: response('Email is already registered', 'Error')
+        }
+      }
+    },
+    '/api/auth/login': {
+      post: {
+        tags: ['Auth'],
+        summary: 'Exchange credentials for a token',
+        requestBody: { required: true, content: json(ref('LoginInput')) },
+        responses: {
+          200: response('Logged in', 'AuthResult'),
+          400: response('Invalid request body', 'Error'),
+          401: response('Invalid email or password', 'Error')
+        }
+      }
+    },
+    '/api/auth/me': {
+      get: {
+        tags: ['Auth'],
+        summary: 'Current user',
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: response('The user the token belongs to', 'CurrentUser'),
+          401: response('Missing, invalid or expired token', 'Error')
+        }
+      }
+    }`;
+
+// ref(), json() and response() for the documents, plus envelope() when successful responses are described
+function docHelpers({ isTS }, withEnvelope) {
+  const t = type => (isTS ? `: ${type}` : '');
+
+  return `const ref = (name${t('string')}) => ({ $ref: \`#/components/schemas/\${name}\` });
+const json = (schema${t('object')}) => ({ 'application/json': { schema } });
+const response = (description${t('string')}, schema${t('string')}) => ({ description, content: json(ref(schema)) });
+${withEnvelope ? `
+// Successful responses: { success, message, data }
+const envelope = (data${t('object')}) => ({
+  type: 'object',
+  properties: {
+    success: { type: 'boolean', example: true },
+    message: { type: 'string' },
+    data
+  }
+});
+` : ''}`;
+}
+
+// ------------------------------------------------------------
+// src/docs/openapi
+// ------------------------------------------------------------
+function openApiDocument(options) {
+  const { isTS, projectName, validation, auth } = options;
+  const converted = validatorSchemas(options);
+
+  const validatorImport = auth && validation !== 'none'
+    ? isTS
+      ? "import { registerSchema, loginSchema } from '../validators/auth.validator';"
+      : "const { registerSchema, loginSchema } = require('../validators/auth.validator');"
+    : null;
+  const imports = [converted && converted.imports, validatorImport].filter(Boolean);
+
+  const howTo = validation === 'none'
+    ? ` * To document a new route, add it under paths (and its request/response
+ * schemas under components.schemas).`
+    : ` * Request bodies come from the ${validation === 'zod' ? 'Zod' : 'Joi'} schemas in src/validators, so the docs
+ * always match what validate() accepts. To document a new route:
+ *   1. convert its validator schemas below, like the ${auth ? 'auth ones' : 'commented example'}
+ *   2. add the route under paths, pointing at them with ref('CreateProductInput')`;
+  const resources = ` *
+ * Resources from \`cnapp generate resource\` are documented in src/docs/<name>.docs
+ * and spread into tags, components.schemas and paths below.`;
+
+  const body = `/**
+ * OpenAPI 3 document for the API, served by Swagger UI at ${DOCS_PATH}
+ * (raw JSON at ${DOCS_PATH}/openapi.json for client generators, Postman, ...).
+ *
+${howTo}
+${resources}
+ */
+${converted ? `\n${converted.code}\n\n` : ''}${docHelpers(options, auth)}
+${isTS ? 'export ' : ''}const openApiDocument = {
+  openapi: '3.0.3',
+  info: {
+    title: '${projectName}',
+    version: '1.0.0',
+    description: 'Backend API'
+  },
+  tags: [
+    { name: 'Health', description: 'Liveness and readiness probes' }${auth ? ",\n    { name: 'Auth', description: 'JWT authentication' }" : ''}
+  ],
+  components: {${auth ? `
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+    },` : ''}
+    schemas: {
+${componentSchemas(options)}
+    }
+  },
+  paths: {
+${HEALTH_DOC_PATHS}${auth ? `,\n${AUTH_DOC_PATHS}` : ''}
+  }
+};`;
+
+  return `${imports.length ? `${imports.join('\n')}\n\n` : ''}${body}
+${isTS ? '' : '\nmodule.exports = { openApiDocument };\n'}`;
+}
+
+// ------------------------------------------------------------
+// src/routes/docs.routes
+// ------------------------------------------------------------
+// A Fastify plugin: @fastify/swagger serves the document as-is (static mode),
+// @fastify/swagger-ui renders it
+function fastifyDocsRoutes({ isTS }) {
+  const routes = `// Registered without a prefix in src/app: Swagger UI's routePrefix serves both ${DOCS_PATH} and ${DOCS_PATH}/
+const docsRoutes = async (app${isTS ? ': FastifyInstance' : ''}) => {
+  // Static mode: the document is served as written, not collected from route schemas${isTS ? `
+  // (its literal types, e.g. type: string, are wider than the OpenAPI ones)` : ''}
+  await app.register(swagger, {
+    mode: 'static',
+    specification: { document: openApiDocument${isTS ? " as StaticDocumentSpec['document']" : ''} }
+  });
+
+  // GET ${DOCS_PATH}/openapi.json - The OpenAPI document
+  app.get('${DOCS_PATH}/openapi.json', async () => openApiDocument);
+
+  // GET ${DOCS_PATH} - Swagger UI (staticCSP replaces Helmet's policy on its pages)
+  await app.register(swaggerUi, { routePrefix: '${DOCS_PATH}', staticCSP: true });
+};`;
+
+  return isTS ? `import { FastifyInstance } from 'fastify';
+import swagger, { StaticDocumentSpec } from '@fastify/swagger';
+import swaggerUi from '@fastify/swagger-ui';
+import { openApiDocument } from '../docs/openapi';
+
+${routes}
+
+export default docsRoutes;
+` : `const swagger = require('@fastify/swagger');
+const swaggerUi = require('@fastify/swagger-ui');
+const { openApiDocument } = require('../docs/openapi');
+
+${routes}
+
+module.exports = docsRoutes;
+`;
+}
+
+// A Koa router carrying the ${DOCS_PATH} prefix; koa2-swagger-ui loads its assets from a CDN
+function koaDocsRoutes({ isTS }) {
+  const routes = `const router = new Router({ prefix: '${DOCS_PATH}' });
+
+// GET ${DOCS_PATH}/openapi.json - The OpenAPI document
+router.get('/openapi.json', ${isTS ? '(ctx: Context)' : 'ctx'} => {
+  ctx.body = openApiDocument;
+});
+
+// GET ${DOCS_PATH} - Swagger UI
+router.get('/', koaSwagger({ routePrefix: false, swaggerOptions: { spec: openApiDocument } }));`;
+
+  return isTS ? `import Router from '@koa/router';
+import { Context } from 'koa';
+import { koaSwagger } from 'koa2-swagger-ui';
+import { openApiDocument } from '../docs/openapi';
+
+${routes}
+
+export default router;
+` : `const Router = require('@koa/router');
+const { koaSwagger } = require('koa2-swagger-ui');
+const { openApiDocument } = require('../docs/openapi');
+
+${routes}
+
+module.exports = router;
+`;
+}
+
+function docsRoutes({ isTS, framework }) {
+  if (framework === 'fastify') return fastifyDocsRoutes({ isTS });
+  if (framework === 'koa') return koaDocsRoutes({ isTS });
+
+  const routes = `const router = Router();
+
+// GET ${DOCS_PATH}/openapi.json - The OpenAPI document
+router.get('/openapi.json', (req${isTS ? ': Request' : ''}, res${isTS ? ': Response' : ''}) => {
+  res.json(openApiDocument);
+});
+
+// GET ${DOCS_PATH} - Swagger UI
+router.use(swaggerUi.serve);
+router.get('/', swaggerUi.setup(openApiDocument));`;
+
+  return isTS ? `import { Router, Request, Response } from 'express';
+import swaggerUi from 'swagger-ui-express';
+import { openApiDocument } from '../docs/openapi';
+
+${routes}
+
+export default router;
+` : `const { Router } = require('express');
+const swaggerUi = require('swagger-ui-express');
+const { openApiDocument } = require('../docs/openapi');
+
+${routes}
+
+module.exports = router;
+`;
+}
+
+function docsFiles(options) {
+  const { ext } = options;
+
+  return {
+    [`src/docs/openapi.${ext}`]: openApiDocument(options),
+    [`src/routes/docs.routes.${ext}`]: docsRoutes(options)
+  };
+}
+
+module.exports = { DOCS_PATH, docHelpers, docsFiles };
@@ -0,0 +1,233 @@
+// ============================================================
+// src/config/env - VALIDATED ENVIRONMENT
+// ============================================================
+// One list of variables rendered as a Zod schema, a Joi schema, or a small
+// built-in checker. Invalid or missing variables stop the process at boot
+// with a readable list instead of falling back to insecure defaults.
+
+const { PluginError } = require('../errors');
+
+// Always defined (JWT_* with auth), so no feature can declare them
+const CORE_VARIABLES = ['NODE_ENV', 'PORT', 'JWT_SECRET', 'JWT_EXPIRES_IN', 'CORS_ORIGIN'];
+
+// type: enum | number | uri | string (uri carries a pattern and message)
+// default: used when the variable is unset (no default = required)
+// The features' variables (database, logger, plugins) come between PORT and JWT,
+// in feature order; `validate: false` ones are only written to .env.
+function envVariables({ auth, features = [] }) {
+  const vars = [
+    { name: 'NODE_ENV', type: 'enum', values: ['development', 'production', 'test'], default: 'development' },
+    { name: 'PORT', type: 'number', default: 5000 }
+  ];
+  const owners = {};
+
+  features.forEach(feature => feature.env.forEach(v => {
+    if (owners[v.name] || CORE_VARIABLES.includes(v.name)) {
+      throw new PluginError(`Plugin "${feature.name}": env variable ${v.name} is already defined${owners[v.name] ? ` by "${owners[v.name]}"` : ''}`, { plugin: feature.name });
+    }
+    owners[v.name] = feature.name;
+    // A RegExp pattern is written as its literal
+    if (v.validate !== false) vars.push({ type: 'string', ...v, ...(v.pattern ? { pattern: String(v.pattern) } : {}) });
+  }));
+
+  if (auth) {
+    vars.push(
+      { name: 'JWT_SECRET', type: 'string', minLength: 32 },
+      { name: 'JWT_EXPIRES_IN', type: 'string', default: '7d' }
+    );
+  }
+
+  vars.push({ name: 'CORS_ORIGIN', type: 'string', default: 'http://localhost:3000' });
+
+  return vars;
+}
+
+// A feature's block of .env lines: its example value, else its default
+function envLines(vars) {
+  return vars.map(v => {
+    const value = v.example ?? v.default ?? '';
+    return `${v.comment ? `# ${v.comment}\n` : ''}${v.commented ? '# ' : ''}${v.name}=${value}\n`;
+  }).join('');
+}
+
+const literal = value => (typeof value === 'number' ? String(value) : `'${value}'`);
+
+function tsType(v) {
+  if (v.type === 'enum') return v.values.map(literal).join(' | ');
+  return v.type === 'number' ? 'number' : 'string';
+}
+
+function zodRule(v) {
+  let rule;
+  if (v.type === 'enum') rule = `z.enum([${v.values.map(literal).join(', ')}])`;
+  else if (v.type === 'number') rule = 'z.coerce.number().int().positive()';
+  else if (v.type === 'uri') rule = `z.string().regex(${v.pattern}, '${v.message}')`;
+  else if (v.minLength) rule = `z.string().min(${v.minLength}, 'must be at least ${v.minLength} characters')`;
+  else rule = v.default === undefined ? "z.string().min(1, 'is required')" : 'z.string()';
+
+  return v.default === undefined ? rule : `${rule}.default(${literal(v.default)})`;
+}
+
+function joiRule(v) {
+  let rule;
+  if (v.type === 'enum') rule = `Joi.string().valid(${v.values.map(literal).join(', ')})`;
+  else if (v.type === 'number') rule = 'Joi.number().integer().positive()';
+  else if (v.type === 'uri') rule = `Joi.string().pattern(${v.pattern})`;
+  else if (v.minLength) rule = `Joi.string().min(${v.minLength})`;
+  else rule = v.default === '' ? "Joi.string().allow('')" : 'Joi.string()';
+
+  return v.default === undefined ? `${rule}.required()` : `${rule}.default(${literal(v.default)})`;
+}
+
+function checkerCall(v) {
+  const fallback = v.default === undefined ? '' : `, ${literal(v.default)}`;
+  if (v.type === 'enum') return `oneOf('${v.name}', [${v.values.map(literal).join(', ')}]${fallback})`;
+  if (v.type === 'number') return `int('${v.name}'${fallback})`;
+  if (v.type === 'uri') return `matches('${v.name}', ${v.pattern}, '${v.message}')`;
+  if (v.minLength) return `minLength('${v.name}', ${v.minLength})`;
+  return `str('${v.name}'${fallback})`;
+}
+
+const FAIL_FAST = `  console.error(\`❌ Invalid environment variables:\\n\${problems.map(p => \`  - \${p}\`).join('\\n')}\`);
+  console.error('Check your .env file (see .env.example).');
+  process.exit(1);`;
+
+function zodEnv(vars, isTS) {
+  const shape = vars.map(v => `  ${v.name}: ${zodRule(v)}`).join(',\n');
+
+  return `${isTS ? "import 'dotenv/config';\nimport { z } from 'zod';" : "require('dotenv').config();\nconst { z } = require('zod');"}
+
+const envSchema = z.object({
+${shape}
+});
+
+const parsed = envSchema.safeParse(process.env);
+
+if (!parsed.success) {
+  const problems = parsed.error.issues.map(issue => \`\${issue.path.join('.')} \${issue.message}\`);
+${FAIL_FAST}
+}
+
+${isTS ? `export type Environment = z.infer<typeof envSchema>;
+
+export const ENV: Environment = parsed.data;` : `const ENV = parsed.data;
+
+module.exports = { ENV };`}
+`;
+}
+
+function joiEnv(vars, isTS) {
+  const shape = vars.map(v => `  ${v.name}: ${joiRule(v)}`).join(',\n');
+
+  return `${isTS ? "import 'dotenv/config';\nimport Joi from 'joi';" : "require('dotenv').config();\nconst Joi = require('joi');"}
+${isTS ? `
+export interface Environment {
+${vars.map(v => `  ${v.name}: ${tsType(v)};`).join('\n')}
+}
+` : ''}
+const envSchema = Joi.object${isTS ? '<Environment>' : ''}({
+${shape}
+}).unknown(true);
+
+const { error, value } = envSchema.validate(process.env, { abortEarly: false });
+
+if (error) {
+  const problems = error.details.map(detail => detail.message);
+${FAIL_FAST}
+}
+
+${isTS ? 'export const ENV: Environment = value;' : 'const ENV = value;\n\nmodule.exports = { ENV };'}
+`;
+}
+
+function checkerEnv(vars, isTS) {
+  const used = new Set(vars.map(v => {
+    if (v.type === 'enum') return 'oneOf';
+    if (v.type === 'number') return 'int';
+    if (v.type === 'uri') return 'matches';
+    if (v.minLength) return 'minLength';
+    return 'str';
+  }));
+  const t = type => (isTS ? `: ${type}` : '');
+
+  const helpers = [
+    `// Returns the variable, or the fallback when unset. No fallback = required.
+const str = (name${t('string')}, fallback${isTS ? '?: string' : ''})${t('string')} => {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    if (fallback === undefined) problems.push(\`\${name} is required\`);
+    return fallback ?? '';
+  }
+  return value;
+};`
+  ];
+
+  if (used.has('int')) {
+    helpers.push(`const int = (name${t('string')}, fallback${isTS ? '?: number' : ''})${t('number')} => {
+  const raw = str(name, fallback === undefined ? undefined : String(fallback));
+  const value = Number(raw);
+  if (raw !== '' && (!Number.isInteger(value) || value <= 0)) {
+    problems.push(\`\${name} must be a positive integer (got "\${raw}")\`);
+  }
+  return value;
+};`);
+  }
+
+  if (used.has('oneOf')) {
+    helpers.push(`const oneOf = ${isTS ? '<T extends string>' : ''}(name${t('string')}, allowed${t('readonly T[]')}, fallback${isTS ? '?: T' : ''})${t('T')} => {
+  const value = str(name, fallback)${isTS ? ' as T' : ''};
+  if (value && !allowed.includes(value)) {
+    problems.push(\`\${name} must be one of \${allowed.join(', ')} (got "\${value}")\`);
+  }
+  return value;
+};`);
+  }
+
+  if (used.has('matches')) {
+    helpers.push(`const matches = (name${t('string')}, pattern${t('RegExp')}, message${t('string')})${t('string')} => {
+  const value = str(name);
+  if (value && !pattern.test(value)) problems.push(\`\${name} \${message}\`);
+  return value;
+};`);
+  }
+
+  if (used.has('minLength')) {
+    helpers.push(`const minLength = (name${t('string')}, length${t('number')})${t('string')} => {
+  const value = str(name);
+  if (value && value.length < length) problems.push(\`\${name} must be at least \${length} characters\`);
+  return value;
+};`);
+  }
+
+  const values = vars.map(v => `  ${v.name}: ${checkerCall(v)}`).join(',\n');
+
+  return `${isTS ? "import 'dotenv/config';" : "require('dotenv').config();"}
+${isTS ? `
+export interface Environment {
+${vars.map(v => `  ${v.name}: ${tsType(v)};`).join('\n')}
+}
+` : ''}
+const problems${t('string[]')} = [];
+
+${helpers.join('\n\n')}
+
+${isTS ? 'export ' : ''}const ENV${t('Environment')} = {
+${values}
+};
+
+if (problems.length) {
+${FAIL_FAST}
+}
+${isTS ? '' : '\nmodule.exports = { ENV };\n'}`;
+}
+
+function envConfig(options) {
+  const { isTS, validation } = options;
+  const vars = envVariables(options);
+
+  if (validation === 'zod') return zodEnv(vars, isTS);
+  if (validation === 'joi') return joiEnv(vars, isTS);
+  return checkerEnv(vars, isTS);
+}
+
+module.exports = { envConfig, envVariables, envLines };
@@ -0,0 +1,125 @@
+// ============================================================
+// ES MODULES OUTPUT ("type": "module")
+// ============================================================
+// The templates are written once per language: JavaScript as CommonJS,
+// TypeScript with import/export. For ES module projects this pass rewrites
+// the rendered .js/.ts files: require() and module.exports become import
+// and export, relative specifiers get the extension Node's ESM resolver
+// needs (.js in TypeScript too, which NodeNext maps back to the .ts source)
+// and __dirname is derived from import.meta.url. Files that tools still
+// load with require() are rendered as .cjs and left alone.
+
+const path = require('path');
+
+// Leading whitespace and comment markers, so the examples in comments are converted too
+const PREFIX = '([\\s*/]*)';
+const REQUIRE_LINE = new RegExp(`^${PREFIX}require\\('([^']+)'\\)(\\.config\\(\\))?;$`);
+const REQUIRE_NAMED = new RegExp(`^${PREFIX}const \\{ (.+) \\} = require\\('([^']+)'\\);$`);
+const REQUIRE_DEFAULT = new RegExp(`^${PREFIX}const (\\w+) = require\\('([^']+)'\\);$`);
+const EXPORTS_LINE = new RegExp(`^${PREFIX}module\\.exports = (.*)$`);
+const SPECIFIER = /(\bfrom |\bimport |\bimport\()'(\.{1,2}\/[^']*)'/g;
+
+// `{ a, b }` / `{\n  a,\n  b\n}` lists only names, so it becomes named exports;
+// anything else (config objects, instances) is the default export
+const isNameList = value => /^\{\s*\w+(\s*,\s*\w+)*,?\s*\};?$/.test(value.trim());
+
+// The module.exports value of a CommonJS file, from `= ` up to the statement's closing line
+function exportsValue(lines, index, prefix, value) {
+  if (value !== '{') return value;
+  const end = lines.findIndex((line, i) => i > index && line === `${prefix}};`);
+  return end === -1 ? value : lines.slice(index, end + 1).map(line => line.slice(prefix.length)).join('\n').replace(/^module\.exports = /, '');
+}
+
+// Whether `file` (still CommonJS) exports a single value rather than named bindings
+function hasDefaultExport(content) {
+  const lines = content.split('\n');
+  const index = lines.findIndex(line => line.startsWith('module.exports = '));
+  return index !== -1 && !isNameList(exportsValue(lines, index, '', lines[index].slice('module.exports = '.length)));
+}
+
+// Finds the rendered file a relative specifier points at (sibling file first, then a directory index)
+function resolveLocal(files, from, specifier) {
+  const base = path.posix.join(path.posix.dirname(from), specifier);
+  const ext = path.posix.extname(from);
+  if (files[`${base}${ext}`] !== undefined) return { file: `${base}${ext}`, specifier: `${specifier}.js` };
+  if (files[`${base}/index${ext}`] !== undefined) return { file: `${base}/index${ext}`, specifier: `${specifier}/index.js` };
+  // Not rendered in this pass (commented-out examples, files of an existing project)
+  return { file: null, specifier: `${specifier}.js` };
+}
+
+const withExtension = (files, from, specifier) => (
+  /\.(c|m)?js$|\.json$/.test(specifier) ? specifier : resolveLocal(files, from, specifier).specifier
+);
+
+// require()/module.exports -> import/export, line by line
+function convertCommonJs(content, file, files) {
+  const lines = content.split('\n');
+  const out = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let match;
+
+    if ((match = line.match(REQUIRE_LINE))) {
+      const [, prefix, specifier, config] = match;
+      // require('dotenv').config() -> dotenv's side-effect entry point
+      out.push(`${prefix}import '${config ? `${specifier}/config` : specifier}';`);
+    } else if ((match = line.match(REQUIRE_NAMED))) {
+      const [, prefix, names, specifier] = match;
+      out.push(`${prefix}import { ${names.replace(/(\w+): (\w+)/g, '$1 as $2')} } from '${specifier}';`);
+    } else if ((match = line.match(REQUIRE_DEFAULT))) {
+      const [, prefix, name, specifier] = match;
+      const local = specifier.startsWith('.') && resolveLocal(files, file, specifier).file;
+      // Modules exporting { a, b } are imported as a namespace to keep `name.a` working
+      const namespace = local && !hasDefaultExport(files[local]);
+      out.push(`${prefix}import ${namespace ? `* as ${name}` : name} from '${specifier}';`);
+    } else if ((match = line.match(EXPORTS_LINE))) {
+      const [, prefix, value] = match;
+      const whole = exportsValue(lines, i, prefix, value);
+      out.push(`${prefix}${isNameList(whole) ? 'export ' : 'export default '}${value}`);
+    } else {
+      out.push(line);
+    }
+  }
+
+  return out.join('\n');
+}
+
+// ES modules have no __dirname: derive it where a file uses it
+function defineDirname(content) {
+  const lines = content.split('\n');
+  if (!lines.some(line => /^\s*[^/\s*].*\b__dirname\b/.test(line))) return content;
+
+  const lastImport = lines.reduce((last, line, i) => (/^import .*;$/.test(line) ? i : last), -1);
+  const pathImport = lines.findIndex(line => /^import path from 'path';$/.test(line));
+  lines.splice(lastImport + 1, 0, '', 'const __dirname = path.dirname(fileURLToPath(import.meta.url));');
+  if (pathImport === -1) {
+    lines.splice(lastImport + 1, 0, "import path from 'path';", "import { fileURLToPath } from 'url';");
+  } else {
+    lines.splice(pathImport + 1, 0, "import { fileURLToPath } from 'url';");
+  }
+  return lines.join('\n');
+}
+
+// Extension of the files tools load with require() (sequelize-cli config and migrations)
+const commonJsExt = moduleSystem => (moduleSystem === 'esm' ? 'cjs' : 'js');
+
+/**
+ * Rewrites the rendered { relativePath: content } map for an ES module project.
+ * Only .js and .ts files are touched; .cjs, .mjs and everything else pass through.
+ */
+function toEsModules(files) {
+  return Object.entries(files).reduce((converted, [file, content]) => {
+    if (!/\.(js|ts)$/.test(file)) {
+      converted[file] = content;
+      return converted;
+    }
+
+    let source = file.endsWith('.js') ? convertCommonJs(content, file, files) : content;
+    source = source.replace(SPECIFIER, (whole, keyword, specifier) => `${keyword}'${withExtension(files, file, specifier)}'`);
+    converted[file] = defineDirname(source);
+    return converted;
+  }, {});
+}
+
+module.exports = { commonJsExt, toEsModules };
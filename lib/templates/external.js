@@ -0,0 +1,115 @@
+// ============================================================
+// STARTER TEMPLATES (--template, loaded by ../template)
+// ============================================================
+// A template's files are written as they are, after the built-in ones (and after the
+// ES module conversion), with three additions:
+// - {{placeholders}} in contents and paths are filled in from the render context
+//   (projectName, language, framework, database, orm, isTS, ext, ...). Unknown ones are
+//   left untouched, so `${{ secrets.NPM_TOKEN }}` in a GitHub workflow survives.
+// - files matching a pattern in template.json "conditions" are only written when every
+//   listed answer matches: a value, a list of allowed values, or { "not": ... }.
+// - `_gitignore` is written as .gitignore (npm drops .gitignore files from packages).
+// In "layer" mode, a file with the path of a generated one replaces it, except package.json
+// (merged, the template's entries win), .env files and ignore files (missing lines added).
+const { TemplateError } = require('../errors');
+const { mergeExistingFile } = require('../merge');
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+const RENAMES = { _gitignore: '.gitignore' };
+
+// `**` matches any number of folders, `*` anything but a slash; a pattern ending in a slash covers the whole folder
+function globToRegExp(pattern) {
+  const source = pattern
+    .replace(/\/$/, '/**')
+    .split(/(\*\*\/?|\*|\?)/)
+    .map(part => {
+      if (part === '**/') return '(?:.*/)?';
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+function matches(value, expected) {
+  if (Array.isArray(expected)) return expected.some(option => matches(value, option));
+  if (expected && typeof expected === 'object') return !matches(value, expected.not);
+  return value === expected;
+}
+
+// Whether every condition whose pattern matches `file` holds for this project
+function isIncluded(file, conditions, context) {
+  return Object.entries(conditions).every(([pattern, when]) => !globToRegExp(pattern).test(file) ||
+    Object.entries(when).every(([key, expected]) => {
+      if (!(key in context)) {
+        throw new TemplateError(`Template condition for "${pattern}" uses an unknown answer "${key}"`);
+      }
+      return matches(context[key], expected);
+    }));
+}
+
+function interpolate(text, vars) {
+  return text.replace(PLACEHOLDER, (match, name) => (Object.prototype.hasOwnProperty.call(vars, name) ? String(vars[name]) : match));
+}
+
+// The template's files for this project: conditions applied, placeholders filled in, paths renamed
+function templateFiles(template, context) {
+  const vars = Object.fromEntries(Object.entries(context).filter(([, value]) => ['string', 'number', 'boolean'].includes(typeof value)));
+  const outputPath = file => interpolate(file, vars)
+    .split('/')
+    .map(part => RENAMES[part] || part)
+    .join('/');
+
+  const files = {};
+  Object.entries(template.files)
+    .filter(([file]) => isIncluded(file, template.conditions, context))
+    .forEach(([file, content]) => {
+      // Binary files (Buffers) are copied as they are
+      files[outputPath(file)] = typeof content === 'string' ? interpolate(content, vars) : content;
+    });
+
+  const dirs = template.dirs
+    .filter(dir => isIncluded(`${dir}/`, template.conditions, context))
+    .map(outputPath);
+  return { dirs, files };
+}
+
+// The template's package.json over the generated one: its fields, scripts and versions win
+function layerPackageJson(generatedText, templateText, template) {
+  let own;
+  try {
+    own = JSON.parse(templateText);
+  } catch (error) {
+    throw new TemplateError(`package.json in template ${template.name} is not valid JSON: ${error.message}`, { template: template.dir, cause: error });
+  }
+
+  const generated = JSON.parse(generatedText);
+  const merged = { ...generated, ...own };
+  ['scripts', 'dependencies', 'devDependencies'].forEach(section => {
+    if (generated[section] || own[section]) merged[section] = { ...generated[section], ...own[section] };
+  });
+  return JSON.stringify(merged, null, 2);
+}
+
+// Applies a loaded template (see ../template loadTemplate) to the rendered { dirs, files }
+function applyTemplate(rendered, template, context) {
+  const own = templateFiles(template, context);
+  if (template.mode === 'replace') return own;
+
+  const files = { ...rendered.files };
+  Object.entries(own.files).forEach(([file, content]) => {
+    if (files[file] === undefined || typeof content !== 'string') {
+      files[file] = content;
+    } else if (file === 'package.json') {
+      files[file] = layerPackageJson(files[file], content, template);
+    } else {
+      files[file] = mergeExistingFile(file, files[file], content) ?? content;
+    }
+  });
+
+  return { dirs: [...rendered.dirs, ...own.dirs.filter(dir => !rendered.dirs.includes(dir))], files };
+}
+
+module.exports = { applyTemplate };
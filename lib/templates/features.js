@@ -0,0 +1,219 @@
+// ============================================================
+// BUILT-IN FEATURES (database, logger, validation, Docker)
+// ============================================================
+// The optional features, written against the plugin interface (see
+// ../plugins): each one declares its prompts, packages, scripts, env
+// variables and files, and renderProject applies them the same way it
+// applies a plugin. Their prompts are part of the core questionnaire
+// (../cli/questions), so they are plain lists rather than functions.
+const { SQL_DATABASES, databaseName, databaseUrl } = require('./orm');
+const { databaseFiles } = require('./database');
+const { LOG_LEVELS, loggingFiles } = require('./logging');
+const { validatorFiles } = require('./validation');
+const { dockerFiles } = require('./docker');
+
+const URI_RULES = {
+  mongodb: { pattern: '/^mongodb(\\+srv)?:\\/\\//', message: 'must be a mongodb:// or mongodb+srv:// URI' },
+  postgresql: { pattern: '/^postgres(ql)?:\\/\\//', message: 'must be a postgresql:// URL' },
+  mysql: { pattern: '/^mysql:\\/\\//', message: 'must be a mysql:// URL' },
+  sqlite: { pattern: '/^file:/', message: 'must be a file: URL (e.g. file:./dev.db)' }
+};
+
+// Driver package for each SQL database, per ORM (Prisma ships its own)
+const DRIVERS = {
+  postgresql: { pg: '^8.11.3' },
+  mysql: { mysql2: '^3.6.5' },
+  sqlite: { sqlite3: '^5.1.7' }
+};
+
+const logger = {
+  name: 'logger',
+  description: 'Winston or Pino, with request IDs and request logging',
+  prompts: [
+    {
+      type: 'list',
+      name: 'logger',
+      message: 'Select logger:',
+      choices: ['Winston', 'Pino', 'None'],
+      default: 'Winston'
+    }
+  ],
+  when: ({ logger }) => logger !== 'None',
+  dependencies: ({ logger }) => (logger === 'Pino'
+    ? { pino: '^8.17.2', 'pino-http': '^9.0.0', 'pino-pretty': '^10.3.1', 'pino-roll': '^1.3.0' }
+    : { winston: '^3.11.0', 'winston-daily-rotate-file': '^5.0.0' }),
+  // LOG_DIR empty = console only
+  env: ({ logger }) => [
+    { name: 'LOG_LEVEL', type: 'enum', values: LOG_LEVELS[logger], default: 'info', comment: 'Logging (LOG_DIR also writes rotated JSON log files)' },
+    { name: 'LOG_DIR', default: '', example: 'logs', commented: true }
+  ],
+  files: loggingFiles
+};
+
+const database = {
+  name: 'database',
+  description: 'MongoDB with Mongoose, or PostgreSQL, MySQL or SQLite with Sequelize, Prisma, Drizzle or TypeORM',
+  prompts: [
+    {
+      type: 'list',
+      name: 'database',
+      message: 'Select database:',
+      choices: [
+        { name: 'MongoDB (Mongoose)', value: 'mongodb' },
+        { name: 'PostgreSQL', value: 'postgresql' },
+        { name: 'MySQL', value: 'mysql' },
+        { name: 'SQLite (single file, no server)', value: 'sqlite' },
+        { name: 'None', value: 'none' }
+      ],
+      default: 'mongodb'
+    },
+    {
+      type: 'list',
+      name: 'orm',
+      message: 'Select ORM:',
+      choices: [
+        { name: 'Sequelize', value: 'sequelize' },
+        { name: 'Prisma', value: 'prisma' },
+        { name: 'Drizzle', value: 'drizzle' },
+        { name: 'TypeORM', value: 'typeorm' }
+      ],
+      default: 'sequelize',
+      // MongoDB always uses Mongoose
+      when: answers => SQL_DATABASES.includes(answers.database)
+    }
+  ],
+  when: ({ database }) => database !== 'none',
+
+  dependencies: ({ database, orm }) => {
+    if (orm === 'mongoose') return { mongoose: '^8.0.3' };
+    // Prisma ships its own drivers
+    if (orm === 'prisma') return { '@prisma/client': '^5.19.1' };
+    if (orm === 'drizzle') {
+      return { 'drizzle-orm': '^0.33.0', ...(database === 'sqlite' ? { 'better-sqlite3': '^11.3.0' } : DRIVERS[database]) };
+    }
+    if (orm === 'typeorm') return { typeorm: '^0.3.20', 'reflect-metadata': '^0.2.2', ...DRIVERS[database] };
+    return { sequelize: '^6.35.2', ...DRIVERS[database], ...(database === 'postgresql' ? { 'pg-hstore': '^2.3.4' } : {}) };
+  },
+
+  devDependencies: ({ isTS, database, orm }) => {
+    if (orm === 'sequelize') return { 'sequelize-cli': '^6.6.2' };
+    if (orm === 'prisma') return { prisma: '^5.19.1' };
+    if (orm !== 'drizzle') return {};
+    const types = { postgresql: { '@types/pg': '^8.11.10' }, sqlite: { '@types/better-sqlite3': '^7.6.11' } };
+    return { 'drizzle-kit': '^0.24.2', ...(isTS ? types[database] : {}) };
+  },
+
+  scripts: ({ isTS, esm, ext, orm }) => {
+    if (orm === 'sequelize') {
+      return {
+        'db:migrate': 'sequelize-cli db:migrate',
+        'db:migrate:undo': 'sequelize-cli db:migrate:undo',
+        'db:seed': 'sequelize-cli db:seed:all'
+      };
+    }
+    if (orm === 'prisma') {
+      return {
+        postinstall: 'prisma generate',
+        'db:generate': 'prisma generate',
+        'db:migrate': 'prisma migrate dev',
+        'db:migrate:deploy': 'prisma migrate deploy',
+        'db:push': 'prisma db push',
+        'db:studio': 'prisma studio'
+      };
+    }
+    if (orm === 'drizzle') {
+      return {
+        'db:generate': 'drizzle-kit generate',
+        'db:migrate': 'drizzle-kit migrate',
+        'db:push': 'drizzle-kit push',
+        'db:studio': 'drizzle-kit studio'
+      };
+    }
+    if (orm !== 'typeorm') return {};
+
+    // The TypeORM CLI loads the DataSource exported by src/config/database
+    const cli = isTS ? (esm ? 'tsx node_modules/typeorm/cli.js' : 'typeorm-ts-node-commonjs') : 'typeorm';
+    const dataSource = `-d src/config/database.${ext}`;
+    // JavaScript projects get .js migrations, written with export in ES module projects
+    const output = isTS ? '' : ` -o${esm ? ' --esm' : ''}`;
+    return {
+      'db:generate': `${cli} migration:generate ${dataSource}${output} src/migrations/Migration`,
+      'db:migrate': `${cli} migration:run ${dataSource}`,
+      'db:migrate:undo': `${cli} migration:revert ${dataSource}`
+    };
+  },
+
+  env: ({ projectName, database, orm }) => {
+    if (orm === 'mongoose') {
+      return [{ name: 'MONGODB_URI', type: 'uri', ...URI_RULES.mongodb, example: `mongodb://localhost:27017/${databaseName(projectName)}`, comment: 'Database' }];
+    }
+    if (orm !== 'sequelize') {
+      return [{ name: 'DATABASE_URL', type: 'uri', ...URI_RULES[database], example: databaseUrl(database, projectName), comment: 'Database' }];
+    }
+    if (database === 'sqlite') {
+      return [{ name: 'DB_STORAGE', default: './dev.sqlite', comment: 'Database (SQLite file, created on first connection)' }];
+    }
+
+    const postgres = database === 'postgresql';
+    return [
+      // Only read by sequelize-cli (config/database) in production, so the app doesn't validate it
+      { name: 'DATABASE_URL', example: databaseUrl(database, projectName), validate: false, comment: 'Database' },
+      { name: 'DB_HOST', default: 'localhost' },
+      { name: 'DB_PORT', type: 'number', default: postgres ? 5432 : 3306 },
+      { name: 'DB_NAME', example: postgres ? 'my-back' : databaseName(projectName) },
+      { name: 'DB_USER', example: postgres ? 'postgres' : 'root' },
+      { name: 'DB_PASSWORD', example: postgres ? 'root' : 'password' }
+    ];
+  },
+
+  dirs: ({ orm }) => [
+    'src/models',
+    ...(orm === 'sequelize' || orm === 'typeorm' ? ['src/migrations'] : []),
+    ...(orm === 'sequelize' ? ['src/seeders'] : [])
+  ],
+  files: databaseFiles
+};
+
+const validation = {
+  name: 'validation',
+  description: 'Zod or Joi schemas with a validate middleware',
+  prompts: [
+    {
+      type: 'list',
+      name: 'validation',
+      message: 'Select validation library:',
+      choices: [
+        { name: 'Zod (recommended for TypeScript)', value: 'zod' },
+        { name: 'Joi', value: 'joi' },
+        { name: 'None', value: 'none' }
+      ],
+      default: 'zod'
+    }
+  ],
+  when: ({ validation }) => validation !== 'none',
+  dependencies: ({ validation }) => (validation === 'zod' ? { zod: '^3.22.4' } : { joi: '^17.11.0' }),
+  dirs: ['src/validators'],
+  files: validatorFiles
+};
+
+const docker = {
+  name: 'docker',
+  description: 'Dockerfile, docker-compose.yml with the database, .dockerignore',
+  prompts: [
+    {
+      type: 'confirm',
+      name: 'docker',
+      message: 'Include Docker support?',
+      default: true
+    }
+  ],
+  when: ({ docker }) => docker,
+  files: dockerFiles
+};
+
+// In the order they are applied (and their variables written to .env)
+const BUILTIN_FEATURES = [logger, database, validation, docker];
+
+const featurePrompts = name => BUILTIN_FEATURES.find(feature => feature.name === name).prompts;
+
+module.exports = { BUILTIN_FEATURES, featurePrompts };
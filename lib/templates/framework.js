@@ -0,0 +1,778 @@
+// ============================================================
+// HTTP FRAMEWORK (Express, Fastify or Koa)
+// ============================================================
+// What the web framework decides for the whole project: its packages,
+// src/app (security plugins, body parsing, 404 + global error handler),
+// the response helpers and how routers are mounted. The feature modules
+// (auth, health, docs, logging, validation) render their own controllers,
+// routes and middleware for options.framework.
+
+const { logErrorCall } = require('./logging');
+const { DOCS_PATH } = require('./docs');
+
+const FRAMEWORKS = ['express', 'fastify', 'koa'];
+
+const FRAMEWORK_LABELS = {
+  express: 'Express',
+  fastify: 'Fastify',
+  koa: 'Koa'
+};
+
+// Commented-out line in src/app that `cnapp generate resource` mounts new routers above
+const ROUTES_MARKERS = {
+  express: "// app.use('/api', routes);",
+  fastify: "// api.register(routes, { prefix: '/api' });",
+  koa: '// app.use(routes.routes());'
+};
+
+// Statement mounting a router at prefix in src/app. Koa routers carry their prefix themselves.
+function mountRoutes(framework, routesVar, prefix) {
+  if (framework === 'fastify') return `api.register(${routesVar}, { prefix: '${prefix}' });`;
+  if (framework === 'koa') return `app.use(${routesVar}.routes());`;
+  return `app.use('${prefix}', ${routesVar});`;
+}
+
+// Framework, security, body parsing and Swagger UI packages
+function frameworkDependencies({ isTS, framework, docs }) {
+  const dependencies = {};
+  const devDependencies = {};
+
+  if (framework === 'fastify') {
+    dependencies.fastify = '^5.1.0';
+    dependencies['@fastify/helmet'] = '^13.0.0';
+    dependencies['@fastify/cors'] = '^10.0.1';
+    dependencies['@fastify/formbody'] = '^8.0.1';
+    if (docs) {
+      dependencies['@fastify/swagger'] = '^9.4.0';
+      dependencies['@fastify/swagger-ui'] = '^5.2.0';
+    }
+  } else if (framework === 'koa') {
+    dependencies.koa = '^2.15.3';
+    dependencies['@koa/router'] = '^13.1.0';
+    dependencies['@koa/cors'] = '^5.0.0';
+    // koa-helmet wraps helmet (a peer dependency)
+    dependencies['koa-helmet'] = '^9.0.0';
+    dependencies.helmet = '^8.1.0';
+    dependencies['koa-bodyparser'] = '^4.4.1';
+    if (docs) dependencies['koa2-swagger-ui'] = '^5.11.0';
+    if (isTS) {
+      devDependencies['@types/koa'] = '^2.15.0';
+      devDependencies['@types/koa__router'] = '^12.0.4';
+      devDependencies['@types/koa__cors'] = '^5.0.0';
+      devDependencies['@types/koa-bodyparser'] = '^4.3.12';
+    }
+  } else {
+    dependencies.express = '^4.18.2';
+    dependencies.cors = '^2.8.5';
+    dependencies.helmet = '^7.1.0';
+    if (docs) dependencies['swagger-ui-express'] = '^5.0.1';
+    if (isTS) {
+      devDependencies['@types/express'] = '^4.17.21';
+      devDependencies['@types/cors'] = '^2.8.17';
+      if (docs) devDependencies['@types/swagger-ui-express'] = '^4.1.6';
+    }
+  }
+
+  return { dependencies, devDependencies };
+}
+
+/**
+ * Statement that answers with statusCode and a JSON body, for handlers that respond
+ * without the response helpers. Express and Fastify return the response; Koa assigns
+ * ctx.status and ctx.body, then returns unless `last` says nothing follows.
+ */
+function respond(framework, statusCode, body, { indent = '    ', last = false } = {}) {
+  if (framework === 'fastify') return `return reply.code(${statusCode}).send(${body});`;
+  if (framework === 'koa') {
+    const status = statusCode === 200 ? '' : `ctx.status = ${statusCode};\n${indent}`;
+    return `${status}ctx.body = ${body};${last ? '' : `\n${indent}return;`}`;
+  }
+  return `return res.status(${statusCode}).json(${body});`;
+}
+
+// ------------------------------------------------------------
+// src/utils/response - RESPONSE HELPERS
+// ------------------------------------------------------------
+function responseHelpers({ isTS, framework }) {
+  if (framework === 'express') {
+    return isTS ? `import { Response } from 'express';
+
+export const successResponse = (
+  res: Response,
+  data: unknown,
+  message: string = 'Success',
+  statusCode: number = 200
+) => {
+  return res.status(statusCode).json({
+    success: true,
+    message,
+    data
+  });
+};
+
+export const errorResponse = (
+  res: Response,
+  message: string = 'Error occurred',
+  statusCode: number = 500,
+  errors?: unknown
+) => {
+  const response: { success: false; message: string; errors?: unknown } = {
+    success: false,
+    message
+  };
+
+  if (errors) {
+    response.errors = errors;
+  }
+
+  return res.status(statusCode).json(response);
+};
+` : `const successResponse = (res, data, message = 'Success', statusCode = 200) => {
+  return res.status(statusCode).json({
+    success: true,
+    message,
+    data
+  });
+};
+
+const errorResponse = (res, message = 'Error occurred', statusCode = 500, errors = null) => {
+  const response = {
+    success: false,
+    message
+  };
+
+  if (errors) {
+    response.errors = errors;
+  }
+
+  return res.status(statusCode).json(response);
+};
+
+module.exports = { successResponse, errorResponse };
+`;
+  }
+
+  const t = type => (isTS ? `: ${type}` : '');
+  const fastify = framework === 'fastify';
+  // Fastify handlers return the reply they sent; Koa middleware sets ctx.status and ctx.body
+  const target = fastify ? `reply${t('FastifyReply')}` : `ctx${t('Context')}`;
+  const send = body => (fastify
+    ? `return reply.code(statusCode).send(${body});`
+    : `ctx.status = statusCode;\n  ctx.body = ${body};`);
+
+  const body = `${isTS ? 'export ' : ''}const successResponse = (
+  ${target},
+  data${t('unknown')},
+  message${t('string')} = 'Success',
+  statusCode${t('number')} = 200
+) => {
+  ${send(`{
+    success: true,
+    message,
+    data
+  }`)}
+};
+
+${isTS ? 'export ' : ''}const errorResponse = (
+  ${target},
+  message${t('string')} = 'Error occurred',
+  statusCode${t('number')} = 500,
+  errors${isTS ? '?: unknown' : ' = null'}
+) => {
+  const response${t('{ success: false; message: string; errors?: unknown }')} = {
+    success: false,
+    message
+  };
+
+  if (errors) {
+    response.errors = errors;
+  }
+
+  ${send('response')}
+};`;
+
+  if (isTS) {
+    return `${fastify ? "import { FastifyReply } from 'fastify';" : "import { Context } from 'koa';"}
+
+${body}
+`;
+  }
+
+  return `${body}
+
+module.exports = { successResponse, errorResponse };
+`;
+}
+
+// ------------------------------------------------------------
+// src/app - Express
+// ------------------------------------------------------------
+function expressApp({ isTS, logger, errorHandling, docs, auth, appHooks }) {
+  const plugins = pluginHooks(appHooks);
+  const pluginImports = plugins.imports.map(line => `${line}\n`).join('');
+
+  return isTS ? `import express, { Application, Request, Response${errorHandling ? ', NextFunction' : ''} } from 'express';
+import cors from 'cors';
+import helmet from 'helmet';
+import { ENV } from './config/env';
+${logger !== 'None' ? `${errorHandling ? "import logger from './config/logger';\n" : ''}import { requestId } from './middlewares/requestId';\nimport { requestLogger } from './middlewares/requestLogger';\n` : ''}import healthRoutes from './routes/health.routes';
+${errorHandling ? "import { AppError } from './utils/AppError';\nimport { errorResponse } from './utils/response';\n" : ''}${docs ? "import docsRoutes from './routes/docs.routes';\n" : ''}${auth ? "import authRoutes from './routes/auth.routes';\n" : ''}${pluginImports}
+const app: Application = express();
+
+// Security middleware
+app.use(helmet());
+app.use(cors({ origin: ENV.CORS_ORIGIN, credentials: true }));
+
+// Liveness and readiness probes${logger !== 'None' ? ', before request logging: probes run every few seconds' : ''}
+app.use('/health', healthRoutes);
+${logger !== 'None' ? `
+// Correlation ID (X-Request-Id) and request logging
+app.use(requestId);
+app.use(requestLogger);
+` : ''}
+// Body parser
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+${plugins.code}
+// Health check
+app.get('/', (req: Request, res: Response) => {
+  res.json({
+    success: true,
+    message: 'Server is healthy',
+    timestamp: new Date().toISOString()
+  });
+});
+${docs ? `
+// API docs: Swagger UI at ${DOCS_PATH}, the OpenAPI document at ${DOCS_PATH}/openapi.json
+app.use('${DOCS_PATH}', docsRoutes);
+` : ''}
+// API Routes
+${auth ? "app.use('/api/auth', authRoutes);\n" : ''}${ROUTES_MARKERS.express}
+
+${errorHandling ? `// 404 handler
+app.use((req: Request, res: Response, next: NextFunction) => {
+  next(new AppError(\`Route \${req.originalUrl} not found\`, 404));
+});
+
+// Global error handler
+app.use((err: Error & { statusCode?: number }, req: Request, res: Response, _next: NextFunction) => {
+  const statusCode = err.statusCode || 500;
+  const message = err.message || 'Internal Server Error';
+${logger !== 'None' ? `
+  if (statusCode >= 500) {
+    ${logErrorCall(logger, 'Unhandled error', 'err')}
+  }
+` : ''}
+  if (ENV.NODE_ENV === 'development') {
+    return res.status(statusCode).json({
+      success: false,
+      message,
+      stack: err.stack,
+      error: err
+    });
+  }
+
+  return errorResponse(res, message, statusCode);
+});
+` : ''}
+export default app;
+` : `const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const { ENV } = require('./config/env');
+${logger !== 'None' ? `${errorHandling ? "const logger = require('./config/logger');\n" : ''}const { requestId } = require('./middlewares/requestId');\nconst { requestLogger } = require('./middlewares/requestLogger');\n` : ''}const healthRoutes = require('./routes/health.routes');
+${errorHandling ? "const { AppError } = require('./utils/AppError');\nconst { errorResponse } = require('./utils/response');\n" : ''}${docs ? "const docsRoutes = require('./routes/docs.routes');\n" : ''}${auth ? "const authRoutes = require('./routes/auth.routes');\n" : ''}${pluginImports}
+const app = express();
+
+// Security middleware
+app.use(helmet());
+app.use(cors({ origin: ENV.CORS_ORIGIN, credentials: true }));
+
+// Liveness and readiness probes${logger !== 'None' ? ', before request logging: probes run every few seconds' : ''}
+app.use('/health', healthRoutes);
+${logger !== 'None' ? `
+// Correlation ID (X-Request-Id) and request logging
+app.use(requestId);
+app.use(requestLogger);
+` : ''}
+// Body parser
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+${plugins.code}
+// Health check
+app.get('/', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Server is healthy',
+    timestamp: new Date().toISOString()
+  });
+});
+${docs ? `
+// API docs: Swagger UI at ${DOCS_PATH}, the OpenAPI document at ${DOCS_PATH}/openapi.json
+app.use('${DOCS_PATH}', docsRoutes);
+` : ''}
+// API Routes
+${auth ? "app.use('/api/auth', authRoutes);\n" : ''}${ROUTES_MARKERS.express}
+
+${errorHandling ? `// 404 handler
+app.use((req, res, next) => {
+  next(new AppError(\`Route \${req.originalUrl} not found\`, 404));
+});
+
+// Global error handler
+app.use((err, req, res, _next) => {
+  const statusCode = err.statusCode || 500;
+  const message = err.message || 'Internal Server Error';
+${logger !== 'None' ? `
+  if (statusCode >= 500) {
+    ${logErrorCall(logger, 'Unhandled error', 'err')}
+  }
+` : ''}
+  if (ENV.NODE_ENV === 'development') {
+    return res.status(statusCode).json({
+      success: false,
+      message,
+      stack: err.stack,
+      error: err
+    });
+  }
+
+  return errorResponse(res, message, statusCode);
+});
+` : ''}
+module.exports = app;
+`;
+}
+
+// Import lines of src/app: [TypeScript, CommonJS] per module, falsy entries skipped
+function appImports(isTS, entries) {
+  return entries.filter(Boolean).map(([ts, js]) => (isTS ? ts : js)).join('\n');
+}
+
+// Plugin `app`/`server` hooks ([{ name, imports, code }]): their import lines, and their
+// statements as blocks headed "// Plugin: <name>", each preceded by a blank line
+function pluginHooks(hooks = [], indent = '') {
+  return {
+    imports: hooks.flatMap(hook => hook.imports || []),
+    code: hooks
+      .filter(hook => hook.code && hook.code.trim())
+      .map(hook => `\n${indent}// Plugin: ${hook.name}\n${hook.code.trim().split('\n').map(line => (line ? indent + line : line)).join('\n')}\n`)
+      .join('')
+  };
+}
+
+// Shared by the Fastify and Koa error handlers: logs 5xx, answers with the stack in development
+function errorHandlerBody({ logger, framework }, send, errorResponseCall) {
+  // Koa's own errors (ctx.throw, koa-bodyparser) carry `status` rather than `statusCode`
+  return `const statusCode = err.statusCode${framework === 'koa' ? ' || err.status' : ''} || 500;
+  const message = err.message || 'Internal Server Error';
+${logger !== 'None' ? `
+  if (statusCode >= 500) {
+    ${logErrorCall(logger, 'Unhandled error', 'err')}
+  }
+` : ''}
+  if (ENV.NODE_ENV === 'development') {
+    ${send(`{
+      success: false,
+      message,
+      stack: err.stack,
+      error: err
+    }`)}
+  }
+
+  ${errorResponseCall}`;
+}
+
+// ------------------------------------------------------------
+// src/app - Fastify
+// ------------------------------------------------------------
+function fastifyApp(options) {
+  const { isTS, logger, errorHandling, docs, auth } = options;
+  const hasLogger = logger !== 'None';
+  // Registered in the API scope: plugin code uses \`api\`
+  const plugins = pluginHooks(options.appHooks, '  ');
+  const t = type => (isTS ? `: ${type}` : '');
+
+  const imports = appImports(isTS, [
+    [`import Fastify${errorHandling ? ', { FastifyReply, FastifyRequest }' : ''} from 'fastify';`, "const Fastify = require('fastify');"],
+    ["import helmet from '@fastify/helmet';", "const helmet = require('@fastify/helmet');"],
+    ["import cors from '@fastify/cors';", "const cors = require('@fastify/cors');"],
+    ["import formbody from '@fastify/formbody';", "const formbody = require('@fastify/formbody');"],
+    ["import { ENV } from './config/env';", "const { ENV } = require('./config/env');"],
+    hasLogger && errorHandling && ["import logger from './config/logger';", "const logger = require('./config/logger');"],
+    hasLogger && ["import { requestId } from './middlewares/requestId';", "const { requestId } = require('./middlewares/requestId');"],
+    hasLogger && ["import { requestLogger } from './middlewares/requestLogger';", "const { requestLogger } = require('./middlewares/requestLogger');"],
+    ["import healthRoutes from './routes/health.routes';", "const healthRoutes = require('./routes/health.routes');"],
+    errorHandling && ["import { AppError } from './utils/AppError';", "const { AppError } = require('./utils/AppError');"],
+    errorHandling && ["import { errorResponse } from './utils/response';", "const { errorResponse } = require('./utils/response');"],
+    docs && ["import docsRoutes from './routes/docs.routes';", "const docsRoutes = require('./routes/docs.routes');"],
+    auth && ["import authRoutes from './routes/auth.routes';", "const authRoutes = require('./routes/auth.routes');"],
+    ...plugins.imports.map(line => [line, line])
+  ]);
+
+  const errorHandler = errorHandling ? `
+// Global error handler: errors thrown by routes, hooks and Fastify itself (e.g. malformed JSON)
+app.setErrorHandler((err${t('Error & { statusCode?: number }')}, request${t('FastifyRequest')}, reply${t('FastifyReply')}) => {
+  ${errorHandlerBody(options, body => `return reply.code(statusCode).send(${body});`, 'return errorResponse(reply, message, statusCode);')}
+});
+` : '';
+
+  return `${imports}
+
+${hasLogger ? "// Fastify's own logger stays off: src/middlewares/requestLogger logs the requests\n" : ''}const app = Fastify();
+
+// Security plugins
+app.register(helmet);
+app.register(cors, { origin: ENV.CORS_ORIGIN, credentials: true });
+
+// Liveness and readiness probes, outside the API scope below${hasLogger ? ': probes run every few seconds and are not logged' : ''}
+app.register(healthRoutes, { prefix: '/health' });
+
+// The API. Hooks and plugins registered in this scope don't apply to the probes.
+app.register(async api => {
+${hasLogger ? `  // Correlation ID (X-Request-Id) and request logging
+  api.addHook('onRequest', requestId);
+  api.addHook('${logger === 'Pino' ? 'onRequest' : 'onResponse'}', requestLogger);
+
+` : ''}  // JSON bodies are parsed by Fastify; this adds form bodies
+  api.register(formbody);
+${plugins.code}
+  // Health check
+  api.get('/', async () => ({
+    success: true,
+    message: 'Server is healthy',
+    timestamp: new Date().toISOString()
+  }));
+${docs ? `
+  // API docs: Swagger UI at ${DOCS_PATH}, the OpenAPI document at ${DOCS_PATH}/openapi.json
+  api.register(docsRoutes);
+` : ''}
+  // API Routes
+${auth ? `  ${mountRoutes('fastify', 'authRoutes', '/api/auth')}\n` : ''}  ${ROUTES_MARKERS.fastify}
+${errorHandling ? `
+  // 404 handler
+  api.setNotFoundHandler((request${t('FastifyRequest')}) => {
+    throw new AppError(\`Route \${request.url} not found\`, 404);
+  });
+` : ''}});
+${errorHandler}
+${isTS ? 'export default app;' : 'module.exports = app;'}
+`;
+}
+
+// ------------------------------------------------------------
+// src/app - Koa
+// ------------------------------------------------------------
+function koaApp(options) {
+  const { isTS, logger, errorHandling, docs, auth } = options;
+  const hasLogger = logger !== 'None';
+  const plugins = pluginHooks(options.appHooks);
+
+  const imports = appImports(isTS, [
+    ["import Koa from 'koa';", "const Koa = require('koa');"],
+    ["import Router from '@koa/router';", "const Router = require('@koa/router');"],
+    ["import cors from '@koa/cors';", "const cors = require('@koa/cors');"],
+    ["import helmet from 'koa-helmet';", "const helmet = require('koa-helmet');"],
+    ["import bodyParser from 'koa-bodyparser';", "const bodyParser = require('koa-bodyparser');"],
+    ["import { ENV } from './config/env';", "const { ENV } = require('./config/env');"],
+    hasLogger && errorHandling && ["import logger from './config/logger';", "const logger = require('./config/logger');"],
+    hasLogger && ["import { requestId } from './middlewares/requestId';", "const { requestId } = require('./middlewares/requestId');"],
+    hasLogger && ["import { requestLogger } from './middlewares/requestLogger';", "const { requestLogger } = require('./middlewares/requestLogger');"],
+    ["import healthRoutes from './routes/health.routes';", "const healthRoutes = require('./routes/health.routes');"],
+    errorHandling && ["import { AppError } from './utils/AppError';", "const { AppError } = require('./utils/AppError');"],
+    errorHandling && ["import { errorResponse } from './utils/response';", "const { errorResponse } = require('./utils/response');"],
+    docs && ["import docsRoutes from './routes/docs.routes';", "const docsRoutes = require('./routes/docs.routes');"],
+    auth && ["import authRoutes from './routes/auth.routes';", "const authRoutes = require('./routes/auth.routes');"],
+    ...plugins.imports.map(line => [line, line])
+  ]);
+
+  const errorHandler = errorHandling ? `
+// Global error handler: catches what every middleware after it throws
+app.use(async (ctx, next) => {
+  try {
+    await next();
+  } catch (error) {
+    ${isTS ? 'const err = error as Error & { statusCode?: number; status?: number };\n    ' : 'const err = error;\n    '}${errorHandlerBody(options, body => `ctx.status = statusCode;
+    ctx.body = ${body};
+    return;`, 'errorResponse(ctx, message, statusCode);').replace(/\n(?=.)/g, '\n  ')}
+  }
+});
+` : '';
+
+  return `${imports}
+
+const app = new Koa();
+${hasLogger ? `
+// Correlation ID (X-Request-Id) first: everything after it${errorHandling ? ', the error handler included,' : ''} logs with it
+app.use(requestId);
+` : ''}${errorHandler}${docs ? `
+// API docs: Swagger UI at ${DOCS_PATH}, the OpenAPI document at ${DOCS_PATH}/openapi.json.
+// Mounted before Helmet: Swagger UI loads its assets from a CDN, which its Content-Security-Policy blocks.
+app.use(docsRoutes.routes());
+` : ''}
+// Security middleware
+app.use(helmet());
+app.use(cors({ origin: ENV.CORS_ORIGIN, credentials: true }));
+
+// Liveness and readiness probes${hasLogger ? ', before request logging: probes run every few seconds' : ''}
+app.use(healthRoutes.routes());
+${hasLogger ? `
+// Request logging
+app.use(requestLogger);
+` : ''}
+// Body parser (JSON and form bodies)
+app.use(bodyParser());
+${plugins.code}
+// Health check
+const root = new Router();
+root.get('/', ctx => {
+  ctx.body = {
+    success: true,
+    message: 'Server is healthy',
+    timestamp: new Date().toISOString()
+  };
+});
+app.use(root.routes());
+
+// API Routes (each router carries its prefix)
+${auth ? `${mountRoutes('koa', 'authRoutes', '/api/auth')}\n` : ''}${ROUTES_MARKERS.koa}
+${errorHandling ? `
+// 404 handler: reached when no router matched
+app.use(ctx => {
+  throw new AppError(\`Route \${ctx.originalUrl} not found\`, 404);
+});
+` : ''}
+${isTS ? 'export default app;' : 'module.exports = app;'}
+`;
+}
+
+// ------------------------------------------------------------
+// src/routes, src/controllers, src/middlewares info guides (Fastify and Koa;
+// the Express ones are written out in ./index)
+// ------------------------------------------------------------
+function routesInfo({ isTS, ext, framework, validation, auth }) {
+  const fastify = framework === 'fastify';
+  const imp = (ts, js) => (isTS ? ts : js);
+  const check = validation !== 'none';
+  const guard = auth ? (fastify ? 'preHandler: authenticate' : 'authenticate, ') : '';
+
+  // What runs before createUser: Fastify lists it in the route options, Koa before the handler
+  const beforeCreate = [auth && 'authenticate', check && 'validate({ body: createUserSchema })'].filter(Boolean);
+  const preHandler = beforeCreate.length > 1 ? `[${beforeCreate.join(', ')}]` : beforeCreate[0];
+
+  const create = fastify
+    ? ` *    const userRoutes = async (app${isTS ? ': FastifyInstance' : ''}) => {
+ *      app.get('/', getUsers);
+ *      app.post('/', ${preHandler ? `{ preHandler: ${preHandler} }, ` : ''}createUser);
+ *      app.get('/:id', getUserById);
+ *      app.put('/:id', ${guard ? `{ ${guard} }, ` : ''}updateUser);
+ *      app.delete('/:id', ${guard ? `{ ${guard} }, ` : ''}deleteUser);
+ *    };`
+    : ` *    const router = new Router({ prefix: '/api/users' });
+ *
+ *    router.get('/', getUsers);
+ *    router.post('/', ${beforeCreate.map(fn => `${fn}, `).join('')}createUser);
+ *    router.get('/:id', getUserById);
+ *    router.put('/:id', ${guard}updateUser);
+ *    router.delete('/:id', ${guard}deleteUser);`;
+
+  return `/**
+ * ROUTES FOLDER
+ *
+ * This folder contains API route definitions: ${fastify ? 'Fastify plugins' : 'Koa routers (@koa/router)'}.
+ *
+ * Purpose:
+ * - Define API endpoints and HTTP methods
+ * - Map routes to controller functions
+ * - Apply ${fastify ? 'hooks (preHandler: auth, validation, ...)' : 'middleware (auth, validation, ...)'}
+ * - Group related routes together
+ *
+ * How to create routes (src/routes/user.routes.${ext}):
+ *
+ * 1. Import the handlers${auth || check ? ' and what runs before them' : ''}:${fastify ? '' : `
+ *    ${imp("import Router from '@koa/router';", "const Router = require('@koa/router');")}`}
+ *    ${imp("import { getUsers, getUserById, createUser, updateUser, deleteUser } from '../controllers/user.controller';", "const { getUsers, getUserById, createUser, updateUser, deleteUser } = require('../controllers/user.controller');")}${auth ? `
+ *    ${imp("import { authenticate } from '../middlewares/auth.middleware';", "const { authenticate } = require('../middlewares/auth.middleware');")}` : ''}${check ? `
+ *    ${imp("import { validate } from '../middlewares/validate';", "const { validate } = require('../middlewares/validate');")}
+ *    ${imp("import { createUserSchema } from '../validators/user.validator';", "const { createUserSchema } = require('../validators/user.validator');")}` : ''}
+ *
+ * 2. Define the routes${fastify ? ' in a plugin' : ' on a router that carries its prefix'}:
+${create}
+ *
+ * 3. Export ${fastify ? 'the plugin' : 'the router'}:
+ *    ${imp(`export default ${fastify ? 'userRoutes' : 'router'};`, `module.exports = ${fastify ? 'userRoutes' : 'router'};`)}
+ *
+ * 4. Register it in src/app.${ext}, next to the commented-out example there:
+ *    ${mountRoutes(framework, 'userRoutes', '/api/users')}
+ *
+ * Or let the CLI write all of the above: cnapp generate resource user
+ *
+ * Example structure:
+ *    GET    /api/users       - Get all users
+ *    POST   /api/users       - Create user
+ *    GET    /api/users/:id   - Get user by ID
+ *    PUT    /api/users/:id   - Update user
+ *    DELETE /api/users/:id   - Delete user
+ */
+${isTS ? '\nexport {};\n' : ''}`;
+}
+
+function controllersInfo({ isTS, ext, framework, errorHandling }) {
+  const fastify = framework === 'fastify';
+  const args = fastify ? `request${isTS ? ': FastifyRequest' : ''}, reply${isTS ? ': FastifyReply' : ''}` : `ctx${isTS ? ': Context' : ''}`;
+  const target = fastify ? 'reply' : 'ctx';
+  const body = fastify ? 'request.body' : 'ctx.request.body';
+  const send = (data, message, statusCode = 200) => (errorHandling
+    ? `${fastify ? 'return ' : ''}successResponse(${target}, ${data}, '${message}'${statusCode !== 200 ? `, ${statusCode}` : ''});`
+    : respond(framework, statusCode, `{ success: true, data: ${data} }`, { indent: ' *      ', last: true }));
+
+  return `/**
+ * CONTROLLERS FOLDER
+ *
+ * This folder contains the handlers that answer HTTP requests.
+ *
+ * Purpose:
+ * - Read the request (${fastify ? 'request.params, request.query, request.body' : 'ctx.params, ctx.query, ctx.request.body'})
+ * - Call the service layer for business logic
+ * - ${fastify ? 'Send the response through reply (or return the payload)' : 'Set ctx.status and ctx.body'}
+ *
+ * How to create a controller (src/controllers/user.controller.${ext}):
+ *
+ *    ${isTS ? "import * as userService from '../services/user.service';" : "const userService = require('../services/user.service');"}${errorHandling ? `
+ *    ${isTS ? "import { successResponse } from '../utils/response';" : "const { successResponse } = require('../utils/response');"}` : ''}
+ *
+ *    ${isTS ? 'export ' : ''}const getUsers = async (${args}) => {
+ *      const users = await userService.findAll();
+ *      ${send('users', 'Users fetched')}
+ *    };
+ *
+ *    ${isTS ? 'export ' : ''}const createUser = async (${args}) => {
+ *      const user = await userService.create(${body});
+ *      ${send('user', 'User created', 201)}
+ *    };${isTS ? '' : `
+ *
+ *    module.exports = { getUsers, createUser };`}
+ *
+ * Controller best practices:
+ * - Keep controllers thin - delegate logic to services
+ * - No try/catch needed: ${fastify ? 'Fastify' : 'Koa'} hands errors thrown in async handlers to ${errorHandling ? 'the global error handler in src/app' : 'its default error handler'}${errorHandling ? `
+ * - Throw new AppError('User not found', 404) for expected failures` : ''}
+ * - Use consistent response format
+ * - Validate input (validators + ${fastify ? 'preHandler' : 'middleware'})
+ * - Return appropriate HTTP status codes
+ */
+${isTS ? '\nexport {};\n' : ''}`;
+}
+
+function middlewaresInfo({ isTS, ext, framework, validation, errorHandling }) {
+  const fastify = framework === 'fastify';
+  const t = type => (isTS ? `: ${type}` : '');
+  const reject = errorHandling
+    ? "throw new AppError('No token provided', 401);"
+    : respond(framework, 401, "{ success: false, message: 'No token provided' }", { indent: ' *        ' });
+
+  const examples = fastify
+    ? ` * 1. A hook for every route of a scope (src/app registers the API scope's hooks):
+ *    ${isTS ? 'export ' : ''}const logRequest = async (request${t('FastifyRequest')}) => {
+ *      console.log(\`\${request.method} \${request.url}\`);
+ *    };
+ *    api.addHook('onRequest', logRequest);
+ *
+ * 2. A preHandler for some routes (runs after the body is parsed):
+ *    ${isTS ? 'export ' : ''}const requireAdmin = async (request${t('FastifyRequest')}${errorHandling ? '' : `, reply${t('FastifyReply')}`}) => {
+ *      if (request.user?.role !== 'admin') {
+ *        ${errorHandling ? "throw new AppError('Admins only', 403);" : "return reply.code(403).send({ success: false, message: 'Admins only' });"}
+ *      }
+ *    };
+ *    app.delete('/:id', { preHandler: [authenticate, requireAdmin] }, deleteUser);
+ *
+ * 3. Authentication:
+ *    ${isTS ? 'export ' : ''}const authenticate = async (request${t('FastifyRequest')}${errorHandling ? '' : `, reply${t('FastifyReply')}`}) => {
+ *      const token = request.headers.authorization?.split(' ')[1];
+ *      if (!token) {
+ *        ${reject}
+ *      }
+ *      request.user = verifyToken(token);
+ *    };`
+    : ` * 1. Basic middleware (await next() runs everything after it):
+ *    ${isTS ? 'export ' : ''}const responseTime = async (ctx${t('Context')}, next${t('Next')}) => {
+ *      const start = Date.now();
+ *      await next();
+ *      ctx.set('X-Response-Time', \`\${Date.now() - start}ms\`);
+ *    };
+ *    app.use(responseTime);
+ *
+ * 2. Middleware for some routes:
+ *    ${isTS ? 'export ' : ''}const requireAdmin = async (ctx${t('Context')}, next${t('Next')}) => {
+ *      if (ctx.state.user?.role !== 'admin') {
+ *        ${errorHandling ? "throw new AppError('Admins only', 403);" : "ctx.status = 403;\n *        ctx.body = { success: false, message: 'Admins only' };\n *        return;"}
+ *      }
+ *      await next();
+ *    };
+ *    router.delete('/:id', authenticate, requireAdmin, deleteUser);
+ *
+ * 3. Authentication:
+ *    ${isTS ? 'export ' : ''}const authenticate = async (ctx${t('Context')}, next${t('Next')}) => {
+ *      const token = ctx.get('Authorization').split(' ')[1];
+ *      if (!token) {
+ *        ${reject}
+ *      }
+ *      ctx.state.user = verifyToken(token);
+ *      await next();
+ *    };`;
+
+  return `/**
+ * MIDDLEWARES FOLDER
+ *
+ * This folder contains ${fastify ? 'Fastify hooks (onRequest, preHandler, ...)' : 'Koa middleware functions'}.
+ *
+ * Purpose:
+ * - Intercept and process requests before they reach controllers
+ * - Authentication and authorization
+ * - Request validation
+ * - Logging and monitoring
+ *
+ * How to create ${fastify ? 'hooks' : 'middleware'}:
+ *
+${examples}
+ *
+ * 4. Validation:
+${validation !== 'none' ? ` *    validate.${ext} validates body, params and query with ${validation === 'zod' ? 'Zod' : 'Joi'} schemas:
+ *    ${fastify ? "app.post('/', { preHandler: validate({ body: createUserSchema }) }, createUser);" : "router.post('/', validate({ body: createUserSchema }), createUser);"}` : ` *    Choose Zod or Joi (or run "cnapp add validation zod") to get
+ *    a ready-made validate({ body, params, query }) ${fastify ? 'preHandler' : 'middleware'}.`}
+ *
+ * 5. Error handling:
+ *    ${errorHandling ? `The global error handler lives in src/app (${fastify ? 'app.setErrorHandler' : 'the first middleware'}): throw an
+ *    AppError anywhere and it answers with its status code.` : 'Add an error handling module (cnapp add error-handling) for AppError and a global handler.'}
+ *
+ * Common files:
+ * - auth.middleware.${ext} - Authentication/authorization
+ * - validate.${ext} - Request validation
+ * - rateLimit.middleware.${ext} - Rate limiting${fastify ? ' (or @fastify/rate-limit)' : ''}
+ */
+${isTS ? '\nexport {};\n' : ''}`;
+}
+
+// ------------------------------------------------------------
+// src/app
+// ------------------------------------------------------------
+function appModule(options) {
+  if (options.framework === 'fastify') return fastifyApp(options);
+  if (options.framework === 'koa') return koaApp(options);
+  return expressApp(options);
+}
+
+module.exports = {
+  FRAMEWORKS,
+  FRAMEWORK_LABELS,
+  ROUTES_MARKERS,
+  mountRoutes,
+  frameworkDependencies,
+  respond,
+  responseHelpers,
+  pluginHooks,
+  appModule,
+  routesInfo,
+  controllersInfo,
+  middlewaresInfo
+};
@@ -0,0 +1,303 @@
+// ============================================================
+// HEALTH MODULE (liveness + readiness probes)
+// ============================================================
+// Returns { relativePath: content } for the health service, controller
+// and routes. /health/live only says the process is up; /health/ready
+// pings the database, reports each dependency with its latency and
+// answers 503 when one is down or the server is shutting down.
+// options.orm is the resolved ORM: mongoose | sequelize | prisma | drizzle | typeorm | none
+
+const { DRIZZLE_CLIENTS } = require('./orm');
+
+const HEALTH_PATHS = {
+  live: '/health/live',
+  ready: '/health/ready'
+};
+
+// Import (from src/services) and statements that prove the database answers
+function databasePing({ isTS, database, orm }) {
+  const from = name => (isTS
+    ? `import { ${name} } from '../config/database';`
+    : `const { ${name} } = require('../config/database');`);
+
+  switch (orm) {
+    case 'mongoose':
+      return {
+        imports: isTS ? "import mongoose from 'mongoose';" : "const mongoose = require('mongoose');",
+        ping: `const { db } = mongoose.connection;
+    if (mongoose.connection.readyState !== 1 || !db) throw new Error('Not connected');
+    await db.admin().ping();`
+      };
+    case 'sequelize':
+      return { imports: from('sequelize'), ping: 'await sequelize.authenticate();' };
+    case 'prisma':
+      return { imports: from('prisma'), ping: 'await prisma.$queryRaw`SELECT 1`;' };
+    case 'drizzle':
+      return { imports: from('client'), ping: DRIZZLE_CLIENTS[database].ping };
+    case 'typeorm':
+      return { imports: from('AppDataSource'), ping: "await AppDataSource.query('SELECT 1');" };
+    default:
+      return null;
+  }
+}
+
+// ------------------------------------------------------------
+// src/services/health.service
+// ------------------------------------------------------------
+function healthService(options) {
+  const { isTS } = options;
+  const database = databasePing(options);
+
+  const checks = database
+    ? `  database: async () => {
+    ${database.ping}
+  }`
+    : '  // database: async () => { await db.ping(); }';
+
+  const body = `// Fails a check that takes longer, so a hung dependency can't hang the probe
+const CHECK_TIMEOUT_MS = 2000;
+
+let shuttingDown = false;
+
+// Called when the server starts shutting down: readiness answers 503 from then on,
+// so the load balancer stops sending new requests while in-flight ones finish.
+${isTS ? 'export ' : ''}const markShuttingDown = ()${isTS ? ': void' : ''} => {
+  shuttingDown = true;
+};
+
+// Dependencies the app can't serve requests without. Add caches, queues, ... here.
+const checks${isTS ? ': Record<string, () => Promise<unknown>>' : ''} = {
+${checks}
+};
+
+const runCheck = async (check${isTS ? ': () => Promise<unknown>' : ''})${isTS ? ': Promise<DependencyStatus>' : ''} => {
+  const start = Date.now();
+  let timer${isTS ? ': NodeJS.Timeout | undefined' : ''};
+
+  try {
+    await Promise.race([
+      check(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(\`Timed out after \${CHECK_TIMEOUT_MS}ms\`)), CHECK_TIMEOUT_MS);
+      })
+    ]);
+    return { status: 'up', latencyMs: Date.now() - start };
+  } catch (error) {
+    return {
+      status: 'down',
+      latencyMs: Date.now() - start,
+      error: error instanceof Error ? error.message : String(error)
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Runs every check in parallel.
+ * status: 'ok' when all are up, 'unavailable' when one is down,
+ * 'shutting_down' (without running the checks) after markShuttingDown().
+ */
+${isTS ? 'export ' : ''}const checkReadiness = async ()${isTS ? ': Promise<ReadinessReport>' : ''} => {
+  if (shuttingDown) return { status: 'shutting_down', dependencies: {} };
+
+  const results = await Promise.all(
+    Object.entries(checks).map(async ([name, check]) => [name, await runCheck(check)]${isTS ? ' as const' : ''})
+  );
+  const dependencies = Object.fromEntries(results);
+  const allUp = Object.values(dependencies).every(dependency => dependency.status === 'up');
+
+  return { status: allUp ? 'ok' : 'unavailable', dependencies };
+};`;
+
+  return isTS ? `${database ? `${database.imports}\n\n` : ''}export interface DependencyStatus {
+  status: 'up' | 'down';
+  latencyMs: number;
+  error?: string;
+}
+
+export interface ReadinessReport {
+  status: 'ok' | 'unavailable' | 'shutting_down';
+  dependencies: Record<string, DependencyStatus>;
+}
+
+${body}
+` : `${database ? `${database.imports}\n\n` : ''}${body}
+
+module.exports = { markShuttingDown, checkReadiness };
+`;
+}
+
+// ------------------------------------------------------------
+// src/controllers/health.controller
+// ------------------------------------------------------------
+function healthController({ isTS, framework }) {
+  if (framework !== 'express') return frameworkHealthController({ isTS, framework });
+
+  const body = `/**
+ * GET ${HEALTH_PATHS.live} - liveness probe. Answers as long as the process can
+ * serve HTTP; never checks dependencies, so a database outage doesn't get
+ * the container restarted.
+ */
+${isTS ? 'export ' : ''}const live = (req${isTS ? ': Request' : ''}, res${isTS ? ': Response' : ''}) => {
+  res.json({ success: true, status: 'ok', uptime: Math.round(process.uptime()) });
+};
+
+/**
+ * GET ${HEALTH_PATHS.ready} - readiness probe. 200 when every dependency answers,
+ * 503 when one is down or the server is shutting down.
+ */
+${isTS ? 'export ' : ''}const ready = async (req${isTS ? ': Request' : ''}, res${isTS ? ': Response' : ''}) => {
+  const report = await checkReadiness();
+  const ok = report.status === 'ok';
+
+  res.status(ok ? 200 : 503).json({ success: ok, ...report });
+};`;
+
+  return isTS ? `import { Request, Response } from 'express';
+import { checkReadiness } from '../services/health.service';
+
+${body}
+` : `const { checkReadiness } = require('../services/health.service');
+
+${body}
+
+module.exports = { live, ready };
+`;
+}
+
+// Fastify handlers return the body or send with reply; Koa handlers set ctx.body
+function frameworkHealthController({ isTS, framework }) {
+  const fastify = framework === 'fastify';
+  const t = type => (isTS ? `: ${type}` : '');
+  const exported = isTS ? 'export ' : '';
+
+  const body = `/**
+ * GET ${HEALTH_PATHS.live} - liveness probe. Answers as long as the process can
+ * serve HTTP; never checks dependencies, so a database outage doesn't get
+ * the container restarted.
+ */
+${fastify ? `${exported}const live = async () => ({ success: true, status: 'ok', uptime: Math.round(process.uptime()) });` : `${exported}const live = (ctx${t('Context')}) => {
+  ctx.body = { success: true, status: 'ok', uptime: Math.round(process.uptime()) };
+};`}
+
+/**
+ * GET ${HEALTH_PATHS.ready} - readiness probe. 200 when every dependency answers,
+ * 503 when one is down or the server is shutting down.
+ */
+${fastify ? `${exported}const ready = async (request${t('FastifyRequest')}, reply${t('FastifyReply')}) => {` : `${exported}const ready = async (ctx${t('Context')}) => {`}
+  const report = await checkReadiness();
+  const ok = report.status === 'ok';
+
+  ${fastify ? 'return reply.code(ok ? 200 : 503).send({ success: ok, ...report });' : 'ctx.status = ok ? 200 : 503;\n  ctx.body = { success: ok, ...report };'}
+};`;
+
+  return isTS ? `${fastify ? "import { FastifyReply, FastifyRequest } from 'fastify';" : "import { Context } from 'koa';"}
+import { checkReadiness } from '../services/health.service';
+
+${body}
+` : `const { checkReadiness } = require('../services/health.service');
+
+${body}
+
+module.exports = { live, ready };
+`;
+}
+
+// ------------------------------------------------------------
+// src/routes/health.routes
+// ------------------------------------------------------------
+const PROBES_COMMENT = `// Kubernetes: point livenessProbe at ${HEALTH_PATHS.live} and readinessProbe at ${HEALTH_PATHS.ready}`;
+
+// A Fastify plugin registered with the /health prefix, or a Koa router carrying it
+function frameworkHealthRoutes({ isTS, framework }) {
+  if (framework === 'fastify') {
+    const routes = `${PROBES_COMMENT}
+
+// Registered with the /health prefix in src/app
+const healthRoutes = async (app${isTS ? ': FastifyInstance' : ''}) => {
+  // GET ${HEALTH_PATHS.live} - The process is up
+  app.get('/live', live);
+
+  // GET ${HEALTH_PATHS.ready} - Dependencies answer and the server isn't shutting down
+  app.get('/ready', ready);
+};`;
+
+    return isTS ? `import { FastifyInstance } from 'fastify';
+import { live, ready } from '../controllers/health.controller';
+
+${routes}
+
+export default healthRoutes;
+` : `const { live, ready } = require('../controllers/health.controller');
+
+${routes}
+
+module.exports = healthRoutes;
+`;
+  }
+
+  const routes = `const router = new Router({ prefix: '/health' });
+
+${PROBES_COMMENT}
+
+// GET ${HEALTH_PATHS.live} - The process is up
+router.get('/live', live);
+
+// GET ${HEALTH_PATHS.ready} - Dependencies answer and the server isn't shutting down
+router.get('/ready', ready);`;
+
+  return isTS ? `import Router from '@koa/router';
+import { live, ready } from '../controllers/health.controller';
+
+${routes}
+
+export default router;
+` : `const Router = require('@koa/router');
+const { live, ready } = require('../controllers/health.controller');
+
+${routes}
+
+module.exports = router;
+`;
+}
+
+function healthRoutes({ isTS, framework }) {
+  if (framework !== 'express') return frameworkHealthRoutes({ isTS, framework });
+
+  const routes = `const router = Router();
+
+${PROBES_COMMENT}
+
+// GET ${HEALTH_PATHS.live} - The process is up
+router.get('/live', live);
+
+// GET ${HEALTH_PATHS.ready} - Dependencies answer and the server isn't shutting down
+router.get('/ready', ready);`;
+
+  return isTS ? `import { Router } from 'express';
+import { live, ready } from '../controllers/health.controller';
+
+${routes}
+
+export default router;
+` : `const { Router } = require('express');
+const { live, ready } = require('../controllers/health.controller');
+
+${routes}
+
+module.exports = router;
+`;
+}
+
+function healthFiles(options) {
+  const { ext } = options;
+
+  return {
+    [`src/services/health.service.${ext}`]: healthService(options),
+    [`src/controllers/health.controller.${ext}`]: healthController(options),
+    [`src/routes/health.routes.${ext}`]: healthRoutes(options)
+  };
+}
+
+module.exports = { HEALTH_PATHS, healthFiles };
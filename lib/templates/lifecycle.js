@@ -0,0 +1,247 @@
+// ============================================================
+// SERVER LIFECYCLE (startup + graceful shutdown)
+// ============================================================
+// Returns { relativePath: content } for src/server, src/lifecycle and
+// src/utils/retry. Startup connects to the database (retrying with
+// backoff) before listening. Shutdown on SIGTERM/SIGINT or a crash fails
+// readiness, drains in-flight requests, closes the database and exits,
+// with a forced exit if any of that hangs.
+
+const { logErrorCall } = require('./logging');
+const { pluginHooks } = require('./framework');
+
+// Log statements for the generated code: the logger when there is one, console otherwise.
+// info/warn take a string or template literal as code; error takes plain text and
+// optionally the variable holding the error.
+function logCalls(logger) {
+  const hasLogger = logger !== 'None';
+  const withEmoji = (message, emoji) => message.replace(/^(['`])/, `$1${emoji} `);
+
+  return {
+    info: (message, emoji = 'ℹ️') => (hasLogger ? `logger.info(${message});` : `console.log(${withEmoji(message, emoji)});`),
+    warn: message => (hasLogger ? `logger.warn(${message});` : `console.warn(${withEmoji(message, '⚠️')});`),
+    error: (message, variable) => {
+      if (!variable) return hasLogger ? `logger.error('${message}');` : `console.error('❌ ${message}');`;
+      return hasLogger ? logErrorCall(logger, message, variable) : `console.error('❌ ${message}:', ${variable});`;
+    }
+  };
+}
+
+// ------------------------------------------------------------
+// src/utils/retry
+// ------------------------------------------------------------
+function retryUtil({ isTS }) {
+  return isTS ? `export interface RetryOptions {
+  // Attempts after the first one
+  retries: number;
+  minDelayMs?: number;
+  maxDelayMs?: number;
+  onRetry?: (error: unknown, attempt: number, delayMs: number) => void;
+}
+
+/**
+ * Calls operation until it resolves, waiting minDelayMs, then twice as long after
+ * each failure (capped at maxDelayMs). Rejects with the last error once the
+ * retries are used up.
+ */
+export const withRetry = async <T>(
+  operation: () => Promise<T>,
+  { retries, minDelayMs = 1000, maxDelayMs = 30000, onRetry }: RetryOptions
+): Promise<T> => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt > retries) throw error;
+
+      const delayMs = Math.min(minDelayMs * 2 ** (attempt - 1), maxDelayMs);
+      onRetry?.(error, attempt, delayMs);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+};
+` : `/**
+ * Calls operation until it resolves, waiting minDelayMs, then twice as long after
+ * each failure (capped at maxDelayMs). Rejects with the last error once the
+ * retries (attempts after the first one) are used up.
+ */
+const withRetry = async (operation, { retries, minDelayMs = 1000, maxDelayMs = 30000, onRetry }) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt > retries) throw error;
+
+      const delayMs = Math.min(minDelayMs * 2 ** (attempt - 1), maxDelayMs);
+      if (onRetry) onRetry(error, attempt, delayMs);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+};
+
+module.exports = { withRetry };
+`;
+}
+
+// ------------------------------------------------------------
+// src/lifecycle
+// ------------------------------------------------------------
+// Type of the app startServer takes
+const APP_TYPES = {
+  express: { imports: ["import { Server } from 'http';", "import { Application } from 'express';"], type: 'Application' },
+  fastify: { imports: ["import { FastifyInstance } from 'fastify';"], type: 'FastifyInstance' },
+  koa: { imports: ["import { Server } from 'http';", "import Koa from 'koa';"], type: 'Koa' }
+};
+
+function lifecycleModule({ isTS, framework, database, logger }) {
+  const log = logCalls(logger);
+  const hasDatabase = database !== 'none';
+  const t = type => (isTS ? `: ${type}` : '');
+  // Fastify listens and closes itself; Express and Koa hand out a Node http.Server
+  const fastify = framework === 'fastify';
+  const app = APP_TYPES[framework];
+
+  const imports = isTS
+    ? [
+      ...app.imports,
+      "import { ENV } from './config/env';",
+      hasDatabase && "import { connectDatabase, disconnectDatabase } from './config/database';",
+      logger !== 'None' && "import logger from './config/logger';",
+      "import { markShuttingDown } from './services/health.service';",
+      hasDatabase && "import { withRetry } from './utils/retry';"
+    ]
+    : [
+      "const { ENV } = require('./config/env');",
+      hasDatabase && "const { connectDatabase, disconnectDatabase } = require('./config/database');",
+      logger !== 'None' && "const logger = require('./config/logger');",
+      "const { markShuttingDown } = require('./services/health.service');",
+      hasDatabase && "const { withRetry } = require('./utils/retry');"
+    ];
+
+  const body = `${hasDatabase ? `// The first connection is retried after 1s, 2s, 4s, 8s and 16s before giving up
+const DB_CONNECT_RETRIES = 5;
+
+` : ''}// In-flight requests get this long to finish before the process exits anyway
+const SHUTDOWN_TIMEOUT_MS = 10000;
+
+let server${isTS ? `: ${fastify ? 'FastifyInstance' : 'Server'} | undefined` : ''};
+let shuttingDown = false;
+${fastify ? '' : `
+// Resolves once the server has stopped accepting connections and every in-flight
+// request has finished (idle keep-alive connections are closed right away)
+const closeServer = (httpServer${t('Server')})${t('Promise<void>')} => new Promise((resolve, reject) => {
+  httpServer.close(error => (error ? reject(error) : resolve()));
+});
+`}
+/**
+ * Graceful shutdown: fail readiness, drain in-flight requests, close the database
+ * and exit. Runs once; forces the exit after SHUTDOWN_TIMEOUT_MS if anything hangs.
+ */
+${isTS ? 'export ' : ''}const shutdown = async (reason${t('string')}, exitCode = 0)${t('Promise<void>')} => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  ${log.info('`Shutting down (${reason})...`', '🛑')}
+  markShuttingDown();
+
+  const forceExit = setTimeout(() => {
+    ${log.error('Shutdown did not finish in time, forcing exit')}
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS);
+  forceExit.unref();
+
+  let code = exitCode;
+  try {
+    ${fastify ? '// Stops accepting connections and waits for in-flight requests (idle keep-alive ones close right away)\n    if (server) await server.close();' : 'if (server) await closeServer(server);'}${hasDatabase ? '\n    await disconnectDatabase();' : ''}
+    ${log.info("'Shutdown complete'", '👋')}
+  } catch (error) {
+    ${log.error('Error during shutdown', 'error')}
+    code = 1;
+  }
+
+  process.exit(code);
+};
+
+/**
+ * Starts the app: registers the shutdown handlers,${hasDatabase ? ' connects to the database\n * (retrying with backoff, exits if it stays unreachable),' : ''} then listens on ENV.PORT.
+ */
+${isTS ? 'export ' : ''}const startServer = async (app${t(app.type)})${t(`Promise<${fastify ? 'FastifyInstance' : 'Server'}>`)} => {
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  // The process is in an unknown state after these: log, drain and exit with an error
+  process.on('unhandledRejection', reason => {
+    ${log.error('Unhandled promise rejection', 'reason')}
+    shutdown('unhandledRejection', 1);
+  });
+  process.on('uncaughtException', error => {
+    ${log.error('Uncaught exception', 'error')}
+    shutdown('uncaughtException', 1);
+  });
+${hasDatabase ? `
+  try {
+    await withRetry(connectDatabase, {
+      retries: DB_CONNECT_RETRIES,
+      onRetry: (error, attempt, delayMs) => {
+        ${log.warn('`Database connection failed (attempt ${attempt}/${DB_CONNECT_RETRIES + 1}), retrying in ${delayMs}ms: ${error instanceof Error ? error.message : error}`')}
+      }
+    });
+  } catch (error) {
+    ${log.error('Could not connect to the database, giving up', 'error')}
+    process.exit(1);
+  }
+` : ''}
+${fastify ? `  // Fastify only listens on localhost by default, which is unreachable from outside a container
+  await app.listen({ port: ENV.PORT, host: '0.0.0.0' });
+  server = app;
+  ${log.info('`Server running on port ${ENV.PORT}`', '🚀')}
+  return app;` : `  return new Promise(resolve => {
+    const httpServer = app.listen(ENV.PORT, () => {
+      ${log.info('`Server running on port ${ENV.PORT}`', '🚀')}
+      resolve(httpServer);
+    });
+    server = httpServer;
+  });`}
+};`;
+
+  return `${imports.filter(Boolean).join('\n')}
+
+${body}
+${isTS ? '' : '\nmodule.exports = { startServer, shutdown };\n'}`;
+}
+
+// ------------------------------------------------------------
+// src/server
+// ------------------------------------------------------------
+// Plugin `server` hooks: imports load before the app, statements run before it listens
+function serverEntry({ isTS, serverHooks }) {
+  const plugins = pluginHooks(serverHooks);
+  const imports = plugins.imports.map(line => `${line}\n`).join('');
+
+  return isTS ? `${imports}import app from './app';
+import { startServer } from './lifecycle';
+${plugins.code}
+startServer(app);
+` : `${imports}const app = require('./app');
+const { startServer } = require('./lifecycle');
+${plugins.code}
+startServer(app);
+`;
+}
+
+function lifecycleFiles(options) {
+  const { ext, database } = options;
+
+  const files = {
+    [`src/server.${ext}`]: serverEntry(options),
+    [`src/lifecycle.${ext}`]: lifecycleModule(options)
+  };
+
+  if (database !== 'none') {
+    files[`src/utils/retry.${ext}`] = retryUtil(options);
+  }
+
+  return files;
+}
+
+module.exports = { lifecycleFiles };
@@ -0,0 +1,137 @@
+// ============================================================
+// LINTING, FORMATTING + GIT HOOKS (ESLint, Prettier, husky)
+// ============================================================
+// Returns { relativePath: content } for the ESLint flat config, Prettier
+// config, EditorConfig and the husky pre-commit hook. ESLint only checks
+// code (eslint-config-prettier turns its formatting rules off); layout is
+// Prettier's job. The generated project passes `lint` with no warnings.
+
+// Not linted or formatted: build output, coverage reports, log files
+const IGNORED = ['dist', 'coverage', 'logs'];
+
+// Staged files -> commands run by lint-staged before each commit
+function lintStagedConfig({ isTS }) {
+  return {
+    [isTS ? '*.{ts,js,mjs,cjs}' : '*.{js,mjs,cjs}']: ['eslint --fix', 'prettier --write'],
+    '*.{json,md,yml,yaml}': 'prettier --write'
+  };
+}
+
+// ------------------------------------------------------------
+// eslint.config.mjs
+// ------------------------------------------------------------
+function eslintConfig({ isTS, esm, testing, framework }) {
+  const ignores = `{
+    // The src/*/info guides import what their commented-out examples would use
+    ignores: [${[...IGNORED.map(dir => `'${dir}/'`), `'src/**/info.${isTS ? 'ts' : 'js'}'`].join(', ')}]
+  }`;
+  const unusedVars = `['error', { argsIgnorePattern: '^_' }]`;
+  const unusedComment = `// Unused arguments are fine when they start with _${framework === 'express' ? ' (Express error handlers need all four)' : ''}`;
+
+  if (isTS) {
+    return `// @ts-check
+import js from '@eslint/js';
+import tseslint from 'typescript-eslint';
+import globals from 'globals';
+import prettier from 'eslint-config-prettier';
+
+export default tseslint.config(
+  ${ignores},
+  js.configs.recommended,
+  ...tseslint.configs.recommended,
+  {
+    languageOptions: { globals: globals.node },
+    rules: {
+      ${unusedComment}
+      '@typescript-eslint/no-unused-vars': ${unusedVars}
+    }
+  },
+  {
+    // CommonJS files: ${esm ? 'Sequelize config and migrations' : 'jest.config.js, Sequelize migrations'}
+    files: [${esm ? '' : "'**/*.js', "}'**/*.cjs'],
+    languageOptions: { sourceType: 'commonjs' },
+    rules: { '@typescript-eslint/no-require-imports': 'off' }
+  },
+  // Formatting is Prettier's job: turn off the rules it would fight with
+  prettier
+);
+`;
+  }
+
+  const testGlobals = testing === 'jest'
+    ? `,
+  {
+    files: ['tests/**/*.js'],
+    languageOptions: { globals: globals.jest }
+  }`
+    : testing === 'vitest'
+      ? `,
+  {
+    // vitest.config.mjs sets globals: true for the ${esm ? 'JS' : 'CommonJS'} test files
+    files: ['tests/**/*.js'],
+    languageOptions: { globals: globals.vitest }
+  }`
+      : '';
+
+  return `import js from '@eslint/js';
+import globals from 'globals';
+import prettier from 'eslint-config-prettier';
+
+export default [
+  ${ignores},
+  js.configs.recommended,
+  {
+    files: [${esm ? "'**/*.js', '**/*.mjs', '**/*.cjs'" : "'**/*.js', '**/*.cjs'"}],
+    languageOptions: { ${esm ? '' : "sourceType: 'commonjs', "}globals: globals.node },
+    rules: {
+      ${unusedComment}
+      'no-unused-vars': ${unusedVars}
+    }
+  },
+  {
+    files: [${esm ? "'**/*.cjs'" : "'**/*.mjs'"}],
+    languageOptions: { ${esm ? "sourceType: 'commonjs'" : 'globals: globals.node'} }
+  }${testGlobals},
+  // Formatting is Prettier's job: turn off the rules it would fight with
+  prettier
+];
+`;
+}
+
+function lintFiles(options) {
+  const { gitHooks } = options;
+
+  const files = {
+    'eslint.config.mjs': eslintConfig(options),
+    '.prettierrc': JSON.stringify({
+      singleQuote: true,
+      trailingComma: 'none',
+      printWidth: 120,
+      arrowParens: 'avoid'
+    }, null, 2),
+    // Prettier also skips what .gitignore lists
+    '.prettierignore': [...IGNORED, 'package-lock.json', 'pnpm-lock.yaml', 'bun.lock'].join('\n'),
+    '.editorconfig': `root = true
+
+[*]
+charset = utf-8
+end_of_line = lf
+indent_style = space
+indent_size = 2
+insert_final_newline = true
+trim_trailing_whitespace = true
+
+[*.md]
+trim_trailing_whitespace = false
+`
+  };
+
+  // Runs through husky's hook runner, which puts node_modules/.bin on the PATH
+  if (gitHooks) {
+    files['.husky/pre-commit'] = 'lint-staged';
+  }
+
+  return files;
+}
+
+module.exports = { lintStagedConfig, lintFiles };
@@ -0,0 +1,534 @@
+// ============================================================
+// LOGGING (Winston or Pino)
+// ============================================================
+// Returns { relativePath: content } for the logger, the request context
+// and the requestId / requestLogger middlewares. Every line logged while
+// a request is handled carries its correlation ID, which is also sent
+// back in the X-Request-Id response header.
+//
+// Output is JSON in production and pretty-printed in development, with an
+// optional daily rotated file (LOG_DIR). Logging is silent under NODE_ENV=test.
+
+// Levels accepted by LOG_LEVEL
+const LOG_LEVELS = {
+  Winston: ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'],
+  Pino: ['fatal', 'error', 'warn', 'info', 'debug', 'trace', 'silent']
+};
+
+// Keys whose values are replaced with [REDACTED] (Winston matches them at any depth)
+const REDACTED_KEYS = ['authorization', 'cookie', 'set-cookie', 'password', 'token'];
+
+// The same keys as Pino redact paths: request headers and top-level or nested fields
+const PINO_REDACT_PATHS = [
+  'req.headers.authorization',
+  'req.headers.cookie',
+  'password',
+  '*.password',
+  'token',
+  '*.token'
+];
+
+const list = (values, indent) => values.map(value => `${indent}'${value.replace(/'/g, "\\'")}'`).join(',\n');
+
+// logger.error(...) call for a caught `error`. Pino takes the error as the first
+// argument to serialize its stack; Winston appends it to the message and keeps the stack.
+function logErrorCall(logger, message, variable = 'error') {
+  return logger === 'Pino'
+    ? `logger.error({ ${variable === 'err' ? 'err' : `err: ${variable}`} }, '${message}');`
+    : `logger.error('${message}:', ${variable});`;
+}
+
+// ------------------------------------------------------------
+// src/utils/requestContext
+// ------------------------------------------------------------
+function requestContext({ isTS }) {
+  return isTS ? `import { AsyncLocalStorage } from 'async_hooks';
+
+export interface RequestContext {
+  requestId: string;
+}
+
+// Data of the request being handled, available to everything it calls (services, models, logger)
+export const requestContext = new AsyncLocalStorage<RequestContext>();
+
+// Correlation ID of the current request, undefined outside of a request
+export const getRequestId = (): string | undefined => requestContext.getStore()?.requestId;
+` : `const { AsyncLocalStorage } = require('async_hooks');
+
+// Data of the request being handled, available to everything it calls (services, models, logger)
+const requestContext = new AsyncLocalStorage();
+
+// Correlation ID of the current request, undefined outside of a request
+const getRequestId = () => requestContext.getStore()?.requestId;
+
+module.exports = { requestContext, getRequestId };
+`;
+}
+
+// ------------------------------------------------------------
+// src/middlewares/requestId
+// ------------------------------------------------------------
+const REQUEST_ID_DOC = `/**
+ * Gives every request a correlation ID: the caller's X-Request-Id (proxy, gateway,
+ * another service) when it looks valid, a new UUID otherwise. The ID is returned in
+ * the X-Request-Id response header and read anywhere with getRequestId().`;
+
+// Fastify onRequest hook / Koa middleware
+function frameworkRequestId({ isTS, framework }) {
+  const fastify = framework === 'fastify';
+  const t = type => (isTS ? `: ${type}` : '');
+
+  const handler = fastify
+    ? `${REQUEST_ID_DOC}
+ * Registered as an onRequest hook: the rest of the request runs inside its context.
+ */
+${isTS ? 'export ' : ''}const requestId = (request${t('FastifyRequest')}, reply${t('FastifyReply')}, done${t('HookHandlerDoneFunction')}) => {
+  const incoming = request.headers[REQUEST_ID_HEADER.toLowerCase()];
+  const id = typeof incoming === 'string' && VALID_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+
+  reply.header(REQUEST_ID_HEADER, id);
+  requestContext.run({ requestId: id }, done);
+};`
+    : `${REQUEST_ID_DOC}
+ */
+${isTS ? 'export ' : ''}const requestId = async (ctx${t('Context')}, next${t('Next')}) => {
+  const incoming = ctx.get(REQUEST_ID_HEADER);
+  const id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+
+  ctx.set(REQUEST_ID_HEADER, id);
+  await requestContext.run({ requestId: id }, next);
+};`;
+
+  const body = `${isTS ? 'export ' : ''}const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// IDs accepted from callers; anything else is replaced so it can't inject into the logs
+const VALID_REQUEST_ID = /^[\\w.:-]{1,128}$/;
+
+${handler}`;
+
+  return isTS ? `import { randomUUID } from 'crypto';
+${fastify ? "import { FastifyReply, FastifyRequest, HookHandlerDoneFunction } from 'fastify';" : "import { Context, Next } from 'koa';"}
+import { requestContext } from '../utils/requestContext';
+
+${body}
+` : `const { randomUUID } = require('crypto');
+const { requestContext } = require('../utils/requestContext');
+
+${body}
+
+module.exports = { REQUEST_ID_HEADER, requestId };
+`;
+}
+
+function requestIdMiddleware({ isTS, framework }) {
+  if (framework !== 'express') return frameworkRequestId({ isTS, framework });
+
+  return isTS ? `import { randomUUID } from 'crypto';
+import { Request, Response, NextFunction } from 'express';
+import { requestContext } from '../utils/requestContext';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// IDs accepted from callers; anything else is replaced so it can't inject into the logs
+const VALID_REQUEST_ID = /^[\\w.:-]{1,128}$/;
+
+/**
+ * Gives every request a correlation ID: the caller's X-Request-Id (proxy, gateway,
+ * another service) when it looks valid, a new UUID otherwise. The ID is returned in
+ * the X-Request-Id response header and read anywhere with getRequestId().
+ */
+export const requestId = (req: Request, res: Response, next: NextFunction) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+
+  res.setHeader(REQUEST_ID_HEADER, id);
+  requestContext.run({ requestId: id }, next);
+};
+` : `const { randomUUID } = require('crypto');
+const { requestContext } = require('../utils/requestContext');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// IDs accepted from callers; anything else is replaced so it can't inject into the logs
+const VALID_REQUEST_ID = /^[\\w.:-]{1,128}$/;
+
+/**
+ * Gives every request a correlation ID: the caller's X-Request-Id (proxy, gateway,
+ * another service) when it looks valid, a new UUID otherwise. The ID is returned in
+ * the X-Request-Id response header and read anywhere with getRequestId().
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+
+  res.setHeader(REQUEST_ID_HEADER, id);
+  requestContext.run({ requestId: id }, next);
+};
+
+module.exports = { REQUEST_ID_HEADER, requestId };
+`;
+}
+
+// ------------------------------------------------------------
+// src/config/logger (Winston)
+// ------------------------------------------------------------
+function winstonLogger({ isTS }) {
+  const redact = isTS ? `const redact = (value: unknown): unknown => {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object' || value instanceof Error) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, inner]) => [
+    key,
+    REDACTED_KEYS.includes(key.toLowerCase()) ? '[REDACTED]' : redact(inner)
+  ]));
+};` : `const redact = value => {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object' || value instanceof Error) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, inner]) => [
+    key,
+    REDACTED_KEYS.includes(key.toLowerCase()) ? '[REDACTED]' : redact(inner)
+  ]));
+};`;
+
+  const body = `// Values of these keys never reach the logs, at any depth
+const REDACTED_KEYS = [
+${list(REDACTED_KEYS, '  ')}
+];
+
+${redact}
+
+// Adds the current request ID and hides secrets. Only string keys are touched:
+// Winston keeps its internal state under symbols.
+const context = winston.format(info => {
+  const requestId = getRequestId();
+  if (requestId) info.requestId = requestId;
+
+  Object.keys(info).forEach(key => {
+    info[key] = REDACTED_KEYS.includes(key.toLowerCase()) ? '[REDACTED]' : redact(info[key]);
+  });
+  return info;
+});
+
+// One JSON object per line, for log collectors
+const json = winston.format.json();
+
+// time level [requestId] message {meta}, then the stack of logged errors
+const pretty = winston.format.combine(
+  winston.format.colorize(),
+  winston.format.printf(({ timestamp, level, message, requestId, stack, ...meta }) => {
+    const id = requestId ? \` [\${requestId}]\` : '';
+    const extra = Object.keys(meta).length ? \` \${JSON.stringify(meta)}\` : '';
+    return \`\${timestamp} \${level}\${id} \${message}\${extra}\${stack ? \`\\n\${stack}\` : ''}\`;
+  })
+);
+
+const transports${isTS ? ': winston.transport[]' : ''} = [
+  new winston.transports.Console({ format: ENV.NODE_ENV === 'production' ? json : pretty })
+];
+
+// JSON files rotated daily (or at 20 MB), gzipped and kept for 14 days
+if (ENV.LOG_DIR) {
+  transports.push(new DailyRotateFile({
+    dirname: ENV.LOG_DIR,
+    filename: 'app-%DATE%.log',
+    datePattern: 'YYYY-MM-DD',
+    zippedArchive: true,
+    maxSize: '20m',
+    maxFiles: '14d',
+    format: json
+  }));
+}
+
+const logger = winston.createLogger({
+  level: ENV.LOG_LEVEL,
+  silent: ENV.NODE_ENV === 'test',
+  format: winston.format.combine(
+    winston.format.errors({ stack: true }),
+    winston.format.splat(),
+    context(),
+    winston.format.timestamp()
+  ),
+  transports
+});`;
+
+  return isTS ? `import winston from 'winston';
+import DailyRotateFile from 'winston-daily-rotate-file';
+import { ENV } from './env';
+import { getRequestId } from '../utils/requestContext';
+
+${body}
+
+export default logger;
+` : `const winston = require('winston');
+const DailyRotateFile = require('winston-daily-rotate-file');
+const { ENV } = require('./env');
+const { getRequestId } = require('../utils/requestContext');
+
+${body}
+
+module.exports = logger;
+`;
+}
+
+// ------------------------------------------------------------
+// src/config/logger (Pino)
+// ------------------------------------------------------------
+function pinoLogger({ isTS }) {
+  const body = `const level = ENV.NODE_ENV === 'test' ? 'silent' : ENV.LOG_LEVEL;
+
+const options${isTS ? ': LoggerOptions' : ''} = {
+  level,
+  // Correlation ID of the current request on every line
+  mixin: () => {
+    const requestId = getRequestId();
+    return requestId ? { requestId } : {};
+  },
+  // Secrets are replaced before anything is written
+  redact: {
+    paths: [
+${list(PINO_REDACT_PATHS, '      ')}
+    ],
+    censor: '[REDACTED]'
+  }
+};
+
+// Development: pretty output. Production: JSON lines on stdout.
+// LOG_DIR adds JSON files rotated daily (or at 20 MB), keeping the last 14.
+const targets${isTS ? ': TransportTargetOptions[]' : ''} = [];
+
+if (ENV.NODE_ENV === 'development') {
+  targets.push({
+    target: 'pino-pretty',
+    level,
+    options: { colorize: true, translateTime: 'SYS:standard', ignore: 'pid,hostname' }
+  });
+} else if (ENV.LOG_DIR) {
+  targets.push({ target: 'pino/file', level, options: { destination: 1 } });
+}
+
+if (ENV.LOG_DIR) {
+  targets.push({
+    target: 'pino-roll',
+    level,
+    options: {
+      file: path.join(ENV.LOG_DIR, 'app'),
+      extension: '.log',
+      frequency: 'daily',
+      size: '20m',
+      mkdir: true,
+      limit: { count: 14 }
+    }
+  });
+}
+
+// Without targets Pino writes JSON to stdout synchronously, without a worker thread
+const logger = targets.length && level !== 'silent'
+  ? pino(options, pino.transport({ targets }))
+  : pino(options);`;
+
+  return isTS ? `import path from 'path';
+import { pino, LoggerOptions, TransportTargetOptions } from 'pino';
+import { ENV } from './env';
+import { getRequestId } from '../utils/requestContext';
+
+${body}
+
+export default logger;
+` : `const path = require('path');
+const pino = require('pino');
+const { ENV } = require('./env');
+const { getRequestId } = require('../utils/requestContext');
+
+${body}
+
+module.exports = logger;
+`;
+}
+
+// ------------------------------------------------------------
+// src/middlewares/requestLogger
+// ------------------------------------------------------------
+// Fastify hook / Koa middleware. Pino: pino-http on the Node request and response.
+// Winston: one line when the response is sent.
+function frameworkRequestLogger({ isTS, framework, logger }) {
+  const fastify = framework === 'fastify';
+  const t = type => (isTS ? `: ${type}` : '');
+  const exported = isTS ? 'export ' : '';
+  const typeImport = fastify
+    ? "import { FastifyReply, FastifyRequest, HookHandlerDoneFunction } from 'fastify';"
+    : "import { Context, Next } from 'koa';";
+  const hookArgs = `request${t('FastifyRequest')}, reply${t('FastifyReply')}, done${t('HookHandlerDoneFunction')}`;
+
+  if (logger === 'Pino') {
+    const body = `const httpLogger = pinoHttp({
+  logger,
+  // The ID set by the requestId ${fastify ? 'hook' : 'middleware'}
+  genReqId: ${fastify ? `() => getRequestId()${isTS ? ' as string' : ''}` : `(req, res) => res.getHeader(REQUEST_ID_HEADER)${isTS ? ' as string' : ''}`},
+  customLogLevel: (req, res, error) => {
+    if (error || res.statusCode >= 500) return 'error';
+    return res.statusCode >= 400 ? 'warn' : 'info';
+  },
+  // Response headers are mostly Helmet's and the same on every request
+  serializers: {
+    res: res => ({ statusCode: res.statusCode })
+  }
+});
+
+/**
+ * Logs every request when its response is sent: method, URL, request headers (secrets
+ * redacted), status code and response time. 5xx responses log as errors, 4xx as warnings.
+ * Also sets ${fastify ? 'request.raw.log' : 'ctx.req.log'}, a child logger for the request.${fastify ? '\n * Registered as an onRequest hook, after requestId.' : ''}
+ */
+${fastify ? `${exported}const requestLogger = (${hookArgs}) => {
+  httpLogger(request.raw, reply.raw);
+  done();
+};` : `${exported}const requestLogger = async (ctx${t('Context')}, next${t('Next')}) => {
+  httpLogger(ctx.req, ctx.res);
+  await next();
+};`}`;
+
+    const imports = isTS
+      ? [typeImport, "import { pinoHttp } from 'pino-http';", "import logger from '../config/logger';", fastify
+        ? "import { getRequestId } from '../utils/requestContext';"
+        : "import { REQUEST_ID_HEADER } from './requestId';"]
+      : ["const pinoHttp = require('pino-http');", "const logger = require('../config/logger');", fastify
+        ? "const { getRequestId } = require('../utils/requestContext');"
+        : "const { REQUEST_ID_HEADER } = require('./requestId');"];
+
+    return `${imports.join('\n')}
+
+${body}
+${isTS ? '' : '\nmodule.exports = { requestLogger };\n'}`;
+  }
+
+  const log = (method, url, statusCode) => `const level = ${statusCode} >= 500 ? 'error' : ${statusCode} >= 400 ? 'warn' : 'info';
+
+    logger.log(level, \`\${${method}} \${${url}} \${${statusCode}} \${durationMs}ms\`, {
+      method: ${method},
+      url: ${url},
+      statusCode: ${statusCode},
+      durationMs
+    });`;
+
+  const body = fastify ? `/**
+ * Logs every request when its response is sent: method, URL, status code and
+ * duration. 5xx responses log as errors, 4xx as warnings.
+ * Registered as an onResponse hook.
+ */
+${exported}const requestLogger = (${hookArgs}) => {
+  const durationMs = Math.round(reply.elapsedTime * 100) / 100;
+  ${log('request.method', 'request.url', 'reply.statusCode').replace(/\n {4}/g, '\n  ')}
+
+  done();
+};` : `/**
+ * Logs every request when its response is sent: method, URL, status code and
+ * duration. 5xx responses log as errors, 4xx as warnings.
+ */
+${exported}const requestLogger = async (ctx${t('Context')}, next${t('Next')}) => {
+  const start = process.hrtime.bigint();
+
+  // Koa writes the response after the middleware chain has returned: bind the
+  // listener so its log line still carries the request ID
+  ctx.res.on('finish', AsyncResource.bind(() => {
+    const durationMs = Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100;
+    ${log('ctx.method', 'ctx.originalUrl', 'ctx.status')}
+  }));
+
+  await next();
+};`;
+
+  return isTS ? `${fastify ? '' : "import { AsyncResource } from 'async_hooks';\n"}${typeImport}
+import logger from '../config/logger';
+
+${body}
+` : `${fastify ? '' : "const { AsyncResource } = require('async_hooks');\n"}const logger = require('../config/logger');
+
+${body}
+
+module.exports = { requestLogger };
+`;
+}
+
+function requestLoggerMiddleware({ isTS, framework, logger }) {
+  if (framework !== 'express') return frameworkRequestLogger({ isTS, framework, logger });
+
+  if (logger === 'Pino') {
+    const body = `/**
+ * Logs every request when its response is sent: method, URL, request headers (secrets
+ * redacted), status code and response time. 5xx responses log as errors, 4xx as warnings.
+ * Also sets req.log, a child logger for the request.
+ */
+export const requestLogger = pinoHttp({
+  logger,
+  // The ID set by the requestId middleware
+  genReqId: (req, res) => res.getHeader(REQUEST_ID_HEADER) as string,
+  customLogLevel: (req, res, error) => {
+    if (error || res.statusCode >= 500) return 'error';
+    return res.statusCode >= 400 ? 'warn' : 'info';
+  },
+  // Response headers are mostly Helmet's and the same on every request
+  serializers: {
+    res: res => ({ statusCode: res.statusCode })
+  }
+});`;
+
+    return isTS ? `import { pinoHttp } from 'pino-http';
+import logger from '../config/logger';
+import { REQUEST_ID_HEADER } from './requestId';
+
+${body}
+` : `const pinoHttp = require('pino-http');
+const logger = require('../config/logger');
+const { REQUEST_ID_HEADER } = require('./requestId');
+
+${body.replace('export const', 'const').replace(' as string', '')}
+
+module.exports = { requestLogger };
+`;
+  }
+
+  const body = `/**
+ * Logs every request when its response is sent: method, URL, status code and
+ * duration. 5xx responses log as errors, 4xx as warnings.
+ */
+export const requestLogger = (req${isTS ? ': Request' : ''}, res${isTS ? ': Response' : ''}, next${isTS ? ': NextFunction' : ''}) => {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const durationMs = Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100;
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+
+    logger.log(level, \`\${req.method} \${req.originalUrl} \${res.statusCode} \${durationMs}ms\`, {
+      method: req.method,
+      url: req.originalUrl,
+      statusCode: res.statusCode,
+      durationMs
+    });
+  });
+
+  return next();
+};`;
+
+  return isTS ? `import { Request, Response, NextFunction } from 'express';
+import logger from '../config/logger';
+
+${body}
+` : `const logger = require('../config/logger');
+
+${body.replace('export const', 'const')}
+
+module.exports = { requestLogger };
+`;
+}
+
+function loggingFiles(options) {
+  const { ext, logger } = options;
+
+  return {
+    [`src/config/logger.${ext}`]: logger === 'Pino' ? pinoLogger(options) : winstonLogger(options),
+    [`src/utils/requestContext.${ext}`]: requestContext(options),
+    [`src/middlewares/requestId.${ext}`]: requestIdMiddleware(options),
+    [`src/middlewares/requestLogger.${ext}`]: requestLoggerMiddleware(options)
+  };
+}
+
+module.exports = { LOG_LEVELS, logErrorCall, loggingFiles };
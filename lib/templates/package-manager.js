@@ -0,0 +1,94 @@
+// ============================================================
+// PACKAGE MANAGERS (npm, pnpm, Yarn, Bun)
+// ============================================================
+// Commands as they appear in the generated README, Dockerfile and CLI
+// output. package.json scripts call binaries directly (no npx), so they
+// work the same with every package manager.
+
+const PACKAGE_MANAGERS = ['npm', 'pnpm', 'yarn', 'bun'];
+
+// Lockfile written by each package manager (Bun 1.2+ writes bun.lock, older versions bun.lockb)
+const LOCKFILES = {
+  npm: ['package-lock.json'],
+  pnpm: ['pnpm-lock.yaml'],
+  yarn: ['yarn.lock'],
+  bun: ['bun.lock', 'bun.lockb']
+};
+
+// Dependencies whose install scripts download or build native binaries.
+// pnpm 10 skips dependency install scripts unless they are listed in
+// "pnpm.onlyBuiltDependencies".
+const BUILT_DEPENDENCIES = ['@prisma/client', '@prisma/engines', 'prisma', 'better-sqlite3', 'sqlite3', 'mongodb-memory-server', 'esbuild'];
+
+// { install, run(script, args), exec(bin) } for a package manager
+function packageManagerCommands(packageManager = 'npm') {
+  const pm = packageManager;
+
+  return {
+    install: `${pm} install`,
+    // `npm test`/`npm start` need no "run"; Bun's own test runner takes `bun test`, so Bun always uses "run"
+    run: (script, args) => {
+      const command = pm === 'npm'
+        ? (['test', 'start'].includes(script) ? `npm ${script}` : `npm run ${script}`)
+        : pm === 'bun' ? `bun run ${script}` : `${pm} ${script}`;
+      // npm needs "--" to pass arguments through to the script
+      return args ? `${command}${pm === 'npm' ? ' --' : ''} ${args}` : command;
+    },
+    exec: bin => ({ npm: 'npx', pnpm: 'pnpm exec', yarn: 'yarn', bun: 'bunx' }[pm] + ` ${bin}`)
+  };
+}
+
+// Dependencies of a package.json that pnpm must be allowed to build
+function builtDependencies(packageJson) {
+  const names = Object.keys({ ...packageJson.dependencies, ...packageJson.devDependencies });
+  return BUILT_DEPENDENCIES.filter(name =>
+    names.includes(name) ||
+    (name === '@prisma/engines' && names.includes('prisma')) ||
+    (name === 'esbuild' && names.includes('vitest'))
+  );
+}
+
+// Dockerfile lines of the build stage: { setup, copy, install, build, prune }.
+// Installs are reproducible when a lockfile is present and fall back to a plain install otherwise.
+function dockerCommands(packageManager = 'npm', isTS) {
+  const pm = packageManager;
+  const { run } = packageManagerCommands(pm);
+  const lockfiles = LOCKFILES[pm];
+
+  const frozen = {
+    npm: 'npm ci',
+    pnpm: 'pnpm install --frozen-lockfile',
+    yarn: 'yarn install --frozen-lockfile',
+    bun: 'bun install --frozen-lockfile'
+  }[pm];
+  const lockCheck = lockfiles.map(file => `[ -f ${file} ]`).join(' || ');
+
+  return {
+    // The node image ships npm and Yarn 1; pnpm comes from Corepack, Bun from its own image
+    setup: {
+      npm: '',
+      yarn: '',
+      pnpm: 'RUN corepack enable\n',
+      bun: 'COPY --from=oven/bun:1-alpine /usr/local/bin/bun /usr/local/bin/bun\n'
+    }[pm],
+    copy: pm === 'npm' ? 'COPY package*.json ./' : `COPY package.json ${lockfiles.map(file => `${file}*`).join(' ')} ./`,
+    install: `RUN if ${lockCheck}; then ${frozen}; else ${pm} install; fi`,
+    build: isTS ? `RUN ${run('build')}\n` : '',
+    // Yarn 1 and Bun have no prune: reinstall production deps on top of the existing
+    // node_modules without scripts, so built native modules and generated clients are kept
+    prune: {
+      npm: 'RUN npm prune --omit=dev',
+      pnpm: 'RUN pnpm prune --prod',
+      yarn: 'RUN yarn install --production --ignore-scripts --prefer-offline',
+      bun: 'RUN bun install --production --ignore-scripts'
+    }[pm]
+  };
+}
+
+module.exports = {
+  PACKAGE_MANAGERS,
+  LOCKFILES,
+  packageManagerCommands,
+  builtDependencies,
+  dockerCommands
+};
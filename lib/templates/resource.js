@@ -0,0 +1,1307 @@
+// ============================================================
+// RESOURCE TEMPLATES (cnapp generate resource <name>)
+// ============================================================
+// Returns { relativePath: content } for a CRUD resource:
+// model, service, controller, validator (if a library is installed), routes, the
+// OpenAPI docs (with Swagger UI) and a create-table migration for Sequelize, the
+// table for Drizzle or the entity for TypeORM.
+
+const { resolveOrm } = require('./orm');
+const { commonJsExt } = require('./esm');
+const { respond } = require('./framework');
+const { docHelpers } = require('./docs');
+
+// Supported field types and how each layer spells them
+const FIELD_TYPES = {
+  string: { ts: 'string', mongoose: 'String', sequelize: 'STRING', prisma: 'String', zod: 'z.string()', joi: 'Joi.string()', openapi: "{ type: 'string' }" },
+  text: { ts: 'string', mongoose: 'String', sequelize: 'TEXT', prisma: 'String', zod: 'z.string()', joi: 'Joi.string()', openapi: "{ type: 'string' }" },
+  number: { ts: 'number', mongoose: 'Number', sequelize: 'FLOAT', prisma: 'Float', zod: 'z.number()', joi: 'Joi.number()', openapi: "{ type: 'number' }" },
+  integer: { ts: 'number', mongoose: 'Number', sequelize: 'INTEGER', prisma: 'Int', zod: 'z.number().int()', joi: 'Joi.number().integer()', openapi: "{ type: 'integer' }" },
+  boolean: { ts: 'boolean', mongoose: 'Boolean', sequelize: 'BOOLEAN', prisma: 'Boolean', zod: 'z.boolean()', joi: 'Joi.boolean()', openapi: "{ type: 'boolean' }" },
+  date: { ts: 'Date', mongoose: 'Date', sequelize: 'DATE', prisma: 'DateTime', zod: 'z.coerce.date()', joi: 'Joi.date()', openapi: "{ type: 'string', format: 'date-time' }" }
+};
+
+const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1);
+
+function pluralize(word) {
+  if (/[^aeiou]y$/.test(word)) return word.slice(0, -1) + 'ies';
+  if (/(s|x|z|ch|sh)$/.test(word)) return word + 'es';
+  return word + 's';
+}
+
+// "blogPost", "blog-post" and "BlogPost" all give the same set of names
+function resourceNames(input) {
+  const words = input
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[\s_-]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+  const pluralWords = [...words.slice(0, -1), pluralize(words[words.length - 1])];
+
+  return {
+    camel: words.map((word, i) => (i ? capitalize(word) : word)).join(''),
+    pascal: words.map(capitalize).join(''),
+    kebab: words.join('-'),
+    pluralCamel: pluralWords.map((word, i) => (i ? capitalize(word) : word)).join(''),
+    pluralKebab: pluralWords.join('-'),
+    table: pluralWords.join('_'),
+    label: capitalize(words.join(' ')),
+    pluralLabel: capitalize(pluralWords.join(' '))
+  };
+}
+
+function migrationTimestamp() {
+  return new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+// ------------------------------------------------------------
+// src/models/<name>.model
+// ------------------------------------------------------------
+function resourceModel(project, names, fields) {
+  const { isTS, database } = project;
+  const { pascal, camel, pluralCamel, table } = names;
+  const inputInterface = `export interface ${pascal}Input {
+${fields.map(f => `  ${f.name}${f.optional ? '?' : ''}: ${FIELD_TYPES[f.type].ts};`).join('\n')}
+}`;
+
+  if (database === 'mongodb') {
+    const schemaFields = fields.map(f => {
+      const options = [`type: ${FIELD_TYPES[f.type].mongoose}`];
+      if (!f.optional) options.push('required: true');
+      if (f.unique) options.push('unique: true');
+      return `    ${f.name}: { ${options.join(', ')} }`;
+    }).join(',\n');
+
+    return isTS ? `import mongoose, { Document, Schema } from 'mongoose';
+
+${inputInterface}
+
+export interface I${pascal} extends ${pascal}Input, Document {
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const ${camel}Schema = new Schema<I${pascal}>(
+  {
+${schemaFields}
+  },
+  {
+    timestamps: true
+  }
+);
+
+export const ${pascal} = mongoose.model<I${pascal}>('${pascal}', ${camel}Schema);
+` : `const mongoose = require('mongoose');
+
+const ${camel}Schema = new mongoose.Schema(
+  {
+${schemaFields}
+  },
+  {
+    timestamps: true
+  }
+);
+
+const ${pascal} = mongoose.model('${pascal}', ${camel}Schema);
+
+module.exports = { ${pascal} };
+`;
+  }
+
+  if (resolveOrm(project) === 'sequelize') {
+    const columns = fields.map(f => {
+      const options = [`type: DataTypes.${FIELD_TYPES[f.type].sequelize}`, `allowNull: ${f.optional}`];
+      if (f.unique) options.push('unique: true');
+      return `    ${f.name}: {\n      ${options.join(',\n      ')}\n    }`;
+    }).join(',\n');
+
+    const init = `${pascal}.init(
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+${columns}
+  },
+  {
+    sequelize,
+    tableName: '${table}',
+    timestamps: true
+  }
+);`;
+
+    return isTS ? `import { DataTypes, Model, Optional } from 'sequelize';
+import { sequelize } from '../config/database';
+
+${inputInterface}
+
+interface ${pascal}Attributes extends ${pascal}Input {
+  id: number;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+type ${pascal}CreationAttributes = Optional<${pascal}Attributes, 'id'>;
+
+export class ${pascal} extends Model<${pascal}Attributes, ${pascal}CreationAttributes>
+  implements ${pascal}Attributes {
+  public id!: number;
+${fields.map(f => `  public ${f.name}${f.optional ? '?' : '!'}: ${FIELD_TYPES[f.type].ts};`).join('\n')}
+  public readonly createdAt!: Date;
+  public readonly updatedAt!: Date;
+}
+
+${init}
+` : `const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+class ${pascal} extends Model {}
+
+${init}
+
+module.exports = { ${pascal} };
+`;
+  }
+
+  if (REPOSITORY_ORMS.includes(resolveOrm(project))) {
+    return ormRepository(project, names, fields, inputInterface);
+  }
+
+  // No database selected: in-memory store
+  return isTS ? `import { randomUUID } from 'crypto';
+
+/**
+ * In-memory ${names.label.toLowerCase()} store.
+ * No database was selected, so records live in memory and are lost on restart.
+ */
+
+${inputInterface}
+
+export interface I${pascal} extends ${pascal}Input {
+  id: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const ${pluralCamel} = new Map<string, I${pascal}>();
+
+export const ${pascal} = {
+  async findAll(): Promise<I${pascal}[]> {
+    return [...${pluralCamel}.values()];
+  },
+
+  async findById(id: string): Promise<I${pascal} | null> {
+    return ${pluralCamel}.get(id) || null;
+  },
+
+  async create(data: ${pascal}Input): Promise<I${pascal}> {
+    const now = new Date();
+    const record: I${pascal} = { id: randomUUID(), ...data, createdAt: now, updatedAt: now };
+    ${pluralCamel}.set(record.id, record);
+    return record;
+  },
+
+  async update(id: string, data: Partial<${pascal}Input>): Promise<I${pascal} | null> {
+    const existing = ${pluralCamel}.get(id);
+    if (!existing) return null;
+
+    const updated: I${pascal} = { ...existing, ...data, updatedAt: new Date() };
+    ${pluralCamel}.set(id, updated);
+    return updated;
+  },
+
+  async delete(id: string): Promise<boolean> {
+    return ${pluralCamel}.delete(id);
+  }
+};
+` : `const { randomUUID } = require('crypto');
+
+/**
+ * In-memory ${names.label.toLowerCase()} store.
+ * No database was selected, so records live in memory and are lost on restart.
+ */
+
+const ${pluralCamel} = new Map();
+
+const ${pascal} = {
+  async findAll() {
+    return [...${pluralCamel}.values()];
+  },
+
+  async findById(id) {
+    return ${pluralCamel}.get(id) || null;
+  },
+
+  async create(data) {
+    const now = new Date();
+    const record = { id: randomUUID(), ...data, createdAt: now, updatedAt: now };
+    ${pluralCamel}.set(record.id, record);
+    return record;
+  },
+
+  async update(id, data) {
+    const existing = ${pluralCamel}.get(id);
+    if (!existing) return null;
+
+    const updated = { ...existing, ...data, updatedAt: new Date() };
+    ${pluralCamel}.set(id, updated);
+    return updated;
+  },
+
+  async delete(id) {
+    return ${pluralCamel}.delete(id);
+  }
+};
+
+module.exports = { ${pascal} };
+`;
+}
+
+// ------------------------------------------------------------
+// Prisma, Drizzle and TypeORM: src/models/<name>.model is a repository with the
+// in-memory store's surface (findAll / findById / findOne / create / update / delete),
+// like the auth module's user model. Column names are snake_case, as for users.
+// ------------------------------------------------------------
+const REPOSITORY_ORMS = ['prisma', 'drizzle', 'typeorm'];
+
+const columnName = name => name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+
+// Ids in the URL are strings; only digits can match a record
+const TO_ID = {
+  ts: "const toId = (id: string) => (/^\\d+$/.test(id) ? Number(id) : null);",
+  js: 'const toId = id => (/^\\d+$/.test(id) ? Number(id) : null);'
+};
+
+// prisma/schema.prisma model, appended to the schema by `generate resource`
+function prismaModel(names, fields) {
+  const { pascal, table } = names;
+  const lines = [
+    ['id', 'Int', '@id @default(autoincrement())'],
+    ...fields.map(f => [
+      f.name,
+      `${FIELD_TYPES[f.type].prisma}${f.optional ? '?' : ''}`,
+      [f.unique && '@unique', columnName(f.name) !== f.name && `@map("${columnName(f.name)}")`].filter(Boolean).join(' ')
+    ]),
+    ['createdAt', 'DateTime', '@default(now()) @map("created_at")'],
+    ['updatedAt', 'DateTime', '@updatedAt @map("updated_at")']
+  ];
+  const width = column => Math.max(...lines.map(line => line[column].length));
+
+  return `model ${pascal} {
+${lines.map(([name, type, attributes]) => `  ${name.padEnd(width(0))} ${type.padEnd(width(1))} ${attributes}`.trimEnd()).join('\n')}
+
+  @@map("${table}")
+}`;
+}
+
+// Column builders per dialect: [import, call]
+const DRIZZLE_COLUMNS = {
+  postgresql: {
+    core: 'pg-core',
+    table: 'pgTable',
+    id: ['serial', "serial('id').primaryKey()"],
+    timestamp: ['timestamp', column => `timestamp('${column}').notNull().defaultNow()`],
+    updatedAt: '.$onUpdate(() => new Date())',
+    types: {
+      string: ['varchar', column => `varchar('${column}', { length: 255 })`],
+      text: ['text', column => `text('${column}')`],
+      number: ['doublePrecision', column => `doublePrecision('${column}')`],
+      integer: ['integer', column => `integer('${column}')`],
+      boolean: ['boolean', column => `boolean('${column}')`],
+      date: ['timestamp', column => `timestamp('${column}')`]
+    }
+  },
+  mysql: {
+    core: 'mysql-core',
+    table: 'mysqlTable',
+    id: ['int', "int('id').autoincrement().primaryKey()"],
+    timestamp: ['timestamp', column => `timestamp('${column}').notNull().defaultNow()`],
+    updatedAt: '.onUpdateNow()',
+    types: {
+      string: ['varchar', column => `varchar('${column}', { length: 255 })`],
+      text: ['text', column => `text('${column}')`],
+      number: ['double', column => `double('${column}')`],
+      integer: ['int', column => `int('${column}')`],
+      boolean: ['boolean', column => `boolean('${column}')`],
+      date: ['timestamp', column => `timestamp('${column}')`]
+    }
+  },
+  sqlite: {
+    core: 'sqlite-core',
+    table: 'sqliteTable',
+    id: ['integer', "integer('id').primaryKey({ autoIncrement: true })"],
+    timestamp: ['integer', column => `integer('${column}', { mode: 'timestamp' }).notNull().$defaultFn(() => new Date())`],
+    updatedAt: '.$onUpdate(() => new Date())',
+    types: {
+      string: ['text', column => `text('${column}')`],
+      text: ['text', column => `text('${column}')`],
+      number: ['real', column => `real('${column}')`],
+      integer: ['integer', column => `integer('${column}')`],
+      boolean: ['integer', column => `integer('${column}', { mode: 'boolean' })`],
+      date: ['integer', column => `integer('${column}', { mode: 'timestamp' })`]
+    }
+  }
+};
+
+// src/models/<name>.schema: the Drizzle table, re-exported from src/models/schema
+function drizzleTable({ isTS, database }, names, fields) {
+  const dialect = DRIZZLE_COLUMNS[database];
+  const { pluralCamel, table } = names;
+  const builders = [dialect.table, dialect.id[0], ...fields.map(f => dialect.types[f.type][0]), dialect.timestamp[0]];
+  const imports = `{ ${[...new Set(builders)].join(', ')} } from 'drizzle-orm/${dialect.core}'`;
+
+  const columns = [
+    `  id: ${dialect.id[1]}`,
+    ...fields.map(f => `  ${f.name}: ${dialect.types[f.type][1](columnName(f.name))}${f.optional ? '' : '.notNull()'}${f.unique ? '.unique()' : ''}`),
+    `  createdAt: ${dialect.timestamp[1]('created_at')}`,
+    `  updatedAt: ${dialect.timestamp[1]('updated_at')}${dialect.updatedAt}`
+  ];
+  const definition = `${dialect.table}('${table}', {\n${columns.join(',\n')}\n})`;
+
+  return isTS ? `import ${imports};
+
+export const ${pluralCamel} = ${definition};
+` : `const ${imports.replace(/ from '(.*)'$/, " = require('$1')")};
+
+const ${pluralCamel} = ${definition};
+
+module.exports = { ${pluralCamel} };
+`;
+}
+
+// Column types every TypeORM driver accepts (tests run on in-memory SQLite)
+const TYPEORM_COLUMNS = {
+  string: "type: 'varchar', length: 255",
+  text: "type: 'text'",
+  number: "type: 'float'",
+  integer: "type: 'int'",
+  boolean: "type: 'boolean'",
+  // Date: timestamp or datetime, whichever the database has
+  date: 'type: Date'
+};
+
+// src/models/<name>.entity, registered in src/config/database by `generate resource`
+function typeormResourceEntity({ isTS }, names, fields) {
+  const { pascal, table } = names;
+  const options = f => [
+    TYPEORM_COLUMNS[f.type],
+    columnName(f.name) !== f.name && `name: '${columnName(f.name)}'`,
+    f.optional && 'nullable: true',
+    f.unique && 'unique: true'
+  ].filter(Boolean).join(', ');
+
+  return isTS ? `import { Entity, PrimaryGeneratedColumn, Column, CreateDateColumn, UpdateDateColumn } from 'typeorm';
+
+@Entity({ name: '${table}' })
+export class ${pascal}Entity {
+  @PrimaryGeneratedColumn()
+  id!: number;
+${fields.map(f => `
+  @Column({ ${options(f)} })
+  ${f.name}${f.optional ? '?' : '!'}: ${FIELD_TYPES[f.type].ts};
+`).join('')}
+  @CreateDateColumn({ name: 'created_at' })
+  createdAt!: Date;
+
+  @UpdateDateColumn({ name: 'updated_at' })
+  updatedAt!: Date;
+}
+` : `const { EntitySchema } = require('typeorm');
+
+const ${pascal}Entity = new EntitySchema({
+  name: '${pascal}',
+  tableName: '${table}',
+  columns: {
+    id: { type: 'int', primary: true, generated: 'increment' },
+${fields.map(f => `    ${f.name}: { ${options(f)} },`).join('\n')}
+    createdAt: { name: 'created_at', createDate: true },
+    updatedAt: { name: 'updated_at', updateDate: true }
+  }
+});
+
+module.exports = { ${pascal}Entity };
+`;
+}
+
+function ormRepository(project, names, fields, inputInterface) {
+  const { isTS, database } = project;
+  const { pascal, camel, kebab, pluralCamel } = names;
+  const orm = resolveOrm(project);
+  const t = type => (isTS ? `: ${type}` : '');
+  const record = `I${pascal}`;
+
+  const setup = {
+    prisma: {
+      ts: `import { ${pascal} as ${pascal}Record } from '@prisma/client';
+import { prisma } from '../config/database';`,
+      js: "const { prisma } = require('../config/database');",
+      type: `${pascal}Record`
+    },
+    drizzle: {
+      ts: `import { and, desc, eq } from 'drizzle-orm';
+import { db } from '../config/database';
+import { ${pluralCamel} } from './${kebab}.schema';`,
+      js: `const { and, desc, eq } = require('drizzle-orm');
+const { db } = require('../config/database');
+const { ${pluralCamel} } = require('./${kebab}.schema');`,
+      type: `typeof ${pluralCamel}.$inferSelect`
+    },
+    typeorm: {
+      ts: `import { AppDataSource } from '../config/database';
+import { ${pascal}Entity } from './${kebab}.entity';`,
+      js: `const { AppDataSource } = require('../config/database');
+const { ${pascal}Entity } = require('./${kebab}.entity');`,
+      type: `${pascal}Entity`,
+      after: `\nconst repository = () => AppDataSource.getRepository(${pascal}Entity);\n`
+    }
+  }[orm];
+
+  const byId = `const key = toId(id);
+    if (key === null) return null;`;
+  const drizzleById = `eq(${pluralCamel}.id, key)`;
+  const methods = {
+    prisma: {
+      findAll: `return prisma.${camel}.findMany({ orderBy: { createdAt: 'desc' } });`,
+      findById: `${byId}
+    return prisma.${camel}.findUnique({ where: { id: key } });`,
+      findOne: `return prisma.${camel}.findFirst({ where });`,
+      create: `return prisma.${camel}.create({ data });`,
+      update: `if (!(await ${pascal}.findById(id))) return null;
+    return prisma.${camel}.update({ where: { id: Number(id) }, data });`,
+      delete: `const key = toId(id);
+    if (key === null) return false;
+    const { count } = await prisma.${camel}.deleteMany({ where: { id: key } });
+    return count > 0;`
+    },
+    drizzle: {
+      findAll: `return db.select().from(${pluralCamel}).orderBy(desc(${pluralCamel}.createdAt));`,
+      findById: `${byId}
+    const [row] = await db.select().from(${pluralCamel}).where(${drizzleById}).limit(1);
+    return row ?? null;`,
+      findOne: `const [row] = await db.select().from(${pluralCamel}).where(and(
+${fields.map(f => `      where.${f.name} === undefined ? undefined : eq(${pluralCamel}.${f.name}, where.${f.name})`).join(',\n')}
+    )).limit(1);
+    return row ?? null;`,
+      // MySQL has no RETURNING: read the row back by its new id
+      create: database === 'mysql' ? `const [{ id }] = await db.insert(${pluralCamel}).values(data).$returningId();
+    const [row] = await db.select().from(${pluralCamel}).where(eq(${pluralCamel}.id, id));
+    return row;` : `const [row] = await db.insert(${pluralCamel}).values(data).returning();
+    return row;`,
+      update: `${byId}
+    // Drizzle rejects an update without values
+    if (Object.keys(data).length) {
+      await db.update(${pluralCamel}).set(data).where(${drizzleById});
+    }
+    return ${pascal}.findById(id);`,
+      delete: `const key = toId(id);
+    if (key === null) return false;
+    ${database === 'mysql' ? `const [result] = await db.delete(${pluralCamel}).where(${drizzleById});
+    return result.affectedRows > 0;` : `const deleted = await db.delete(${pluralCamel}).where(${drizzleById}).returning({ id: ${pluralCamel}.id });
+    return deleted.length > 0;`}`
+    },
+    typeorm: {
+      findAll: "return repository().find({ order: { createdAt: 'DESC' } });",
+      findById: `${byId}
+    return repository().findOneBy({ id: key });`,
+      findOne: 'return repository().findOneBy(where);',
+      create: 'return repository().save(repository().create(data));',
+      update: `const existing = await ${pascal}.findById(id);
+    if (!existing) return null;
+    return repository().save(repository().merge(existing, data));`,
+      delete: `const existing = await ${pascal}.findById(id);
+    if (!existing) return false;
+    await repository().remove(existing);
+    return true;`
+    }
+  }[orm];
+
+  // Drizzle's query builders are thenables, not promises: every method awaits them
+  const isAsync = name => orm === 'drizzle' || /\bawait\b/.test(methods[name]) || methods[name].includes('toId(');
+  const method = (name, params, returns) => `  ${isAsync(name) ? 'async ' : ''}${name}(${params})${t(`Promise<${returns}>`)} {
+    ${methods[name]}
+  }`;
+
+  const store = `const ${pascal} = {
+${[
+    method('findAll', '', `${record}[]`),
+    method('findById', `id${t('string')}`, `${record} | null`),
+    method('findOne', `where${t(`Partial<${pascal}Input>`)}`, `${record} | null`),
+    method('create', `data${t(`${pascal}Input`)}`, record),
+    method('update', `id${t('string')}, data${t(`Partial<${pascal}Input>`)}`, `${record} | null`),
+    method('delete', `id${t('string')}`, 'boolean')
+  ].join(',\n\n')}
+};`;
+
+  return isTS ? `${setup.ts}
+
+${inputInterface}
+
+export type ${record} = ${setup.type};
+${setup.after || ''}
+${TO_ID.ts}
+
+export ${store}
+` : `${setup.js}
+${setup.after || ''}
+${TO_ID.js}
+
+${store}
+
+module.exports = { ${pascal} };
+`;
+}
+
+// ------------------------------------------------------------
+// src/migrations/<timestamp>-create-<table>.js|cjs (Sequelize only)
+// ------------------------------------------------------------
+function resourceMigration(names, fields) {
+  const columns = fields.map(f => {
+    const options = [`type: Sequelize.${FIELD_TYPES[f.type].sequelize}`, `allowNull: ${f.optional}`];
+    if (f.unique) options.push('unique: true');
+    return `      ${f.name}: {\n        ${options.join(',\n        ')}\n      }`;
+  }).join(',\n');
+
+  return `'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('${names.table}', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+${columns},
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('${names.table}');
+  }
+};
+`;
+}
+
+// ------------------------------------------------------------
+// src/services/<name>.service
+// ------------------------------------------------------------
+function resourceService(project, names, fields) {
+  const { isTS, database } = project;
+  const { pascal, kebab } = names;
+  const isSQL = resolveOrm(project) === 'sequelize';
+  const t = type => (isTS ? `: ${type}` : '');
+
+  // Checked before writing, like the email on register: a duplicate is a 409, not a driver error
+  const lookup = field => {
+    if (database === 'mongodb' || REPOSITORY_ORMS.includes(resolveOrm(project))) return `${pascal}.findOne({ ${field}: data.${field} })`;
+    if (isSQL) return `${pascal}.findOne({ where: { ${field}: data.${field} } })`;
+    return `(await ${pascal}.findAll()).find(record => String(record.${field}) === String(data.${field}))`;
+  };
+  const unique = fields.filter(f => f.unique);
+  const findTaken = unique.length ? `
+
+// Name of the first unique field whose value another record already has, else null
+const findTaken = async (data${t(`Partial<${pascal}Input>`)}, id${isTS ? '?: string' : ''}) => {
+${unique.map(f => `  if (data.${f.name} !== undefined) {
+    const existing = await ${lookup(f.name)};
+    if (existing && String(existing.id) !== id) return '${f.name}';
+  }`).join('\n')}
+  return null;
+};` : '';
+
+  let body;
+  if (database === 'mongodb') {
+    body = `const findAll = () => ${pascal}.find().sort({ createdAt: -1 });
+
+const findById = async (id${t('string')}) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return ${pascal}.findById(id);
+};
+
+const create = (data${t(`${pascal}Input`)}) => ${pascal}.create(data);
+
+const update = async (id${t('string')}, data${t(`Partial<${pascal}Input>`)}) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return ${pascal}.findByIdAndUpdate(id, data, { new: true, runValidators: true });
+};
+
+const remove = async (id${t('string')}) => {
+  if (!mongoose.isValidObjectId(id)) return false;
+  return Boolean(await ${pascal}.findByIdAndDelete(id));
+};`;
+  } else if (isSQL) {
+    body = `const findAll = () => ${pascal}.findAll({ order: [['createdAt', 'DESC']] });
+
+const findById = (id${t('string')}) => ${pascal}.findByPk(id);
+
+const create = (data${t(`${pascal}Input`)}) => ${pascal}.create(data);
+
+const update = async (id${t('string')}, data${t(`Partial<${pascal}Input>`)}) => {
+  const record = await ${pascal}.findByPk(id);
+  if (!record) return null;
+  return record.update(data);
+};
+
+const remove = async (id${t('string')}) => {
+  const deleted = await ${pascal}.destroy({ where: { id: Number(id) } });
+  return deleted > 0;
+};`;
+  } else {
+    body = `const findAll = () => ${pascal}.findAll();
+
+const findById = (id${t('string')}) => ${pascal}.findById(id);
+
+const create = (data${t(`${pascal}Input`)}) => ${pascal}.create(data);
+
+const update = (id${t('string')}, data${t(`Partial<${pascal}Input>`)}) => ${pascal}.update(id, data);
+
+const remove = (id${t('string')}) => ${pascal}.delete(id);`;
+  }
+  body += findTaken;
+
+  if (isTS) {
+    return `${database === 'mongodb' ? "import mongoose from 'mongoose';\n" : ''}import { ${pascal}, ${pascal}Input } from '../models/${kebab}.model';
+
+// Returns null / false when the record does not exist; the controller decides the response
+${body.replace(/^const /gm, 'export const ')}
+`;
+  }
+
+  return `${database === 'mongodb' ? "const mongoose = require('mongoose');\n" : ''}const { ${pascal} } = require('../models/${kebab}.model');
+
+// Returns null / false when the record does not exist; the controller decides the response
+${body}
+
+module.exports = { findAll, findById, create, update, remove${unique.length ? ', findTaken' : ''} };
+`;
+}
+
+// ------------------------------------------------------------
+// src/validators/<name>.validator
+// ------------------------------------------------------------
+function resourceValidator({ isTS, validation }, names, fields) {
+  const { pascal } = names;
+
+  if (validation === 'zod') {
+    const shape = fields
+      .map(f => `  ${f.name}: ${FIELD_TYPES[f.type].zod}${f.optional ? '.optional()' : ''}`)
+      .join(',\n');
+
+    return isTS ? `import { z } from 'zod';
+
+export const create${pascal}Schema = z.object({
+${shape}
+});
+
+export const update${pascal}Schema = create${pascal}Schema.partial();
+
+export type Create${pascal}Input = z.infer<typeof create${pascal}Schema>;
+export type Update${pascal}Input = z.infer<typeof update${pascal}Schema>;
+` : `const { z } = require('zod');
+
+const create${pascal}Schema = z.object({
+${shape}
+});
+
+const update${pascal}Schema = create${pascal}Schema.partial();
+
+module.exports = { create${pascal}Schema, update${pascal}Schema };
+`;
+  }
+
+  const keys = fields.map(f => `'${f.name}'`).join(', ');
+  const shape = fields
+    .map(f => `  ${f.name}: ${FIELD_TYPES[f.type].joi}${f.optional ? '' : '.required()'}`)
+    .join(',\n');
+
+  return isTS ? `import Joi from 'joi';
+
+export const create${pascal}Schema = Joi.object({
+${shape}
+});
+
+export const update${pascal}Schema = create${pascal}Schema
+  .fork([${keys}], schema => schema.optional())
+  .min(1);
+` : `const Joi = require('joi');
+
+const create${pascal}Schema = Joi.object({
+${shape}
+});
+
+const update${pascal}Schema = create${pascal}Schema
+  .fork([${keys}], schema => schema.optional())
+  .min(1);
+
+module.exports = { create${pascal}Schema, update${pascal}Schema };
+`;
+}
+
+// ------------------------------------------------------------
+// src/docs/<name>.docs
+// ------------------------------------------------------------
+// The resource's part of the OpenAPI document, spread into src/docs/openapi.
+// Request bodies are converted from the validators like the auth ones, or
+// written out from the fields without a validation library.
+function resourceDocs(project, names, fields) {
+  const { isTS, database, validation } = project;
+  const esm = project.moduleSystem === 'esm';
+  const { pascal, camel, kebab, pluralKebab, label, pluralLabel } = names;
+  const one = `a${/^[aeiou]/i.test(label) ? 'n' : ''} ${label.toLowerCase()}`;
+  const validated = validation !== 'none';
+  const unique = fields.filter(f => f.unique).map(f => f.name);
+
+  const validatorImport = isTS
+    ? `import { create${pascal}Schema, update${pascal}Schema } from '../validators/${kebab}.validator';`
+    : `const { create${pascal}Schema, update${pascal}Schema } = require('../validators/${kebab}.validator');`;
+
+  let imports = [];
+  let converted = '';
+  let inputSchemas;
+  if (validation === 'zod') {
+    imports = isTS
+      ? ["import { OpenAPIRegistry, OpenApiGeneratorV3, extendZodWithOpenApi } from '@asteasolutions/zod-to-openapi';", "import { z } from 'zod';", validatorImport]
+      : ["const { OpenAPIRegistry, OpenApiGeneratorV3, extendZodWithOpenApi } = require('@asteasolutions/zod-to-openapi');", "const { z } = require('zod');", validatorImport];
+    converted = `// registry.register() needs it (a no-op once src/docs/openapi has run it)
+extendZodWithOpenApi(z);
+
+const registry = new OpenAPIRegistry();
+registry.register('Create${pascal}Input', create${pascal}Schema);
+registry.register('Update${pascal}Input', update${pascal}Schema);
+
+`;
+    inputSchemas = `    ...new OpenApiGeneratorV3(registry.definitions).generateComponents().components${isTS ? '?' : ''}.schemas,`;
+  } else if (validation === 'joi') {
+    // NodeNext types the default import of this CommonJS package as its exports object
+    const esmTypes = isTS && esm;
+    imports = [isTS ? `import ${esmTypes ? 'joiToSwagger' : 'j2s'} from 'joi-to-swagger';` : "const j2s = require('joi-to-swagger');", validatorImport];
+    converted = esmTypes ? 'const j2s = joiToSwagger.default;\n\n' : '';
+    inputSchemas = `    Create${pascal}Input: j2s(create${pascal}Schema).swagger,
+    Update${pascal}Input: j2s(update${pascal}Schema).swagger,`;
+  } else {
+    const properties = fields.map(f => `        ${f.name}: ${FIELD_TYPES[f.type].openapi}`).join(',\n');
+    const required = fields.filter(f => !f.optional).map(f => `'${f.name}'`);
+    const input = name => `    ${name}: {
+      type: 'object',${name.startsWith('Create') && required.length ? `\n      required: [${required.join(', ')}],` : ''}
+      properties: {
+${properties}
+      }
+    },`;
+    inputSchemas = `${input(`Create${pascal}Input`)}\n${input(`Update${pascal}Input`)}`;
+  }
+
+  // Mongoose documents carry _id; SQL rows an auto-increment id; the in-memory store a UUID
+  const id = database === 'mongodb'
+    ? "_id: { type: 'string' }"
+    : database === 'none' ? "id: { type: 'string', format: 'uuid' }" : "id: { type: 'integer' }";
+  const recordProperties = [
+    id,
+    ...fields.map(f => `${f.name}: ${FIELD_TYPES[f.type].openapi}`),
+    "createdAt: { type: 'string', format: 'date-time' }",
+    "updatedAt: { type: 'string', format: 'date-time' }"
+  ].map(property => `        ${property}`).join(',\n');
+
+  const errors = (...statuses) => statuses.filter(Boolean).map(status => ({
+    400: "400: response('Invalid request body', 'Error')",
+    404: `404: response('${label} not found', 'Error')`,
+    409: `409: response('${label} with this ${unique.join(' or ')} already exists', 'Error')`
+  }[status])).map(line => `,\n          ${line}`).join('');
+  const operation = (summary, responses, body) => `        tags: ['${pluralLabel}'],
+        summary: '${summary}',${body ? `\n        requestBody: { required: true, content: json(ref('${body}')) },` : ''}
+        responses: {
+          ${responses}
+        }`;
+
+  const docs = `{
+  tag: { name: '${pluralLabel}', description: '${label} CRUD' },
+  schemas: {
+${inputSchemas}
+    ${pascal}: {
+      type: 'object',
+      properties: {
+${recordProperties}
+      }
+    }
+  },
+  paths: {
+    '/api/${pluralKebab}': {
+      get: {
+${operation(`List ${pluralLabel.toLowerCase()}`, `200: { description: 'Every ${label.toLowerCase()}', content: json(envelope({ type: 'array', items: ref('${pascal}') })) }`)}
+      },
+      post: {
+${operation(`Create ${one}`, `201: { description: '${label} created', content: json(envelope(ref('${pascal}'))) }${errors(validated && 400, unique.length && 409)}`, `Create${pascal}Input`)}
+      }
+    },
+    '/api/${pluralKebab}/{id}': {
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+      get: {
+${operation(`Get ${one}`, `200: { description: 'The ${label.toLowerCase()}', content: json(envelope(ref('${pascal}'))) }${errors(404)}`)}
+      },
+      put: {
+${operation(`Update ${one}`, `200: { description: '${label} updated', content: json(envelope(ref('${pascal}'))) }${errors(validated && 400, 404, unique.length && 409)}`, `Update${pascal}Input`)}
+      },
+      delete: {
+${operation(`Delete ${one}`, `200: { description: '${label} deleted' }${errors(404)}`)}
+      }
+    }
+  }
+}`;
+
+  const header = `/**
+ * OpenAPI tag, schemas and paths for /api/${pluralKebab}, spread into the document in
+ * src/docs/openapi.${validated ? ` Request bodies come from the ${validation === 'zod' ? 'Zod' : 'Joi'} schemas in
+ * src/validators/${kebab}.validator.` : ''}
+ */`;
+
+  const body = `${header}
+${converted ? `\n${converted}` : '\n'}${docHelpers(project, true)}
+${isTS ? 'export ' : ''}const ${camel}Docs = ${docs};
+`;
+
+  return `${imports.length ? `${imports.join('\n')}\n\n` : ''}${body}${isTS ? '' : `\nmodule.exports = { ${camel}Docs };\n`}`;
+}
+
+// ------------------------------------------------------------
+// src/controllers/<name>.controller
+// ------------------------------------------------------------
+function resourceController(project, names, fields) {
+  const { isTS, framework = 'express', validation, errorHandling } = project;
+  if (framework !== 'express') return frameworkResourceController(project, names, fields);
+
+  const { pascal, camel, kebab, label, pluralLabel } = names;
+
+  const ok = (data, message, statusCode = 200) => errorHandling
+    ? `return successResponse(res, ${data}, '${message}'${statusCode !== 200 ? `, ${statusCode}` : ''});`
+    : `return res.status(${statusCode}).json({ success: true, message: '${message}', data: ${data} });`;
+
+  const notFound = errorHandling
+    ? `throw new AppError('${label} not found', 404);`
+    : `return res.status(404).json({ success: false, message: '${label} not found' });`;
+
+  // findTaken() names the unique field whose value is already used
+  const conflict = errorHandling
+    ? `throw new AppError(\`${label} with this \${taken} already exists\`, 409);`
+    : `return res.status(409).json({ success: false, message: \`${label} with this \${taken} already exists\` });`;
+  const checkTaken = id => (fields.some(f => f.unique) ? `
+    const taken = await ${camel}Service.findTaken(data${id ? ', req.params.id' : ''});
+    if (taken) {
+      ${conflict}
+    }
+` : '');
+
+  const handleError = errorHandling
+    ? 'next(error);'
+    : `return res.status(500).json({ success: false, message: ${isTS ? '(error as Error)' : 'error'}.message });`;
+
+  // next is only needed to hand errors to the global error handler
+  const params = `req${isTS ? ': Request' : ''}, res${isTS ? ': Response' : ''}${errorHandling ? `, next${isTS ? ': NextFunction' : ''}` : ''}`;
+
+  // With a validation library, validate() in the routes has already parsed req.body
+  const readBody = () => {
+    if (validation !== 'none') return 'const data = req.body;';
+    const names = fields.map(f => f.name).join(', ');
+    return `const { ${names} } = req.body;
+    const data = { ${names} };`;
+  };
+
+  const handlers = `const list = async (${params}) => {
+  try {
+    const ${camel}List = await ${camel}Service.findAll();
+    ${ok(`${camel}List`, `${pluralLabel} fetched`)}
+  } catch (error) {
+    ${handleError}
+  }
+};
+
+const getById = async (${params}) => {
+  try {
+    const ${camel} = await ${camel}Service.findById(req.params.id);
+    if (!${camel}) {
+      ${notFound}
+    }
+    ${ok(camel, `${label} fetched`)}
+  } catch (error) {
+    ${handleError}
+  }
+};
+
+const create = async (${params}) => {
+  try {
+    ${readBody()}
+${checkTaken(false)}
+    const ${camel} = await ${camel}Service.create(data);
+    ${ok(camel, `${label} created`, 201)}
+  } catch (error) {
+    ${handleError}
+  }
+};
+
+const update = async (${params}) => {
+  try {
+    ${readBody()}
+${checkTaken(true)}
+    const ${camel} = await ${camel}Service.update(req.params.id, data);
+    if (!${camel}) {
+      ${notFound}
+    }
+    ${ok(camel, `${label} updated`)}
+  } catch (error) {
+    ${handleError}
+  }
+};
+
+const remove = async (${params}) => {
+  try {
+    const deleted = await ${camel}Service.remove(req.params.id);
+    if (!deleted) {
+      ${notFound}
+    }
+    ${ok('null', `${label} deleted`)}
+  } catch (error) {
+    ${handleError}
+  }
+};`;
+
+  if (isTS) {
+    const imports = [
+      `import { Request, Response${errorHandling ? ', NextFunction' : ''} } from 'express';`,
+      `import * as ${camel}Service from '../services/${kebab}.service';`
+    ];
+    if (errorHandling) {
+      imports.push("import { AppError } from '../utils/AppError';");
+      imports.push("import { successResponse } from '../utils/response';");
+    }
+
+    return `${imports.join('\n')}
+
+${handlers.replace(/^const /gm, 'export const ')}
+`;
+  }
+
+  const requires = [`const ${camel}Service = require('../services/${kebab}.service');`];
+  if (errorHandling) {
+    requires.push("const { AppError } = require('../utils/AppError');");
+    requires.push("const { successResponse } = require('../utils/response');");
+  }
+
+  return `${requires.join('\n')}
+
+${handlers}
+
+module.exports = { list, getById, create, update, remove };
+`;
+}
+
+// Fastify and Koa hand thrown errors to the global error handler themselves:
+// handlers only catch when there is no error handling module
+function frameworkResourceController({ isTS, framework, validation, errorHandling }, names, fields) {
+  const { pascal, camel, kebab, label, pluralLabel } = names;
+  const fastify = framework === 'fastify';
+  const t = type => (isTS ? `: ${type}` : '');
+
+  // Statements are written at the top level of the handler; try { } indents them once more
+  const ok = (data, message, statusCode = 200) => errorHandling
+    ? `${fastify ? 'return ' : ''}successResponse(${fastify ? 'reply' : 'ctx'}, ${data}, '${message}'${statusCode !== 200 ? `, ${statusCode}` : ''});`
+    : respond(framework, statusCode, `{ success: true, message: '${message}', data: ${data} }`, { indent: '  ', last: true });
+
+  const notFound = errorHandling
+    ? `throw new AppError('${label} not found', 404);`
+    : respond(framework, 404, `{ success: false, message: '${label} not found' }`, { indent: '    ' });
+
+  const conflict = errorHandling
+    ? `throw new AppError(\`${label} with this \${taken} already exists\`, 409);`
+    : respond(framework, 409, `{ success: false, message: \`${label} with this \${taken} already exists\` }`, { indent: '    ' });
+
+  const params = fastify ? 'request.params' : 'ctx.params';
+
+  // Fastify types request.params and request.body from the route's generic (see the routes file)
+  const signature = route => (fastify
+    ? `request${t(route ? `FastifyRequest<${route}>` : 'FastifyRequest')}, reply${t('FastifyReply')}`
+    : `ctx${t('RouterContext')}`);
+
+  // With a validation library, validate() in the routes has already parsed the body
+  const readBody = partial => {
+    const body = fastify ? 'request.body' : `ctx.request.body${isTS ? ` as ${partial ? `Partial<${pascal}Input>` : `${pascal}Input`}` : ''}`;
+    if (validation !== 'none') return `const data = ${body};`;
+    const names = fields.map(f => f.name).join(', ');
+    return `const { ${names} } = ${body};
+  const data = { ${names} };`;
+  };
+
+  const checkTaken = id => (fields.some(f => f.unique) ? [
+    `const taken = await ${camel}Service.findTaken(data${id ? `, ${id}` : ''});`,
+    `if (taken) {\n    ${conflict}\n  }\n`
+  ] : []);
+
+  const handler = (name, route, statements) => {
+    const body = statements.join('\n  ');
+    if (errorHandling) return `const ${name} = async (${signature(route)}) => {\n  ${body}\n};`;
+
+    const fail = respond(framework, 500, `{ success: false, message: ${isTS ? '(error as Error)' : 'error'}.message }`, { indent: '    ', last: true });
+    return `const ${name} = async (${signature(route)}) => {
+  try {
+    ${body.replace(/\n(?=.)/g, '\n  ')}
+  } catch (error) {
+    ${fail}
+  }
+};`;
+  };
+
+  const handlers = [
+    handler('list', null, [
+      `const ${camel}List = await ${camel}Service.findAll();`,
+      ok(`${camel}List`, `${pluralLabel} fetched`)
+    ]),
+    handler('getById', 'ByIdRoute', [
+      `const ${camel} = await ${camel}Service.findById(${params}.id);`,
+      `if (!${camel}) {\n    ${notFound}\n  }`,
+      ok(camel, `${label} fetched`)
+    ]),
+    handler('create', 'CreateRoute', [
+      `${readBody(false)}\n`,
+      ...checkTaken(null),
+      `const ${camel} = await ${camel}Service.create(data);`,
+      ok(camel, `${label} created`, 201)
+    ]),
+    handler('update', 'UpdateRoute', [
+      `${readBody(true)}\n`,
+      ...checkTaken(`${params}.id`),
+      `const ${camel} = await ${camel}Service.update(${params}.id, data);`,
+      `if (!${camel}) {\n    ${notFound}\n  }`,
+      ok(camel, `${label} updated`)
+    ]),
+    handler('remove', 'ByIdRoute', [
+      `const deleted = await ${camel}Service.remove(${params}.id);`,
+      `if (!deleted) {\n    ${notFound}\n  }`,
+      ok('null', `${label} deleted`)
+    ])
+  ].join('\n\n');
+
+  if (isTS) {
+    const imports = [
+      fastify ? "import { FastifyReply, FastifyRequest } from 'fastify';" : "import { RouterContext } from '@koa/router';",
+      `import * as ${camel}Service from '../services/${kebab}.service';`,
+      `import { ${pascal}Input } from '../models/${kebab}.model';`
+    ];
+    if (errorHandling) {
+      imports.push("import { AppError } from '../utils/AppError';");
+      imports.push("import { successResponse } from '../utils/response';");
+    }
+
+    const routeTypes = fastify ? `
+// Request shapes per route: app.get<ByIdRoute>(...) types request.params and request.body
+export interface ByIdRoute {
+  Params: { id: string };
+}
+
+export interface CreateRoute {
+  Body: ${pascal}Input;
+}
+
+export interface UpdateRoute {
+  Params: { id: string };
+  Body: Partial<${pascal}Input>;
+}
+` : '';
+
+    return `${imports.join('\n')}
+${routeTypes}
+${handlers.replace(/^const /gm, 'export const ')}
+`;
+  }
+
+  const requires = [`const ${camel}Service = require('../services/${kebab}.service');`];
+  if (errorHandling) {
+    requires.push("const { AppError } = require('../utils/AppError');");
+    requires.push("const { successResponse } = require('../utils/response');");
+  }
+
+  return `${requires.join('\n')}
+
+${handlers}
+
+module.exports = { list, getById, create, update, remove };
+`;
+}
+
+// ------------------------------------------------------------
+// src/routes/<name>.routes
+// ------------------------------------------------------------
+function resourceRoutes(project, names) {
+  if (project.framework === 'fastify') return fastifyResourceRoutes(project, names);
+  if (project.framework === 'koa') return koaResourceRoutes(project, names);
+
+  const { isTS, validation } = project;
+  const { pascal, camel, kebab, pluralKebab } = names;
+  const validated = validation !== 'none';
+  const check = kind => (validated ? `validate({ body: ${kind}${pascal}Schema }), ` : '');
+
+  const routes = `const router = Router();
+
+// GET    /api/${pluralKebab}
+router.get('/', ${camel}Controller.list);
+
+// POST   /api/${pluralKebab}
+router.post('/', ${check('create')}${camel}Controller.create);
+
+// GET    /api/${pluralKebab}/:id
+router.get('/:id', ${camel}Controller.getById);
+
+// PUT    /api/${pluralKebab}/:id
+router.put('/:id', ${check('update')}${camel}Controller.update);
+
+// DELETE /api/${pluralKebab}/:id
+router.delete('/:id', ${camel}Controller.remove);`;
+
+  return isTS ? `import { Router } from 'express';
+import * as ${camel}Controller from '../controllers/${kebab}.controller';
+${validated ? `import { validate } from '../middlewares/validate';
+import { create${pascal}Schema, update${pascal}Schema } from '../validators/${kebab}.validator';
+` : ''}
+${routes}
+
+export default router;
+` : `const { Router } = require('express');
+const ${camel}Controller = require('../controllers/${kebab}.controller');
+${validated ? `const { validate } = require('../middlewares/validate');
+const { create${pascal}Schema, update${pascal}Schema } = require('../validators/${kebab}.validator');
+` : ''}
+${routes}
+
+module.exports = router;
+`;
+}
+
+// Validator imports shared by the Fastify and Koa routes files
+function validatorImports({ isTS }, { pascal, kebab }) {
+  return isTS
+    ? `import { validate } from '../middlewares/validate';
+import { create${pascal}Schema, update${pascal}Schema } from '../validators/${kebab}.validator';
+`
+    : `const { validate } = require('../middlewares/validate');
+const { create${pascal}Schema, update${pascal}Schema } = require('../validators/${kebab}.validator');
+`;
+}
+
+// A Fastify plugin, registered with the /api/<name> prefix in src/app
+function fastifyResourceRoutes({ isTS, validation }, names) {
+  const { pascal, camel, kebab, pluralKebab } = names;
+  const validated = validation !== 'none';
+  const check = kind => (validated ? `{ preHandler: validate({ body: ${kind}${pascal}Schema }) }, ` : '');
+  const route = type => (isTS ? `<${type}>` : '');
+
+  const routes = `// Registered with the /api/${pluralKebab} prefix in src/app
+const ${camel}Routes = async (app${isTS ? ': FastifyInstance' : ''}) => {
+  // GET    /api/${pluralKebab}
+  app.get('/', ${camel}Controller.list);
+
+  // POST   /api/${pluralKebab}
+  app.post${route('CreateRoute')}('/', ${check('create')}${camel}Controller.create);
+
+  // GET    /api/${pluralKebab}/:id
+  app.get${route('ByIdRoute')}('/:id', ${camel}Controller.getById);
+
+  // PUT    /api/${pluralKebab}/:id
+  app.put${route('UpdateRoute')}('/:id', ${check('update')}${camel}Controller.update);
+
+  // DELETE /api/${pluralKebab}/:id
+  app.delete${route('ByIdRoute')}('/:id', ${camel}Controller.remove);
+};`;
+
+  return isTS ? `import { FastifyInstance } from 'fastify';
+import * as ${camel}Controller from '../controllers/${kebab}.controller';
+import { ByIdRoute, CreateRoute, UpdateRoute } from '../controllers/${kebab}.controller';
+${validated ? validatorImports({ isTS }, names) : ''}
+${routes}
+
+export default ${camel}Routes;
+` : `const ${camel}Controller = require('../controllers/${kebab}.controller');
+${validated ? validatorImports({ isTS }, names) : ''}
+${routes}
+
+module.exports = ${camel}Routes;
+`;
+}
+
+// A Koa router carrying its /api/<name> prefix
+function koaResourceRoutes({ isTS, validation }, names) {
+  const { pascal, camel, kebab, pluralKebab } = names;
+  const validated = validation !== 'none';
+  const check = kind => (validated ? `validate({ body: ${kind}${pascal}Schema }), ` : '');
+
+  const routes = `const router = new Router({ prefix: '/api/${pluralKebab}' });
+
+// GET    /api/${pluralKebab}
+router.get('/', ${camel}Controller.list);
+
+// POST   /api/${pluralKebab}
+router.post('/', ${check('create')}${camel}Controller.create);
+
+// GET    /api/${pluralKebab}/:id
+router.get('/:id', ${camel}Controller.getById);
+
+// PUT    /api/${pluralKebab}/:id
+router.put('/:id', ${check('update')}${camel}Controller.update);
+
+// DELETE /api/${pluralKebab}/:id
+router.delete('/:id', ${camel}Controller.remove);`;
+
+  return isTS ? `import Router from '@koa/router';
+import * as ${camel}Controller from '../controllers/${kebab}.controller';
+${validated ? validatorImports({ isTS }, names) : ''}
+${routes}
+
+export default router;
+` : `const Router = require('@koa/router');
+const ${camel}Controller = require('../controllers/${kebab}.controller');
+${validated ? validatorImports({ isTS }, names) : ''}
+${routes}
+
+module.exports = router;
+`;
+}
+
+function resourceFiles(project, names, fields) {
+  const { ext, validation } = project;
+  const { kebab, table } = names;
+
+  const files = {
+    [`src/models/${kebab}.model.${ext}`]: resourceModel(project, names, fields),
+    [`src/services/${kebab}.service.${ext}`]: resourceService(project, names, fields),
+    [`src/controllers/${kebab}.controller.${ext}`]: resourceController(project, names, fields),
+    [`src/routes/${kebab}.routes.${ext}`]: resourceRoutes(project, names)
+  };
+
+  if (validation !== 'none') {
+    files[`src/validators/${kebab}.validator.${ext}`] = resourceValidator(project, names, fields);
+  }
+
+  if (project.docs) {
+    files[`src/docs/${kebab}.docs.${ext}`] = resourceDocs(project, names, fields);
+  }
+
+  if (resolveOrm(project) === 'drizzle') {
+    files[`src/models/${kebab}.schema.${ext}`] = drizzleTable(project, names, fields);
+  }
+  if (resolveOrm(project) === 'typeorm') {
+    files[`src/models/${kebab}.entity.${ext}`] = typeormResourceEntity(project, names, fields);
+  }
+
+  if (resolveOrm(project) === 'sequelize') {
+    files[`src/migrations/${migrationTimestamp()}-create-${table.replace(/_/g, '-')}.${commonJsExt(project.moduleSystem)}`] = resourceMigration(names, fields);
+  }
+
+  return files;
+}
+
+module.exports = { FIELD_TYPES, resourceNames, resourceFiles, prismaModel };
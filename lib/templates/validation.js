@@ -0,0 +1,384 @@
+// ============================================================
+// src/middlewares/validate - REQUEST VALIDATION (Zod or Joi)
+// ============================================================
+// validate({ body, params, query }) checks each part against its own schema,
+// replaces it with the parsed value and answers 400 with every issue at once.
+// Express and Koa use it as route middleware, Fastify as a preHandler hook.
+// validatorFiles() adds the src/validators info guide for the chosen library.
+
+const { respond } = require('./framework');
+
+// How each framework's middleware is declared, reads the request and passes it on
+const FRAMEWORKS = {
+  express: {
+    imports: "import { Request, Response, NextFunction } from 'express';",
+    signature: isTS => (isTS ? '(req: Request, res: Response, next: NextFunction)' : '(req, res, next)'),
+    parts: 'req.body, req.params and req.query',
+    input: '',
+    read: 'req[location]',
+    reply: 'res',
+    apply: () => `  Object.assign(req, parsed);
+  next();`,
+    usage: ` *   router.post('/', validate({ body: createProductSchema }), productController.create);
+ *   router.get('/:id', validate({ params: productIdSchema }), productController.getById);`
+  },
+  fastify: {
+    imports: "import { FastifyReply, FastifyRequest } from 'fastify';",
+    signature: isTS => (isTS ? 'async (request: FastifyRequest, reply: FastifyReply)' : 'async (request, reply)'),
+    parts: 'request.body, request.params and request.query',
+    input: '',
+    read: 'request[location]',
+    reply: 'reply',
+    apply: () => '  Object.assign(request, parsed);',
+    usage: ` *   app.post('/', { preHandler: validate({ body: createProductSchema }) }, productController.create);
+ *   app.get('/:id', { preHandler: validate({ params: productIdSchema }) }, productController.getById);`
+  },
+  koa: {
+    imports: "import { Next } from 'koa';\nimport { RouterContext } from '@koa/router';",
+    signature: isTS => (isTS ? 'async (ctx: RouterContext, next: Next)' : 'async (ctx, next)'),
+    parts: 'ctx.request.body, ctx.params and ctx.query',
+    input: '  const input = { body: ctx.request.body, params: ctx.params, query: ctx.query };\n',
+    read: 'input[location]',
+    reply: 'ctx',
+    apply: isTS => `  // Koa's ctx.query setter turns values back into strings, so the parsed query goes to ctx.state.query
+  if (parsed.body !== undefined) ctx.request.body = parsed.body;
+  if (parsed.params !== undefined) ctx.params = parsed.params${isTS ? ' as Record<string, string>' : ''};
+  if (parsed.query !== undefined) ctx.state.query = parsed.query;
+  await next();`,
+    usage: ` *   router.post('/', validate({ body: createProductSchema }), productController.create);
+ *   router.get('/:id', validate({ params: productIdSchema }), productController.getById);`
+  }
+};
+
+function failResponse({ framework, errorHandling }) {
+  return errorHandling
+    ? `return errorResponse(${FRAMEWORKS[framework].reply}, 'Validation failed', 400, errors);`
+    : respond(framework, 400, "{ success: false, message: 'Validation failed', errors }");
+}
+
+const usage = framework => ` *
+ * Usage:
+${FRAMEWORKS[framework].usage}
+ *
+ * Error response (400):
+ *   { success: false, message: 'Validation failed',
+ *     errors: [{ location: 'body', field: 'email', message: '...' }] }`;
+
+// The middleware around a library's check of one request part
+function middlewareBody(options, check) {
+  const { isTS, framework } = options;
+  const target = FRAMEWORKS[framework];
+
+  return `${target.input}  const errors${isTS ? ': ValidationIssue[]' : ''} = [];
+  const parsed${isTS ? ': Partial<Record<RequestPart, unknown>>' : ''} = {};
+
+  PARTS.forEach(location => {
+    const schema = schemas[location];
+    if (!schema) return;
+
+${check}
+  });
+
+  if (errors.length) {
+    ${failResponse(options)}
+  }
+
+  // Parsed values have defaults applied, types ${options.validation === 'joi' ? 'converted' : 'coerced'} and unknown keys stripped
+${target.apply(isTS)}`;
+}
+
+function zodMiddleware(options) {
+  const { isTS, framework, errorHandling } = options;
+  const target = FRAMEWORKS[framework];
+
+  const body = middlewareBody(options, `    const result = schema.safeParse(${target.read});
+    if (result.success) {
+      parsed[location] = result.data;
+    } else {
+      result.error.issues.forEach(issue => {
+        errors.push({ location, field: issue.path.join('.'), message: issue.message });
+      });
+    }`);
+
+  return isTS ? `${target.imports}
+import { ZodTypeAny } from 'zod';
+${errorHandling ? "import { errorResponse } from '../utils/response';\n" : ''}
+export type RequestPart = 'body' | 'params' | 'query';
+
+export type RequestSchemas = Partial<Record<RequestPart, ZodTypeAny>>;
+
+export interface ValidationIssue {
+  location: RequestPart;
+  field: string;
+  message: string;
+}
+
+const PARTS: RequestPart[] = ['body', 'params', 'query'];
+
+/**
+ * Validates ${target.parts}, each with its own Zod schema.
+${usage(framework)}
+ */
+export const validate = (schemas: RequestSchemas) => ${target.signature(true)} => {
+${body}
+};
+` : `${errorHandling ? "const { errorResponse } = require('../utils/response');\n\n" : ''}const PARTS = ['body', 'params', 'query'];
+
+/**
+ * Validates ${target.parts}, each with its own Zod schema.
+${usage(framework)}
+ */
+const validate = schemas => ${target.signature(false)} => {
+${body}
+};
+
+module.exports = { validate };
+`;
+}
+
+function joiMiddleware(options) {
+  const { isTS, framework, errorHandling } = options;
+  const target = FRAMEWORKS[framework];
+
+  const body = middlewareBody(options, `    const { error, value } = schema.validate(${target.read}, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      error.details.forEach(detail => {
+        errors.push({ location, field: detail.path.join('.'), message: detail.message });
+      });
+    } else {
+      parsed[location] = value;
+    }`);
+
+  return isTS ? `${target.imports}
+import Joi from 'joi';
+${errorHandling ? "import { errorResponse } from '../utils/response';\n" : ''}
+export type RequestPart = 'body' | 'params' | 'query';
+
+export type RequestSchemas = Partial<Record<RequestPart, Joi.Schema>>;
+
+export interface ValidationIssue {
+  location: RequestPart;
+  field: string;
+  message: string;
+}
+
+const PARTS: RequestPart[] = ['body', 'params', 'query'];
+
+/**
+ * Validates ${target.parts}, each with its own Joi schema.
+${usage(framework)}
+ */
+export const validate = (schemas: RequestSchemas) => ${target.signature(true)} => {
+${body}
+};
+` : `${errorHandling ? "const { errorResponse } = require('../utils/response');\n\n" : ''}const PARTS = ['body', 'params', 'query'];
+
+/**
+ * Validates ${target.parts}, each with its own Joi schema.
+${usage(framework)}
+ */
+const validate = schemas => ${target.signature(false)} => {
+${body}
+};
+
+module.exports = { validate };
+`;
+}
+
+// Returns the middleware source for the chosen library, or null for 'none'
+function validateMiddleware(options) {
+  if (options.validation === 'zod') return zodMiddleware(options);
+  if (options.validation === 'joi') return joiMiddleware(options);
+  return null;
+}
+
+// The validators info guide and the validate middleware (none without a validation library)
+function validatorFiles({ isTS, ext, framework, validation, errorHandling }) {
+  const files = {};
+  const addFile = (file, content) => {
+    files[file] = content;
+  };
+
+  // How the validator guides use validate(): route middleware, or a preHandler hook on Fastify
+  const validateHook = framework === 'fastify' ? 'preHandler' : 'middleware';
+  const validateUsage = framework === 'fastify'
+    ? ` *    app.post('/users', { preHandler: validate({ body: createUserSchema }) }, createUser);
+ *    app.get('/users/:id', { preHandler: validate({ params: userIdSchema }) }, getUser);`
+    : ` *    router.post('/users', validate({ body: createUserSchema }), createUser);
+ *    router.get('/users/:id', validate({ params: userIdSchema }), getUser);`;
+  const validatedParts = {
+    express: 'req.body/params/query',
+    fastify: 'request.body/params/query',
+    koa: 'ctx.request.body/ctx.params/ctx.state.query'
+  }[framework];
+
+  if (validation === 'zod') {
+    const zodValidatorContent = isTS ? `import { z } from 'zod';
+
+/**
+ * VALIDATORS FOLDER
+ * 
+ * This folder contains request validation schemas using Zod.
+ * 
+ * Purpose:
+ * - Validate incoming request data (body, params, query)
+ * - Ensure type safety with TypeScript inference
+ * - Provide clear error messages for invalid data
+ * 
+ * How to create a validator:
+ * 
+ * 1. Define your schema:
+ *    export const createUserSchema = z.object({
+ *      name: z.string().min(1, 'Name is required'),
+ *      email: z.string().email('Invalid email'),
+ *      age: z.number().min(18).optional()
+ *    });
+ * 
+ * 2. Infer TypeScript type:
+ *    export type CreateUserInput = z.infer<typeof createUserSchema>;
+ * 
+ * 3. Use it in a route with the validate ${validateHook} (src/middlewares/validate):
+${validateUsage}
+ *
+ *    body, params and query each get their own schema. Valid data replaces
+ *    ${validatedParts}; invalid data gets a 400 listing every issue.
+ * 
+ * Example validators for common use cases:
+ * - user.validator.ts - User registration, login, update
+ * - product.validator.ts - Product creation, update
+ * - auth.validator.ts - Authentication requests
+ */
+
+// Example: Uncomment to use
+// export const exampleSchema = z.object({
+//   field: z.string()
+// });
+` : `const { z } = require('zod');
+
+/**
+ * VALIDATORS FOLDER
+ * 
+ * This folder contains request validation schemas using Zod.
+ * 
+ * Purpose:
+ * - Validate incoming request data (body, params, query)
+ * - Provide clear error messages for invalid data
+ * 
+ * How to create a validator:
+ * 
+ * 1. Define your schema:
+ *    const createUserSchema = z.object({
+ *      name: z.string().min(1, 'Name is required'),
+ *      email: z.string().email('Invalid email'),
+ *      age: z.number().min(18).optional()
+ *    });
+ * 
+ * 2. Use it in a route with the validate ${validateHook} (src/middlewares/validate):
+${validateUsage}
+ *
+ *    body, params and query each get their own schema. Valid data replaces
+ *    ${validatedParts}; invalid data gets a 400 listing every issue.
+ * 
+ * Example validators for common use cases:
+ * - user.validator.js - User registration, login, update
+ * - product.validator.js - Product creation, update
+ * - auth.validator.js - Authentication requests
+ */
+
+// Example: Uncomment to use
+// const exampleSchema = z.object({
+//   field: z.string()
+// });
+// 
+// module.exports = { exampleSchema };
+`;
+
+    addFile(`src/validators/info.${ext}`, zodValidatorContent);
+  } else if (validation === 'joi') {
+    const joiValidatorContent = isTS ? `import Joi from 'joi';
+
+/**
+ * VALIDATORS FOLDER
+ * 
+ * This folder contains request validation schemas using Joi.
+ * 
+ * Purpose:
+ * - Validate incoming request data (body, params, query)
+ * - Provide clear error messages for invalid data
+ * 
+ * How to create a validator:
+ * 
+ * 1. Define your schema:
+ *    export const createUserSchema = Joi.object({
+ *      name: Joi.string().required(),
+ *      email: Joi.string().email().required(),
+ *      age: Joi.number().min(18).optional()
+ *    });
+ * 
+ * 2. Use it in a route with the validate ${validateHook} (src/middlewares/validate):
+${validateUsage}
+ *
+ *    body, params and query each get their own schema. Valid data replaces
+ *    ${validatedParts}; invalid data gets a 400 listing every issue.
+ * 
+ * Example validators for common use cases:
+ * - user.validator.ts - User registration, login, update
+ * - product.validator.ts - Product creation, update
+ * - auth.validator.ts - Authentication requests
+ */
+
+// Example: Uncomment to use
+// export const exampleSchema = Joi.object({
+//   field: Joi.string().required()
+// });
+` : `const Joi = require('joi');
+
+/**
+ * VALIDATORS FOLDER
+ * 
+ * This folder contains request validation schemas using Joi.
+ * 
+ * Purpose:
+ * - Validate incoming request data (body, params, query)
+ * - Provide clear error messages for invalid data
+ * 
+ * How to create a validator:
+ * 
+ * 1. Define your schema:
+ *    const createUserSchema = Joi.object({
+ *      name: Joi.string().required(),
+ *      email: Joi.string().email().required(),
+ *      age: Joi.number().min(18).optional()
+ *    });
+ * 
+ * 2. Use it in a route with the validate ${validateHook} (src/middlewares/validate):
+${validateUsage}
+ *
+ *    body, params and query each get their own schema. Valid data replaces
+ *    ${validatedParts}; invalid data gets a 400 listing every issue.
+ * 
+ * Example validators for common use cases:
+ * - user.validator.js - User registration, login, update
+ * - product.validator.js - Product creation, update
+ * - auth.validator.js - Authentication requests
+ */
+
+// Example: Uncomment to use
+// const exampleSchema = Joi.object({
+//   field: Joi.string().required()
+// });
+// 
+// module.exports = { exampleSchema };
+`;
+
+    addFile(`src/validators/info.${ext}`, joiValidatorContent);
+  }
+
+  if (validation !== 'none') {
+    addFile(`src/middlewares/validate.${ext}`, validateMiddleware({ isTS, framework, validation, errorHandling }));
+  }
+
+  return files;
+}
+
+module.exports = { validateMiddleware, validatorFiles };
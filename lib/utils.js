@@ -0,0 +1,13 @@
+const fs = require('fs');
+const path = require('path');
+
+// Helper to write files
+function writeFile(filePath, content) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(filePath, content.trim() + '\n');
+}
+
+module.exports = { writeFile };
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createProject } = require('../lib');
+const { generate } = require('../lib/commands/generate');
+
+// Runs `cnapp generate` from the project root, without its console output
+async function generateIn(projectPath, positionals, flags) {
+  const cwd = process.cwd();
+  const log = console.log;
+  process.chdir(projectPath);
+  console.log = () => {};
+  try {
+    await generate(positionals, flags);
+  } finally {
+    console.log = log;
+    process.chdir(cwd);
+  }
+}
+
+test('generate resource adds the resource to the OpenAPI document', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cnapp-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // No validation library or database: the document loads without the project's dependencies
+  const { projectPath } = await createProject(
+    { projectName: 'api', language: 'js', db: 'none', validation: 'none', auth: false, docs: true, logger: 'none', test: 'none', lint: false, docker: false },
+    { output: { type: 'disk', path: path.join(dir, 'api') } }
+  );
+  await generateIn(projectPath, ['resource', 'product'], { fields: 'name:string:unique,price:number,launched:date:optional' });
+
+  const { openApiDocument } = require(path.join(projectPath, 'src/docs/openapi.js'));
+  const collection = openApiDocument.paths['/api/products'];
+  const record = openApiDocument.paths['/api/products/{id}'];
+
+  assert.deepStrictEqual(Object.keys(collection), ['get', 'post']);
+  assert.deepStrictEqual(Object.keys(record), ['parameters', 'get', 'put', 'delete']);
+  assert.ok(collection.post.responses[409], 'unique fields document the 409');
+  assert.deepStrictEqual(openApiDocument.components.schemas.CreateProductInput.required, ['name', 'price']);
+  assert.deepStrictEqual(Object.keys(openApiDocument.components.schemas.Product.properties), ['id', 'name', 'price', 'launched', 'createdAt', 'updatedAt']);
+  assert.ok(openApiDocument.tags.some(tag => tag.name === 'Products'));
+  // Documented routes and schemas from before are kept
+  assert.ok(openApiDocument.paths['/health/live']);
+  assert.ok(openApiDocument.components.schemas.Error);
+});
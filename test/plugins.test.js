@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadPlugin } = require('../lib/plugins');
+const { PluginError } = require('../lib/errors');
+
+const pluginWithEnv = env => ({ name: 'tracing', env: [env] });
+
+test('env: a number variable needs a positive integer default', () => {
+  assert.throws(
+    () => loadPlugin(pluginWithEnv({ name: 'SAMPLE_RATE', type: 'number', default: '1' })),
+    error => error instanceof PluginError && error.message.includes('variable SAMPLE_RATE has a number type, so its default must be a positive integer (got "1")')
+  );
+  assert.throws(() => loadPlugin(pluginWithEnv({ name: 'SAMPLE_RATE', type: 'number', default: 0.5 })), PluginError);
+  assert.doesNotThrow(() => loadPlugin(pluginWithEnv({ name: 'SAMPLE_RATE', type: 'number', default: 10 })));
+});
+
+test('env: an enum variable needs a default from its values', () => {
+  assert.throws(
+    () => loadPlugin(pluginWithEnv({ name: 'EXPORTER', type: 'enum', values: ['otlp', 'console'], default: 'jaeger' })),
+    error => error instanceof PluginError && error.message.includes('variable EXPORTER has a default that is not one of its values (got "jaeger")')
+  );
+  assert.doesNotThrow(() => loadPlugin(pluginWithEnv({ name: 'EXPORTER', type: 'enum', values: ['otlp', 'console'], default: 'otlp' })));
+});
+
+test('env: string and uri variables need a string default', () => {
+  assert.throws(() => loadPlugin(pluginWithEnv({ name: 'OTEL_SERVICE_NAME', default: 5 })), /needs a string default \(got 5\)/);
+  assert.doesNotThrow(() => loadPlugin(pluginWithEnv({ name: 'OTEL_SERVICE_NAME', default: 'api' })));
+});